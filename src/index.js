@@ -9,13 +9,16 @@ const config = require('./utils/config');
 const Logger = require('./utils/logger');
 
 // Import services
-const FreePBXClient = require('./services/FreePBXClient');
+const createPBXAdapter = require('./services/createPBXAdapter');
 const ElevenLabsWebhook = require('./services/ElevenLabsWebhook');
 const SuiteCRMClient = require('./services/SuiteCRMClient');
 const WebSocketServer = require('./services/WebSocketServer');
+const FastAGIServer = require('./services/FastAGIServer');
+const WebhookInbox = require('./services/WebhookInbox');
 
 // Import middleware
 const CTIMiddleware = require('./middleware/CTIMiddleware');
+const createCallerIdRouter = require('./middleware/createCallerIdRouter');
 
 // Initialize logger
 const logger = new Logger(config.get('logging'));
@@ -60,15 +63,18 @@ app.use((req, res, next) => {
   }
 });
 
-// API Key validation middleware
-const validateApiKey = (req, res, next) => {
+// API key check of the API routes; empty keys never pass
+const isValidApiKey = (apiKey) => {
   if (!config.get('security.requireApiKey')) {
-    return next();
+    return true;
   }
 
-  const apiKey = req.headers['x-api-key'];
+  return !!apiKey && apiKey === config.get('security.apiKey');
+};
 
-  if (!apiKey || apiKey !== config.get('security.apiKey')) {
+// API Key validation middleware
+const validateApiKey = (req, res, next) => {
+  if (!isValidApiKey(req.headers['x-api-key'])) {
     logger.warn('Invalid API key attempt', {
       ip: req.ip,
       path: req.path
@@ -96,8 +102,10 @@ apiRouter.get('/health', (req, res) => {
     uptime: process.uptime(),
     environment: config.get('server.environment'),
     services: {
-      freepbx: freepbxClient.isConnected(),
+      freepbx: pbxClient.isConnected(),
+      freepbxConnection: pbxClient.getConnectionStatus(),
       websocket: wsServer.getConnectionsCount() >= 0,
+      fastagi: config.get('agi.enabled') ? agiServer.isListening() : 'disabled',
       suitecrm: 'unknown' // Will be determined by test connection
     }
   };
@@ -112,6 +120,7 @@ apiRouter.get('/api/status', (req, res) => {
     res.json({
       status: 'ok',
       ...stats,
+      webhookInbox: webhookInbox ? webhookInbox.getStats() : null,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -134,10 +143,194 @@ apiRouter.get('/api/calls/active', (req, res) => {
   }
 });
 
+// Click-to-dial: ring the agent's phone, then dial a number or a SuiteCRM contact/account
+apiRouter.post('/api/calls/originate', async (req, res) => {
+  try {
+    const { agentExtension, number, contactId, accountId, pbx } = req.body;
+
+    if (!agentExtension || !(number || contactId || accountId)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        hint: 'agentExtension and one of number, contactId or accountId are required'
+      });
+    }
+
+    if (!/^\d+$/.test(String(agentExtension))) {
+      return res.status(400).json({ error: 'Invalid agentExtension' });
+    }
+
+    const result = await ctiMiddleware.originateCall({ agentExtension: String(agentExtension), number, contactId, accountId, pbx });
+
+    res.status(202).json({
+      success: true,
+      message: 'Call originated',
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error originating call', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to originate call' });
+  }
+});
+
+// In-call control: hangup, blind/attended transfer, hold/unhold and park
+apiRouter.post('/api/calls/:callId/:action(hangup|transfer|attended-transfer|hold|unhold|park|record-start|record-stop|record-pause|record-resume)', async (req, res) => {
+  try {
+    const { callId, action } = req.params;
+    const { agentExtension, target } = req.body;
+
+    if (!agentExtension) {
+      return res.status(400).json({ error: 'Missing required fields', hint: 'agentExtension is required' });
+    }
+
+    const result = await ctiMiddleware.controlCall(callId, action.replace('-', '_'), {
+      agentExtension: String(agentExtension),
+      target,
+      source: 'api'
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error performing call action', error, { callId: req.params.callId, action: req.params.action });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to perform call action' });
+  }
+});
+
+// Caller ID name for FreePBX's HTTP Caller ID Lookup Source and CID Superfecta
+apiRouter.use(createCallerIdRouter((number) => ctiMiddleware.getCallerIdName(number), logger, config.get('security')));
+
+// Stream the ElevenLabs recording of a conversation (supports Range requests for seeking)
+apiRouter.get('/api/conversations/:conversationId/audio', async (req, res) => {
+  try {
+    const audio = await ctiMiddleware.getConversationAudio(req.params.conversationId);
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+    let start = 0;
+    let end = audio.size - 1;
+
+    if (range && (range[1] || range[2])) {
+      start = range[1] ? parseInt(range[1], 10) : Math.max(audio.size - parseInt(range[2], 10), 0);
+      end = range[1] && range[2] ? Math.min(parseInt(range[2], 10), audio.size - 1) : audio.size - 1;
+
+      if (start > end) {
+        return res.status(416).set('Content-Range', `bytes */${audio.size}`).end();
+      }
+
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${audio.size}`);
+    }
+
+    res.set({
+      'Content-Type': audio.contentType,
+      'Content-Length': end - start + 1,
+      'Accept-Ranges': 'bytes'
+    });
+
+    logger.logAudit('conversation_audio_stream', {
+      conversationId: req.params.conversationId,
+      ip: req.ip,
+      range: req.headers.range || null
+    });
+
+    audio.createReadStream({ start, end })
+      .on('error', (error) => {
+        logger.error('Error streaming conversation audio', error, { conversationId: req.params.conversationId });
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    logger.error('Error getting conversation audio', error, { conversationId: req.params.conversationId });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to get conversation audio' });
+  }
+});
+
+// List stored webhook events, newest first (?status=failed&type=post_call_transcription&limit=50)
+apiRouter.get('/api/webhooks/inbox', (req, res) => {
+  if (!webhookInbox) {
+    return res.status(404).json({ error: 'Webhook inbox is disabled' });
+  }
+
+  res.json({
+    stats: webhookInbox.getStats(),
+    events: webhookInbox.list({
+      status: req.query.status,
+      type: req.query.type,
+      limit: parseInt(req.query.limit) || 50
+    })
+  });
+});
+
+// Inspect a stored webhook event with its payload (?includeAudio=true for base64 audio)
+apiRouter.get('/api/webhooks/inbox/:id', async (req, res) => {
+  if (!webhookInbox) {
+    return res.status(404).json({ error: 'Webhook inbox is disabled' });
+  }
+
+  try {
+    res.json(await webhookInbox.get(req.params.id, { includeAudio: req.query.includeAudio === 'true' }));
+  } catch (error) {
+    logger.error('Error getting webhook event', error, { id: req.params.id });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to get webhook event' });
+  }
+});
+
+// Replay a failed webhook event
+apiRouter.post('/api/webhooks/inbox/:id/replay', async (req, res) => {
+  if (!webhookInbox) {
+    return res.status(404).json({ error: 'Webhook inbox is disabled' });
+  }
+
+  try {
+    const event = await webhookInbox.replay(req.params.id);
+
+    logger.logAudit('webhook_replay', {
+      id: event.id,
+      eventType: event.type,
+      conversationId: event.conversationId,
+      ip: req.ip
+    });
+
+    res.json({ success: true, event });
+  } catch (error) {
+    logger.error('Error replaying webhook event', error, { id: req.params.id });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to replay webhook event' });
+  }
+});
+
+// Get live queue state
+apiRouter.get('/api/queues', (req, res) => {
+  try {
+    const queues = ctiMiddleware.getQueues();
+    res.json({
+      count: queues.length,
+      queues
+    });
+  } catch (error) {
+    logger.error('Error getting queues', error);
+    res.status(500).json({ error: 'Failed to get queues' });
+  }
+});
+
+// Get live state of a single queue
+apiRouter.get('/api/queues/:queue', (req, res) => {
+  try {
+    const queue = ctiMiddleware.getQueue(req.params.queue);
+
+    if (!queue) {
+      return res.status(404).json({ error: 'Queue not found' });
+    }
+
+    res.json(queue);
+  } catch (error) {
+    logger.error('Error getting queue', error);
+    res.status(500).json({ error: 'Failed to get queue' });
+  }
+});
+
 // Get connected agents
 apiRouter.get('/api/agents', (req, res) => {
   try {
-    const agents = wsServer.getConnectedAgents();
+    const agents = ctiMiddleware.getAgents();
     res.json({
       count: agents.length,
       agents
@@ -402,18 +595,33 @@ apiRouter.post('/api/test/crm/workflow', async (req, res) => {
 // Initialize services
 logger.info('Initializing CTI Middleware services...');
 
-const freepbxClient = new FreePBXClient(config.get('freepbx.ami'), logger);
+const pbxClient = createPBXAdapter(config.get('freepbx'), logger);
 const elevenLabsWebhook = new ElevenLabsWebhook(config.get('elevenlabs'), logger);
+const webhookInbox = config.get('elevenlabs.inbox.enabled') ? new WebhookInbox(config.get('elevenlabs.inbox'), logger) : null;
 const suitecrmClient = new SuiteCRMClient(config.get('suitecrm'), logger);
 const wsServer = new WebSocketServer(config.get('websocket'), logger);
 const ctiMiddleware = new CTIMiddleware(
-  freepbxClient,
+  pbxClient,
   elevenLabsWebhook,
   suitecrmClient,
   wsServer,
-  logger
+  logger,
+  config.get('cti')
 );
 
+// CRM-driven routing for the dialplan: AGI(agi://<middleware>:4573/crm-lookup,${CALLERID(num)})
+const agiServer = new FastAGIServer(config.get('agi'), logger);
+agiServer.registerScript('crm-lookup', (request, options) => ctiMiddleware.getRoutingVariables(request, options));
+
+// Webhook plugins subscribe after the middleware, so its handlers run first
+config.get('elevenlabs.plugins').forEach(plugin => elevenLabsWebhook.usePlugin(plugin));
+
+// Caller context for ElevenLabs conversations on inbound calls
+elevenLabsWebhook.setInitiationHandler((request) => ctiMiddleware.getConversationInitiationData(request));
+
+// SuiteCRM server tools for ElevenLabs agents
+elevenLabsWebhook.setToolProvider(ctiMiddleware.agentTools);
+
 // Mount ElevenLabs webhook routes to API router
 apiRouter.use(elevenLabsWebhook.getRouter());
 
@@ -429,9 +637,14 @@ app.get('/', (req, res) => {
       health: `${API_PREFIX}/health`,
       status: `${API_PREFIX}/api/status`,
       activeCalls: `${API_PREFIX}/api/calls/active`,
+      originate: `${API_PREFIX}/api/calls/originate`,
       agents: `${API_PREFIX}/api/agents`,
+      queues: `${API_PREFIX}/api/queues`,
       screenPop: `${API_PREFIX}/api/screen-pop`,
+      callerIdLookup: `${API_PREFIX}/cid/lookup?number=<number>`,
       webhook: `${API_PREFIX}/webhook/elevenlabs`,
+      conversationInitiation: `${API_PREFIX}${config.get('elevenlabs.initiationPath')}`,
+      serverTools: `${API_PREFIX}${config.get('elevenlabs.toolsPath')}`,
       websocket: '/ws'
     }
   });
@@ -469,9 +682,20 @@ async function start() {
     // Initialize CTI Middleware (connects to FreePBX and tests SuiteCRM)
     await ctiMiddleware.initialize();
 
+    // Webhooks are stored before they are acknowledged and processed from the inbox
+    if (webhookInbox) {
+      await webhookInbox.open();
+      elevenLabsWebhook.setInbox(webhookInbox);
+    }
+
     // Initialize WebSocket server
     wsServer.initialize(server);
 
+    // Start the FastAGI server for dialplan routing lookups
+    if (config.get('agi.enabled')) {
+      await agiServer.start();
+    }
+
     // Start HTTP server
     const port = config.get('server.port');
     server.listen(port, () => {
@@ -495,6 +719,7 @@ async function start() {
     // Cleanup old calls every 10 minutes
     setInterval(() => {
       ctiMiddleware.cleanupOldCalls(60);
+      webhookInbox?.compact().catch(error => logger.error('Failed to compact webhook inbox', error));
     }, 10 * 60 * 1000);
 
     // Graceful shutdown handlers
@@ -503,6 +728,8 @@ async function start() {
 
       server.close(async () => {
         logger.info('HTTP server closed');
+        agiServer.close();
+        await webhookInbox?.stop();
         await ctiMiddleware.shutdown();
         process.exit(0);
       });
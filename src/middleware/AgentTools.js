@@ -0,0 +1,387 @@
+// Tools enabled when cti.agentTools.enabled is not set: read-only lookups
+const DEFAULT_ENABLED = ['lookup_customer', 'get_case_status'];
+
+const PHONE_NUMBER = {
+  type: 'string',
+  description: 'Caller phone number, normally the system__caller_id dynamic variable',
+  maxLength: 32
+};
+
+const CONTACT_ID = {
+  type: 'string',
+  description: 'SuiteCRM contact ID, normally the crm_contact_id dynamic variable',
+  maxLength: 36,
+  // The ID becomes part of the SuiteCRM URL path
+  pattern: '^[\\w-]+$'
+};
+
+/**
+ * Create an error carrying an HTTP status for the API layer
+ */
+function createError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check parameters against the subset of JSON schema the tool schemas use
+ */
+function validateParameters(schema, params) {
+  const errors = [];
+
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return ['parameters must be an object'];
+  }
+
+  for (const name of schema.required || []) {
+    if (params[name] === undefined || params[name] === null || params[name] === '') {
+      errors.push(`${name} is required`);
+    }
+  }
+
+  for (const [name, value] of Object.entries(params)) {
+    const property = schema.properties[name];
+
+    if (!property) {
+      errors.push(`${name} is not a parameter`);
+      continue;
+    }
+
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    if (property.type === 'integer' ? !Number.isInteger(value) : typeof value !== property.type) {
+      errors.push(`${name} must be of type ${property.type}`);
+      continue;
+    }
+
+    if (property.enum && !property.enum.includes(value)) {
+      errors.push(`${name} must be one of ${property.enum.join(', ')}`);
+    }
+    if (property.maxLength && value.length > property.maxLength) {
+      errors.push(`${name} must be at most ${property.maxLength} characters`);
+    }
+    if (property.pattern && !new RegExp(property.pattern).test(value)) {
+      errors.push(`${name} has an invalid format`);
+    }
+    if (property.minimum !== undefined && value < property.minimum) {
+      errors.push(`${name} must be at least ${property.minimum}`);
+    }
+    if (property.maximum !== undefined && value > property.maximum) {
+      errors.push(`${name} must be at most ${property.maximum}`);
+    }
+    if (property.format === 'date-time' && isNaN(Date.parse(value))) {
+      errors.push(`${name} must be an ISO 8601 date-time`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Agent Tools - ElevenLabs server tools backed by SuiteCRM
+ *
+ * Each tool has a JSON schema for its parameters, which is what is entered as
+ * the tool's body parameters in ElevenLabs, and a handler on SuiteCRMClient.
+ * Only the tools in cti.agentTools.enabled can be listed or run. Callers are
+ * identified by their phone number (or the contact ID from the conversation
+ * initiation variables); a Case is only reported to a caller of its account.
+ */
+class AgentTools {
+  constructor(suitecrmClient, logger, config = {}) {
+    this.suitecrm = suitecrmClient;
+    this.logger = logger;
+    this.enabled = new Set(config.enabled || DEFAULT_ENABLED);
+    this.assignedUserId = config.assignedUserId || null;
+    this.casePriority = config.casePriority || 'P2';
+    this.meetingDuration = config.meetingDuration || 30;
+
+    this.tools = {
+      lookup_customer: {
+        description: 'Look up the caller in the CRM: name, account and open cases',
+        parameters: {
+          type: 'object',
+          properties: {
+            phone_number: PHONE_NUMBER
+          },
+          required: ['phone_number']
+        },
+        handler: (params) => this.lookupCustomer(params)
+      },
+      create_case: {
+        description: 'Open a support case for the caller\'s account',
+        write: true,
+        parameters: {
+          type: 'object',
+          properties: {
+            phone_number: PHONE_NUMBER,
+            contact_id: CONTACT_ID,
+            subject: { type: 'string', description: 'Short summary of the issue', maxLength: 255 },
+            description: { type: 'string', description: 'Details of the issue as told by the caller', maxLength: 5000 },
+            priority: { type: 'string', enum: ['P1', 'P2', 'P3'], description: 'P1 high, P2 medium, P3 low' }
+          },
+          required: ['phone_number', 'subject']
+        },
+        handler: (params) => this.createCase(params)
+      },
+      get_case_status: {
+        description: 'Get the status of one of the caller\'s cases by case number',
+        parameters: {
+          type: 'object',
+          properties: {
+            phone_number: PHONE_NUMBER,
+            case_number: { type: 'string', description: 'Case number given by the caller', maxLength: 20 }
+          },
+          required: ['phone_number', 'case_number']
+        },
+        handler: (params) => this.getCaseStatus(params)
+      },
+      schedule_callback: {
+        description: 'Schedule a call back to the caller by an agent',
+        write: true,
+        parameters: {
+          type: 'object',
+          properties: {
+            phone_number: PHONE_NUMBER,
+            callback_time: { type: 'string', format: 'date-time', description: 'When to call back, ISO 8601 with time zone' },
+            reason: { type: 'string', description: 'What the call back is about', maxLength: 1000 }
+          },
+          required: ['phone_number', 'callback_time']
+        },
+        handler: (params) => this.scheduleCallback(params)
+      },
+      book_meeting: {
+        description: 'Book a meeting with the caller',
+        write: true,
+        parameters: {
+          type: 'object',
+          properties: {
+            phone_number: PHONE_NUMBER,
+            contact_id: CONTACT_ID,
+            start_time: { type: 'string', format: 'date-time', description: 'Meeting start, ISO 8601 with time zone' },
+            duration_minutes: { type: 'integer', minimum: 15, maximum: 480, description: 'Meeting length in minutes' },
+            subject: { type: 'string', description: 'Meeting subject', maxLength: 255 },
+            description: { type: 'string', description: 'Meeting agenda', maxLength: 5000 }
+          },
+          required: ['phone_number', 'start_time', 'subject']
+        },
+        handler: (params) => this.bookMeeting(params)
+      }
+    };
+
+    for (const name of this.enabled) {
+      if (!this.tools[name]) {
+        this.logger.warn('Unknown agent tool enabled in config', { tool: name });
+      }
+    }
+  }
+
+  /**
+   * Names, descriptions and parameter schemas of the enabled tools
+   */
+  listTools() {
+    return Object.entries(this.tools)
+      .filter(([name]) => this.enabled.has(name))
+      .map(([name, tool]) => ({
+        name,
+        description: tool.description,
+        parameters: tool.parameters
+      }));
+  }
+
+  /**
+   * Validate the parameters of an enabled tool and run it
+   */
+  async runTool(name, params = {}) {
+    const tool = this.tools[name];
+
+    if (!tool || !this.enabled.has(name)) {
+      throw createError(`Unknown tool: ${name}`, 404);
+    }
+
+    // No access token means SuiteCRM authentication failed or was lost
+    if (this.suitecrm.accessToken === null) {
+      throw createError('SuiteCRM is not available', 503);
+    }
+
+    const errors = validateParameters(tool.parameters, params);
+    if (errors.length > 0) {
+      throw createError(`Invalid parameters: ${errors.join('; ')}`, 400);
+    }
+
+    const result = await tool.handler(params);
+
+    if (tool.write) {
+      this.logger.logAudit('agent_tool', { tool: name, phoneNumber: params.phone_number, result });
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the caller's contact and account
+   */
+  async findCaller(phoneNumber, contactId) {
+    // An unknown contact ID falls back to the phone number
+    const [contactResult, accountResult] = await Promise.all([
+      contactId
+        ? this.suitecrm.getContact(contactId)
+          .then(result => ({ success: true, found: !!result.data, data: [result.data] }))
+          .catch(() => this.suitecrm.searchContactByPhone(phoneNumber))
+        : this.suitecrm.searchContactByPhone(phoneNumber),
+      this.suitecrm.searchAccountByPhone(phoneNumber)
+    ]);
+
+    if (!contactResult.success && !accountResult.success) {
+      throw createError('SuiteCRM is unavailable', 503);
+    }
+
+    const contact = contactResult.found ? contactResult.data[0] : null;
+    const account = accountResult.found ? accountResult.data[0] : null;
+
+    return {
+      contact,
+      account,
+      accountId: account?.id || contact?.attributes?.account_id || null
+    };
+  }
+
+  async lookupCustomer({ phone_number: phoneNumber }) {
+    const { contact, account, accountId } = await this.findCaller(phoneNumber);
+
+    if (!contact && !accountId) {
+      return { found: false };
+    }
+
+    const openCases = accountId ? await this.suitecrm.getOpenCases(accountId) : { data: [] };
+
+    return {
+      found: true,
+      contact_id: contact?.id || null,
+      name: contact ? `${contact.attributes.first_name || ''} ${contact.attributes.last_name || ''}`.trim() : null,
+      email: contact?.attributes?.email1 || null,
+      account_id: accountId,
+      account_name: account?.attributes?.name || null,
+      open_cases: (openCases.data || []).map(record => ({
+        case_number: record.attributes.case_number,
+        subject: record.attributes.name,
+        status: record.attributes.status,
+        priority: record.attributes.priority
+      }))
+    };
+  }
+
+  async createCase(params) {
+    const { contact, accountId } = await this.findCaller(params.phone_number, params.contact_id);
+
+    if (!accountId) {
+      return { success: false, message: 'No customer account found for this caller' };
+    }
+
+    const result = await this.suitecrm.createCase({
+      name: params.subject,
+      description: params.description || '',
+      priority: params.priority || this.casePriority,
+      accountId,
+      assignedUserId: this.assignedUserId
+    });
+
+    if (contact) {
+      await this.suitecrm.linkRecordToContact('Cases', result.id, contact.id)
+        .catch(error => this.logger.warn('Failed to link case to contact', { caseId: result.id, error: error.message }));
+    }
+
+    return {
+      success: true,
+      case_id: result.id,
+      case_number: result.data?.attributes?.case_number || null
+    };
+  }
+
+  async getCaseStatus({ phone_number: phoneNumber, case_number: caseNumber }) {
+    const [{ accountId }, caseResult] = await Promise.all([
+      this.findCaller(phoneNumber),
+      this.suitecrm.getCaseByNumber(String(caseNumber).replace(/^#/, '').trim())
+    ]);
+
+    const record = caseResult.found ? caseResult.data[0] : null;
+
+    // Cases of other accounts are reported as not found
+    if (!record || !accountId || record.attributes.account_id !== accountId) {
+      return { found: false };
+    }
+
+    return {
+      found: true,
+      case_number: record.attributes.case_number,
+      subject: record.attributes.name,
+      status: record.attributes.status,
+      state: record.attributes.state,
+      priority: record.attributes.priority,
+      last_updated: record.attributes.date_modified
+    };
+  }
+
+  async scheduleCallback({ phone_number: phoneNumber, callback_time: callbackTime, reason }) {
+    const { contact, accountId } = await this.findCaller(phoneNumber);
+
+    const result = await this.suitecrm.createTask({
+      name: `Call back ${phoneNumber}`,
+      description: [
+        `Call back requested during an AI agent conversation.`,
+        `Phone: ${phoneNumber}`,
+        reason ? `Reason: ${reason}` : null
+      ].filter(Boolean).join('\n'),
+      status: 'Not Started',
+      priority: 'Medium',
+      dateDue: new Date(callbackTime).toISOString(),
+      parentType: accountId ? 'Accounts' : null,
+      parentId: accountId,
+      contactId: contact?.id || null,
+      assignedUserId: this.assignedUserId
+    });
+
+    return {
+      success: true,
+      task_id: result.id,
+      callback_time: new Date(callbackTime).toISOString()
+    };
+  }
+
+  async bookMeeting(params) {
+    const { contact, accountId } = await this.findCaller(params.phone_number, params.contact_id);
+
+    if (!contact && !accountId) {
+      return { success: false, message: 'No customer found for this caller' };
+    }
+
+    const durationMinutes = params.duration_minutes || this.meetingDuration;
+    const dateStart = new Date(params.start_time).toISOString();
+
+    const result = await this.suitecrm.createMeeting({
+      name: params.subject,
+      description: params.description || '',
+      dateStart,
+      durationMinutes,
+      parentType: accountId ? 'Accounts' : null,
+      parentId: accountId,
+      assignedUserId: this.assignedUserId
+    });
+
+    if (contact) {
+      await this.suitecrm.linkRecordToContact('Meetings', result.id, contact.id)
+        .catch(error => this.logger.warn('Failed to link meeting to contact', { meetingId: result.id, error: error.message }));
+    }
+
+    return {
+      success: true,
+      meeting_id: result.id,
+      start_time: dateStart,
+      duration_minutes: durationMinutes
+    };
+  }
+}
+
+module.exports = AgentTools;
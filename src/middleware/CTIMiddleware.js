@@ -1,19 +1,121 @@
 const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const CallCorrelator = require('./CallCorrelator');
+const QueueMonitor = require('./QueueMonitor');
+const VoicemailMonitor = require('./VoicemailMonitor');
+const IvrTracker = require('./IvrTracker');
+const CallAccounting = require('./CallAccounting');
+const CallClassifier = require('./CallClassifier');
+const CrmRouter = require('./CrmRouter');
+const CallerIdLookup = require('./CallerIdLookup');
+const ConversationMatcher = require('./ConversationMatcher');
+const ConversationPersonalizer = require('./ConversationPersonalizer');
+const AgentTools = require('./AgentTools');
+const createAudioStorage = require('../services/createAudioStorage');
+
+/**
+ * Create an error carrying an HTTP status for the API layer
+ */
+function createError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Create an error telling the webhook inbox to try an event again later
+ */
+function createDeferral(message) {
+  const error = new Error(message);
+  error.deferred = true;
+  return error;
+}
+
+// In-call actions agents can perform on their own calls
+const CALL_ACTIONS = [
+  'hangup', 'transfer', 'attended_transfer', 'hold', 'unhold', 'park',
+  'record_start', 'record_stop', 'record_pause', 'record_resume'
+];
+
+// SuiteCRM record ids (UUIDs) as accepted in API requests
+const RECORD_ID_PATTERN = /^[\w-]{1,36}$/;
+
+// Why an unanswered inbound call was missed, by Q.850 hangup cause of the caller's channel
+const MISSED_CALL_REASONS = {
+  17: 'busy',
+  18: 'no_answer',
+  19: 'no_answer',
+  21: 'rejected'
+};
+
+// MIME types for recording attachments, by file extension
+const RECORDING_MIME_TYPES = {
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+  '.gsm': 'audio/x-gsm',
+  '.ogg': 'audio/ogg'
+};
 
 /**
  * CTI Middleware - Main orchestrator for FreePBX, ElevenLabs, and SuiteCRM integration
+ * freepbxClient is a PBX adapter (AMI or ARI backend, see services/PBXAdapter.js)
  */
 class CTIMiddleware extends EventEmitter {
-  constructor(freepbxClient, elevenLabsWebhook, suitecrmClient, wsServer, logger) {
+  constructor(freepbxClient, elevenLabsWebhook, suitecrmClient, wsServer, logger, config = {}) {
     super();
     this.freepbx = freepbxClient;
     this.elevenlabs = elevenLabsWebhook;
     this.suitecrm = suitecrmClient;
     this.wsServer = wsServer;
     this.logger = logger;
+    this.config = config;
+
+    // Group AMI channels into logical calls by Linkedid
+    this.callCorrelator = new CallCorrelator(logger);
 
     // Store active calls with their data
-    this.activeCalls = new Map(); // uniqueId -> call data
+    this.activeCalls = this.callCorrelator.calls; // linkedId -> call data
+    this.callerLookups = new Map(); // linkedId -> pending CRM lookup
+    this.originations = new Map(); // trackingId -> click-to-dial request awaiting its first channel
+
+    // Live queue state from AMI queue events
+    this.queueMonitor = new QueueMonitor(freepbxClient, logger);
+
+    // Duration, billsec and disposition from Asterisk's CDR/CEL events
+    this.accounting = new CallAccounting(freepbxClient, this.callCorrelator, logger, config.accounting);
+
+    // Inbound/outbound/internal labels and the skip policies
+    this.classifier = new CallClassifier(logger, config.classification);
+
+    // Channel variables for CRM-driven routing in the dialplan (FastAGI)
+    this.crmRouter = new CrmRouter(suitecrmClient, logger, config.routing, config.missedCalls?.agentUsers);
+
+    // Cached caller ID names for the PBX's CID lookup source
+    this.callerIdLookup = new CallerIdLookup(suitecrmClient, logger, config.callerId);
+
+    // IVR journey of each call from dialplan, DTMF and VarSet events
+    this.ivrTracker = new IvrTracker(logger, config.ivr);
+    this.freepbx.trackVariables(this.ivrTracker.variables);
+
+    // ElevenLabs conversations matched to PBX calls by call SID or by number and start time
+    this.conversationMatcher = new ConversationMatcher(logger, config.aiCorrelation);
+    this.freepbx.trackVariables(this.conversationMatcher.variables);
+
+    // Caller context for ElevenLabs conversations (conversation initiation webhook)
+    this.personalizer = new ConversationPersonalizer(suitecrmClient, logger, config.personalization);
+
+    // SuiteCRM actions ElevenLabs agents can invoke as server tools
+    this.agentTools = new AgentTools(suitecrmClient, logger, config.agentTools);
+
+    // Conversation audio from ElevenLabs post_call_audio webhooks, attached to the
+    // SuiteCRM records of the conversation once both the audio and the records exist
+    this.audioStorage = createAudioStorage(config.aiAudio, logger);
+    this.aiConversations = new Map(); // conversationId -> { audio, records, updatedAt }
+
+    // New voicemails for mapped mailboxes
+    this.voicemailMonitor = new VoicemailMonitor(freepbxClient, logger, config.voicemail);
 
     this.setupEventHandlers();
   }
@@ -28,9 +130,40 @@ class CTIMiddleware extends EventEmitter {
     this.freepbx.on('call:dial', (callData) => this.handleDial(callData));
     this.freepbx.on('call:hangup', (callData) => this.handleHangup(callData));
     this.freepbx.on('call:bridge', (callData) => this.handleBridge(callData));
+    this.freepbx.on('call:originate_response', (data) => this.handleOriginateResponse(data));
+    this.freepbx.on('call:recording', (data) => this.handleRecording(data));
+    this.freepbx.on('call:dialplan', (data) => this.handleDialplanStep(data));
+    this.freepbx.on('call:dtmf', (data) => this.handleDtmf(data));
+    this.freepbx.on('call:varset', (data) => this.handleCallVariable(data));
+    this.freepbx.on('channels:resynced', (summary) => this.handleResync(summary));
+
+    // Agent presence: phone state from AMI, desk state from WebSocket registrations
+    this.freepbx.on('agent:state', (state) => this.publishAgentState(state.extension));
+    this.wsServer.on('agent:registered', (agent) => this.publishAgentState(agent.extension));
+    this.wsServer.on('agent:disconnected', (agent) => this.publishAgentState(agent.extension));
+
+    // WebSocket commands from agents
+    this.wsServer.registerCommandHandler('call_control', (client, data) => this.controlCall(data.callId, data.action, {
+      agentExtension: client.metadata?.extension,
+      target: data.target,
+      source: 'websocket'
+    }));
+
+    // Queue Events
+    this.queueMonitor.on('queue:update', (queue) => this.wsServer.sendQueueUpdate(queue));
+
+    // Queue callers, for missed/abandoned call attribution
+    this.freepbx.on('queue:queuecallerjoin', (data) => this.handleQueueJoin(data));
+    this.queueMonitor.on('queue:abandon', (data) => this.handleQueueAbandon(data));
+
+    // Voicemail Events
+    this.freepbx.on('call:voicemail', (data) => this.handleCallerToVoicemail(data));
+    this.voicemailMonitor.on('voicemail', (voicemail) => this.handleVoicemail(voicemail));
 
     // ElevenLabs Webhook Events
     this.elevenlabs.on('post_call_transcription', (event) => this.handlePostCallTranscription(event));
+    this.elevenlabs.on('post_call_audio', (event) => this.handlePostCallAudio(event));
+    this.elevenlabs.on('call_initiation_failure', (event) => this.handleCallInitiationFailure(event));
 
     this.logger.info('CTI Middleware event handlers configured');
   }
@@ -62,16 +195,18 @@ class CTIMiddleware extends EventEmitter {
         // Disable CRM features but continue running
       }
 
-      // Connect to FreePBX AMI
-      // try {
-      //   await this.freepbx.connect();
-      //   this.logger.info('FreePBX AMI connection successful');
-      // } catch (error) {
-      //   this.logger.warn('FreePBX AMI connection failed - call tracking will be disabled', {
-      //     error: error.message,
-      //     hint: 'Configure AMI_HOST, AMI_USERNAME, AMI_SECRET in .env'
-      //   });
-      // }
+      // Connect to the PBX (the connection manager keeps retrying in the background)
+      try {
+        await this.freepbx.connect();
+        this.logger.info(`FreePBX ${this.freepbx.protocol} connection successful`);
+      } catch (error) {
+        this.logger.warn(`FreePBX ${this.freepbx.protocol} connection failed - call tracking disabled until connected`, {
+          error: error.message,
+          hint: this.freepbx.protocol === 'ARI'
+            ? 'Configure ARI_URL, ARI_USERNAME, ARI_PASSWORD in .env'
+            : 'Configure AMI_HOST, AMI_USERNAME, AMI_SECRET in .env'
+        });
+      }
 
       this.logger.info('CTI Middleware initialized (some services may be disabled)');
       return true;
@@ -92,192 +227,1225 @@ class CTIMiddleware extends EventEmitter {
    * Check if FreePBX is connected
    */
   isFreePBXConnected() {
-    // return this.freepbx && this.freepbx.isConnected();
-    return false;
+    return this.freepbx && this.freepbx.isConnected();
+  }
+
+  /**
+   * Get the PBX adapter a call came from
+   */
+  pbxFor(call) {
+    return this.freepbx.getPbx(call?.pbx) || this.freepbx;
+  }
+
+  /**
+   * "PBX: <name>" description line when more than one PBX is connected
+   */
+  describePbx(pbx) {
+    return pbx && this.freepbx.getPbxNames().length > 1 ? `PBX: ${pbx}` : null;
   }
 
   /**
    * Handle new call event from FreePBX
+   * Only the first channel of a Linkedid starts a logical call; later channels are added as legs
    */
   async handleNewCall(callData) {
     try {
+      if (this.classifier.shouldSkipChannel(callData)) {
+        this.logger.debug('Local channel skipped', { channel: callData.channel });
+        return;
+      }
+
+      const { call, leg, isNewCall } = this.callCorrelator.addLeg(callData);
+
+      if (!isNewCall) {
+        await this.handleNewLeg(call, leg);
+        return;
+      }
+
       this.logger.info('Processing new call', {
         callerId: callData.callerIdNum,
-        channel: callData.channel
-      });
-
-      // Store call data
-      this.activeCalls.set(callData.uniqueId, {
-        ...callData,
-        startTime: new Date().toISOString(),
-        events: ['new']
+        channel: callData.channel,
+        linkedId: call.linkedId
       });
 
-      // Search for existing contact in SuiteCRM (if available)
-      let contactResult = { found: false, data: [] };
-      let accountResult = { found: false, data: [] };
+      // Click-to-dial calls carry their tracking id as Linkedid
+      const origination = this.claimOrigination(call);
 
-      if (this.isSuiteCRMAvailable()) {
-        try {
-          contactResult = await this.suitecrm.searchContactByPhone(callData.callerIdNum);
-          accountResult = await this.suitecrm.searchAccountByPhone(callData.callerIdNum);
-        } catch (error) {
-          this.logger.warn('Failed to search CRM for caller', { error: error.message });
-        }
+      this.classifyCall(call);
+      if (call.skipped) {
+        this.logger.debug('Internal call skipped', { linkedId: call.linkedId, channel: callData.channel });
+        return;
       }
 
-      // Prepare screen pop data
-      const screenPopData = {
-        callerIdNum: callData.callerIdNum,
-        callerIdName: callData.callerIdName,
-        channel: callData.channel,
-        uniqueId: callData.uniqueId,
-        timestamp: callData.timestamp,
-        contact: contactResult.found ? contactResult.data[0] : null,
-        account: accountResult.found ? accountResult.data[0] : null
-      };
+      // Search for existing contact in SuiteCRM (if available); outbound calls look up who was dialed
+      // Legs created while the lookup is running wait on the same promise
+      const lookup = origination?.contact || origination?.account
+        ? Promise.resolve({ contact: origination.contact, account: origination.account })
+        : this.lookupCaller(call.direction === 'Outbound' && call.dialedNumber ? call.dialedNumber : callData.callerIdNum);
+      this.callerLookups.set(call.linkedId, lookup);
+
+      const { contact, account } = await lookup;
+      this.callerLookups.delete(call.linkedId);
 
       // Store contact/account info in active call
-      const activeCall = this.activeCalls.get(callData.uniqueId);
-      if (activeCall) {
-        activeCall.contact = screenPopData.contact;
-        activeCall.account = screenPopData.account;
-      }
+      call.contact = contact;
+      call.account = account;
+
+      // Prepare screen pop data
+      const screenPopData = this.buildScreenPopData(call);
 
       // Send screen pop to agents via WebSocket
       this.wsServer.sendCallUpdate(screenPopData);
 
       // If extension is available, send targeted screen pop
-      if (callData.exten) {
+      // (not for calls recovered after a reconnect - they are already in progress)
+      if (callData.exten && !callData.recovered) {
+        call.screenPops.push(callData.exten);
         this.wsServer.sendScreenPop(callData.exten, screenPopData);
       }
 
-      this.emit('call:processed', {
-        uniqueId: callData.uniqueId,
-        contactFound: contactResult.found,
-        accountFound: accountResult.found
-      });
+      this.emit('call:processed', {
+        uniqueId: callData.uniqueId,
+        linkedId: call.linkedId,
+        contactFound: !!contact,
+        accountFound: !!account
+      });
+
+    } catch (error) {
+      this.logger.error('Error handling new call', error, {
+        callerId: callData.callerIdNum
+      });
+    }
+  }
+
+  /**
+   * Handle an additional channel (e.g. a ring group member) on an existing call
+   */
+  async handleNewLeg(call, leg) {
+    if (call.skipped) {
+      return;
+    }
+
+    this.logger.info('New leg on existing call', {
+      linkedId: call.linkedId,
+      channel: leg.channel,
+      extension: leg.extension,
+      legs: call.legs.length
+    });
+
+    // Pop the ringing agent's screen with the caller's details, once per extension
+    // (Local/ helper channels and the phone itself both map to the same extension)
+    if (!leg.extension || leg.recovered || call.screenPops.includes(leg.extension)) {
+      return;
+    }
+    call.screenPops.push(leg.extension);
+
+    const caller = (await this.callerLookups.get(call.linkedId)) || call;
+
+    this.wsServer.sendScreenPop(leg.extension, this.buildScreenPopData(call, caller));
+  }
+
+  /**
+   * Channel variables for CRM-driven routing, requested by the dialplan over FastAGI
+   * The caller's number is the first AGI argument, else the channel's caller id
+   */
+  async getRoutingVariables(request, { signal } = {}) {
+    if (!this.isSuiteCRMAvailable()) {
+      return { CRM_LOOKUP_STATUS: 'UNAVAILABLE' };
+    }
+
+    return this.crmRouter.getVariables(request.args[0] || request.callerIdNum, { signal });
+  }
+
+  /**
+   * Display name of a caller for the PBX's caller ID lookup; '' when unknown
+   */
+  async getCallerIdName(phoneNumber) {
+    if (!this.isSuiteCRMAvailable()) {
+      return '';
+    }
+
+    return this.callerIdLookup.getName(phoneNumber);
+  }
+
+  /**
+   * Label a call Inbound, Outbound or Internal and apply the skip policy
+   * Runs when the call starts and again when it ends, when all of its legs are known
+   */
+  classifyCall(call) {
+    const classification = this.classifier.classify(call, this.pbxFor(call));
+
+    if (classification) {
+      call.direction = classification.direction;
+      call.directionReason = classification.reason;
+      call.dialedNumber = call.dialedNumber || classification.destination || undefined;
+      call.did = call.did || classification.did || undefined;
+    }
+
+    call.skipped = this.classifier.shouldSkipCall(call);
+  }
+
+  /**
+   * Start a click-to-dial call: ring the agent's phone, then dial the target
+   * The target is either a number or a SuiteCRM contact/account whose best phone number is used
+   * The call is placed on the given PBX, else on the PBX the agent's phone is registered to
+   */
+  async originateCall({ agentExtension, number, contactId, accountId, pbx }) {
+    const adapter = this.freepbx.getPbx(pbx || this.freepbx.getExtensionState(String(agentExtension))?.pbx);
+
+    if (!adapter) {
+      throw createError(`Unknown PBX: ${pbx}`, 400);
+    }
+
+    if (!adapter.isConnected()) {
+      throw createError(`FreePBX ${adapter.protocol} not connected`, 503);
+    }
+
+    const target = {
+      number,
+      name: '',
+      contact: null,
+      account: null
+    };
+
+    if (!number) {
+      if (!this.isSuiteCRMAvailable()) {
+        throw createError('SuiteCRM not available for record lookup', 503);
+      }
+
+      const module = contactId ? 'Contacts' : 'Accounts';
+      const recordId = String(contactId || accountId);
+
+      // The id becomes part of the SuiteCRM URL path
+      if (!RECORD_ID_PATTERN.test(recordId)) {
+        throw createError(`Invalid ${contactId ? 'contactId' : 'accountId'}`, 400);
+      }
+
+      let lookup;
+      try {
+        lookup = await this.suitecrm.getPhoneNumberForRecord(module, recordId);
+      } catch (error) {
+        if (error.response?.status === 404) {
+          throw createError(`${module} record not found: ${recordId}`, 404);
+        }
+        throw createError(`SuiteCRM record lookup failed: ${error.message}`, 502);
+      }
+
+      if (!lookup.phoneNumber) {
+        throw createError(`No phone number found on ${module} record`, 422);
+      }
+
+      target.number = lookup.phoneNumber;
+      target.name = lookup.name;
+      target.contact = module === 'Contacts' ? lookup.record : null;
+      target.account = module === 'Accounts' ? lookup.record : null;
+    }
+
+    const dialNumber = String(target.number).replace(/[^\d+*#]/g, '');
+    if (!dialNumber) {
+      throw createError('Invalid target number', 400);
+    }
+
+    // The tracking id becomes the call's Linkedid, so it is qualified like the PBX's own ids
+    const trackingId = adapter.globalId(uuidv4());
+
+    this.originations.set(trackingId, {
+      trackingId,
+      pbx: adapter.name,
+      agentExtension,
+      number: dialNumber,
+      name: target.name,
+      contact: target.contact,
+      account: target.account,
+      createdAt: new Date().toISOString()
+    });
+
+    try {
+      await adapter.originateFromExtension(agentExtension, dialNumber, {
+        channelId: trackingId,
+        callerIdName: target.name,
+        variables: { CTI_TRACKING_ID: trackingId }
+      });
+    } catch (error) {
+      this.originations.delete(trackingId);
+      throw createError(`Failed to originate call: ${error.message}`, 502);
+    }
+
+    this.logger.info('Click-to-dial call originated', {
+      trackingId,
+      pbx: adapter.name,
+      agentExtension,
+      number: dialNumber,
+      contactId: target.contact?.id,
+      accountId: target.account?.id
+    });
+
+    return {
+      trackingId,
+      pbx: adapter.name,
+      agentExtension,
+      number: dialNumber,
+      name: target.name || null
+    };
+  }
+
+  /**
+   * Attach a pending click-to-dial request to the call it created
+   */
+  claimOrigination(call) {
+    const origination = this.originations.get(call.linkedId);
+
+    if (!origination) {
+      return null;
+    }
+
+    this.originations.delete(call.linkedId);
+
+    call.direction = 'Outbound';
+    call.trackingId = origination.trackingId;
+    call.dialedNumber = origination.number;
+    call.agentExtension = origination.agentExtension;
+
+    return origination;
+  }
+
+  /**
+   * Handle the outcome of an async Originate
+   */
+  async handleOriginateResponse(data) {
+    if (data.success) {
+      return;
+    }
+
+    const origination = this.originations.get(data.uniqueId);
+    const call = this.getActiveCall(data.uniqueId);
+    const trackingId = origination?.trackingId || call?.trackingId;
+
+    if (!trackingId) {
+      return;
+    }
+
+    this.originations.delete(trackingId);
+
+    this.logger.warn('Click-to-dial call failed', {
+      trackingId,
+      reason: data.reason
+    });
+
+    this.wsServer.sendCallUpdate({
+      type: 'originate_failed',
+      trackingId,
+      pbx: data.pbx || null,
+      agentExtension: origination?.agentExtension || call?.agentExtension,
+      number: origination?.number || call?.dialedNumber,
+      reason: data.reason
+    });
+  }
+
+  /**
+   * Perform an in-call action on behalf of an agent
+   * The call is addressed by its call id (Linkedid) and the agent must be a party to it
+   */
+  async controlCall(callId, action, { agentExtension, target, source = 'api' } = {}) {
+    const audit = { callId, agentExtension, target, source };
+
+    try {
+      if (!CALL_ACTIONS.includes(action)) {
+        throw createError(`Unknown call action: ${action}`, 400);
+      }
+
+      if (!agentExtension) {
+        throw createError('Agent extension required', 400);
+      }
+
+      if ((action === 'transfer' || action === 'attended_transfer') && !/^[\d*#]+$/.test(String(target || ''))) {
+        throw createError('Valid transfer target required', 400);
+      }
+
+      const call = this.getActiveCall(callId);
+      if (!call || call.endTime) {
+        throw createError('Call not found or already ended', 404);
+      }
+
+      const pbx = this.pbxFor(call);
+      if (!pbx.isConnected()) {
+        throw createError(`FreePBX ${pbx.protocol} not connected`, 503);
+      }
+
+      const agentLeg = this.findAgentLeg(call, String(agentExtension));
+      if (!agentLeg) {
+        throw createError('Agent is not a party to this call', 403);
+      }
+
+      const remoteChannel = this.findRemoteChannel(call, agentLeg);
+      if (!remoteChannel && ['transfer', 'hold', 'park'].includes(action)) {
+        throw createError('No connected party to act on', 409);
+      }
+
+      if (action === 'hold' && call.hold) {
+        throw createError('Call is already on hold', 409);
+      }
+      if (action === 'unhold' && !call.hold) {
+        throw createError('Call is not on hold', 409);
+      }
+
+      try {
+        switch (action) {
+          case 'hangup':
+            await pbx.hangupChannel(agentLeg.channel);
+            break;
+          case 'transfer':
+            await pbx.redirectChannel(remoteChannel, String(target));
+            break;
+          case 'attended_transfer':
+            await pbx.attendedTransfer(agentLeg.channel, String(target));
+            break;
+          case 'hold':
+            await pbx.holdChannel(agentLeg.channel, remoteChannel);
+            call.hold = { agentChannel: agentLeg.channel, remoteChannel, since: new Date() };
+            break;
+          case 'unhold':
+            // On AMI the held party has left the bridge, so the channels come from the hold
+            await pbx.unholdChannel(call.hold.agentChannel, call.hold.remoteChannel);
+            call.hold = null;
+            break;
+          case 'park':
+            await pbx.parkChannel(remoteChannel, agentLeg.channel);
+            break;
+          case 'record_start':
+          case 'record_stop':
+          case 'record_pause':
+          case 'record_resume':
+            await this.controlRecording(call, action, agentLeg, agentExtension);
+            break;
+        }
+      } catch (error) {
+        throw error.status ? error : createError(`${pbx.protocol} action failed: ${error.message}`, 502);
+      }
+
+      call.events.push(`control:${action}`);
+
+      this.logger.logAudit(`call_${action}`, {
+        ...audit,
+        result: 'success',
+        channel: agentLeg.channel,
+        remoteChannel
+      });
+
+      this.wsServer.sendCallUpdate({
+        type: 'call_control',
+        callId: call.linkedId,
+        pbx: call.pbx || null,
+        action,
+        agentExtension,
+        target: target || null
+      });
+
+      return {
+        callId: call.linkedId,
+        action,
+        target: target || null
+      };
+    } catch (error) {
+      this.logger.logAudit(`call_${action}`, {
+        ...audit,
+        result: 'failed',
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Start, stop, pause or resume the recording of a call
+   * Pause/resume/stop act on the channel the active recording runs on, which for
+   * recordings started by the FreePBX dialplan is not necessarily the agent's channel
+   */
+  async controlRecording(call, action, agentLeg, agentExtension) {
+    const recordings = this.config.recordings || {};
+    const active = this.getActiveRecording(call);
+
+    if (action === 'record_start') {
+      if (active) {
+        throw createError('Call is already being recorded', 409);
+      }
+
+      const file = `cti-${call.linkedId}-${Date.now()}.${recordings.format || 'wav'}`;
+      await this.pbxFor(call).startRecording(agentLeg.channel, file);
+
+      call.recordings.push({
+        file,
+        channel: agentLeg.channel,
+        uniqueId: agentLeg.uniqueId,
+        status: 'recording',
+        startedBy: agentExtension,
+        startedAt: new Date().toISOString()
+      });
+      return;
+    }
+
+    if (!active) {
+      throw createError('Call is not being recorded', 409);
+    }
+
+    if (action === 'record_stop') {
+      await this.pbxFor(call).stopRecording(active.channel);
+      active.status = 'stopped';
+      active.stoppedAt = new Date().toISOString();
+      return;
+    }
+
+    const pause = action === 'record_pause';
+    await this.pbxFor(call).pauseRecording(active.channel, pause, recordings.legacyMonitor);
+    active.status = pause ? 'paused' : 'recording';
+  }
+
+  /**
+   * Get the recording currently running (or paused) on a call
+   */
+  getActiveRecording(call) {
+    return call.recordings.find(recording => recording.status !== 'stopped');
+  }
+
+  /**
+   * Handle MIXMONITOR_FILENAME being set on one of a call's channels
+   */
+  handleRecording(data) {
+    const call = this.callCorrelator.getCallByUniqueId(data.uniqueId) || this.activeCalls.get(data.linkedId);
+
+    if (!call) {
+      return;
+    }
+
+    this.addRecording(call, data.file, data);
+
+    this.wsServer.sendCallUpdate({
+      type: 'recording',
+      linkedId: call.linkedId,
+      pbx: call.pbx || null,
+      channel: data.channel,
+      file: data.file
+    });
+  }
+
+  /**
+   * Record a recording file on a call, once per file
+   * Recordings started from the middleware use a relative file name until
+   * Asterisk reports the full path
+   */
+  addRecording(call, file, { channel, uniqueId } = {}) {
+    if (call.recordings.some(recording => recording.file === file)) {
+      return;
+    }
+
+    const requested = call.recordings.find(recording =>
+      recording.channel === channel && !path.isAbsolute(recording.file) && file.endsWith(recording.file)
+    );
+
+    if (requested) {
+      requested.file = file;
+      return;
+    }
+
+    call.recordings.push({
+      file,
+      channel,
+      uniqueId,
+      status: 'recording',
+      startedBy: null,
+      startedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Attach a finished call's recordings to its SuiteCRM Calls record as Notes
+   * The audio itself is uploaded only when the PBX recording directory is readable locally
+   */
+  async attachRecordings(activeCall) {
+    const recordings = this.config.recordings || {};
+
+    if (recordings.attachToCrm === false || !activeCall.crmCallId) {
+      return;
+    }
+
+    for (const recording of activeCall.recordings) {
+      try {
+        const note = {
+          name: `Call recording ${path.basename(recording.file)}`,
+          description: [
+            `Recording file: ${recording.file}`,
+            `Channel: ${recording.channel}`,
+            this.describePbx(activeCall.pbx),
+            recording.startedBy ? `Started by extension ${recording.startedBy}` : null
+          ].filter(Boolean).join('\n'),
+          parentType: 'Calls',
+          parentId: activeCall.crmCallId,
+          contactId: activeCall.contact?.id
+        };
+
+        const upload = await this.readRecording(recording.file);
+        if (upload) {
+          note.filename = path.basename(recording.file);
+          note.mimeType = RECORDING_MIME_TYPES[path.extname(recording.file).toLowerCase()];
+          note.fileContents = upload.toString('base64');
+        }
+
+        const result = await this.suitecrm.createNote(note);
+        recording.crmNoteId = result.id;
+      } catch (error) {
+        this.logger.error('Failed to attach recording to CRM call', error, {
+          crmCallId: activeCall.crmCallId,
+          file: recording.file
+        });
+      }
+    }
+  }
+
+  /**
+   * Read a recording from the locally mounted PBX recording directory
+   * Returns null when uploads are disabled or the file is not available
+   */
+  async readRecording(file) {
+    const recordings = this.config.recordings || {};
+
+    if (!recordings.uploadToCrm || !recordings.localDirectory || !path.isAbsolute(file)) {
+      return null;
+    }
+
+    const pbxDirectory = recordings.pbxDirectory || '/var/spool/asterisk/monitor';
+    const relative = path.relative(pbxDirectory, file);
+
+    if (relative.startsWith('..')) {
+      this.logger.warn('Recording is outside the PBX recording directory, not uploading', { file, pbxDirectory });
+      return null;
+    }
+
+    const localFile = path.join(recordings.localDirectory, relative);
+
+    try {
+      const stats = await fs.promises.stat(localFile);
+
+      if (stats.size > (recordings.maxUploadSize || 20 * 1024 * 1024)) {
+        this.logger.warn('Recording too large to upload, attaching reference only', { localFile, size: stats.size });
+        return null;
+      }
+
+      return await fs.promises.readFile(localFile);
+    } catch (error) {
+      this.logger.warn('Recording file not readable, attaching reference only', { localFile, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Find the agent's own live phone channel on a call
+   * Real device channels are preferred over Local/ helper channels
+   */
+  findAgentLeg(call, agentExtension) {
+    const legs = call.legs.filter(leg => leg.extension === agentExtension && !leg.endTime);
+    return legs.find(leg => !leg.channel.startsWith('Local/')) || legs[0];
+  }
+
+  /**
+   * Find the channel the agent is talking to
+   */
+  findRemoteChannel(call, agentLeg) {
+    const bridgeId = this.freepbx.getActiveChannel(agentLeg.uniqueId)?.bridgeId;
+
+    if (bridgeId) {
+      const peer = this.freepbx.getBridgeMembers(bridgeId).find(member => member.uniqueId !== agentLeg.uniqueId);
+      if (peer) {
+        return peer.channel;
+      }
+    }
+
+    const other = call.legs.find(leg => leg !== agentLeg && !leg.endTime && leg.extension !== agentLeg.extension);
+    return other ? other.channel : null;
+  }
+
+  /**
+   * Look up the caller's contact and account in SuiteCRM
+   */
+  async lookupCaller(phoneNumber) {
+    let contactResult = { found: false, data: [] };
+    let accountResult = { found: false, data: [] };
+
+    if (this.isSuiteCRMAvailable() && phoneNumber) {
+      try {
+        contactResult = await this.suitecrm.searchContactByPhone(phoneNumber);
+        accountResult = await this.suitecrm.searchAccountByPhone(phoneNumber);
+      } catch (error) {
+        this.logger.warn('Failed to search CRM for caller', { error: error.message });
+      }
+    }
+
+    return {
+      contact: contactResult.found ? contactResult.data[0] : null,
+      account: accountResult.found ? accountResult.data[0] : null
+    };
+  }
+
+  /**
+   * Build screen pop payload for a logical call
+   */
+  buildScreenPopData(call, caller = call) {
+    return {
+      callerIdNum: call.callerIdNum,
+      callerIdName: call.callerIdName,
+      channel: call.channel,
+      uniqueId: call.uniqueId,
+      linkedId: call.linkedId,
+      pbx: call.pbx || null,
+      direction: call.direction || null,
+      timestamp: call.timestamp,
+      contact: caller.contact || null,
+      account: caller.account || null,
+      ivrPath: call.ivr?.path || []
+    };
+  }
+
+  /**
+   * Handle a dialplan step; IVR menu choices are added to the call's journey
+   */
+  handleDialplanStep(data) {
+    const call = this.callCorrelator.getCallByUniqueId(data.uniqueId);
+    if (!call) return;
+
+    const entry = this.ivrTracker.addDialplanStep(call, data);
+
+    if (entry?.type === 'option') {
+      this.wsServer.sendCallUpdate({
+        type: 'ivr',
+        linkedId: call.linkedId,
+        pbx: call.pbx || null,
+        callerIdNum: call.callerIdNum,
+        step: entry,
+        ivrPath: call.ivr.path
+      });
+    }
+  }
+
+  /**
+   * Handle a DTMF digit pressed on one of a call's channels
+   */
+  handleDtmf(data) {
+    const call = this.callCorrelator.getCallByUniqueId(data.uniqueId);
+    if (call) {
+      this.ivrTracker.addDtmf(call, data);
+    }
+  }
+
+  /**
+   * Handle a tracked channel variable being set on one of a call's channels
+   */
+  handleCallVariable(data) {
+    const call = this.callCorrelator.getCallByUniqueId(data.uniqueId);
+    if (call && !this.conversationMatcher.addVariable(call, data)) {
+      this.ivrTracker.addVariable(call, data);
+    }
+  }
+
+  /**
+   * Handle call state changes
+   */
+  async handleCallState(callData) {
+    const activeCall = this.callCorrelator.getCallByUniqueId(callData.uniqueId);
+    const leg = this.callCorrelator.getLeg(callData.uniqueId);
+
+    if (activeCall && leg) {
+      leg.state = callData.state;
+      leg.stateDesc = callData.stateDesc;
+
+      if (leg.isPrimary) {
+        activeCall.state = callData.state;
+        activeCall.stateDesc = callData.stateDesc;
+      }
+      activeCall.events.push(`state:${callData.stateDesc}`);
+
+      this.logger.debug('Call state changed', {
+        uniqueId: callData.uniqueId,
+        linkedId: activeCall.linkedId,
+        state: callData.stateDesc
+      });
+    }
+  }
+
+  /**
+   * Handle dial event
+   */
+  async handleDial(callData) {
+    if (this.callCorrelator.getCallByUniqueId(callData.uniqueId)?.skipped) {
+      return;
+    }
+
+    this.logger.info('Dial event', {
+      from: callData.callerIdNum,
+      to: callData.destination,
+      status: callData.dialStatus
+    });
+
+    // Send dial update to WebSocket clients
+    this.wsServer.sendCallUpdate({
+      type: 'dial',
+      ...callData
+    });
+  }
+
+  /**
+   * Handle call hangup
+   * The CRM record is written once, when the last leg of the logical call hangs up
+   */
+  async handleHangup(callData) {
+    try {
+      this.logger.info('Processing call hangup', {
+        callerId: callData.callerIdNum,
+        duration: callData.duration,
+        cause: callData.causeTxt
+      });
+
+      // The last leg was already processed (duplicate hangup event)
+      if (this.callCorrelator.getCallByUniqueId(callData.uniqueId)?.endTime) {
+        return;
+      }
+
+      const result = this.callCorrelator.endLeg(callData.uniqueId, callData);
+
+      if (!result) {
+        return;
+      }
+
+      const { call: activeCall, leg, isLastLeg } = result;
+      activeCall.answeredTime = activeCall.answeredTime || callData.answeredAt || null;
+
+      // A hold ends with either of its channels
+      if (activeCall.hold && [activeCall.hold.agentChannel, activeCall.hold.remoteChannel].includes(leg.channel)) {
+        activeCall.hold = null;
+      }
+
+      if (!isLastLeg && activeCall.skipped) {
+        return;
+      }
+
+      if (!isLastLeg) {
+        activeCall.events.push(`leg_hangup:${leg.channel}`);
+
+        this.wsServer.sendCallUpdate({
+          type: 'leg_hangup',
+          ...callData,
+          linkedId: activeCall.linkedId
+        });
+        return;
+      }
+
+      activeCall.endTime = new Date().toISOString();
+      activeCall.duration = Math.floor((new Date(activeCall.endTime) - new Date(activeCall.startTime)) / 1000);
+      activeCall.hangupCause = callData.causeTxt;
+      activeCall.endedWhileDisconnected = callData.endedWhileDisconnected;
+      activeCall.events.push('hangup');
+
+      // All legs are known now, which settles calls whose destination was unclear at the start
+      const poppedBeforeSkip = !activeCall.skipped && activeCall.screenPops.length > 0;
+      this.classifyCall(activeCall);
+
+      if (activeCall.skipped) {
+        this.callCorrelator.removeCall(activeCall.linkedId);
+        this.logger.debug('Internal call ended without CRM record', { linkedId: activeCall.linkedId });
+
+        // Agents that already got a screen pop still need to see the call end
+        if (poppedBeforeSkip) {
+          this.wsServer.sendCallUpdate({ type: 'hangup', ...callData, linkedId: activeCall.linkedId, direction: 'Internal' });
+        }
+        return;
+      }
+
+      // Prefer Asterisk's accounting over the wall-clock duration (no CDRs exist for calls lost during an outage)
+      if (!activeCall.endedWhileDisconnected) {
+        await this.applyAccounting(activeCall);
+      }
+
+      activeCall.missed = this.classifyMissedCall(activeCall);
+
+      if (callData.recordingFile) {
+        this.addRecording(activeCall, callData.recordingFile, callData);
+      }
+      activeCall.recordings.forEach(recording => {
+        recording.status = 'stopped';
+        recording.stoppedAt = recording.stoppedAt || activeCall.endTime;
+      });
+
+      // Create call record in SuiteCRM (if available)
+      if (this.isSuiteCRMAvailable()) {
+        await this.createCRMCallRecord(activeCall);
+        await this.attachRecordings(activeCall);
+      } else {
+        this.logger.debug('Skipping CRM call record creation - SuiteCRM not available');
+      }
+
+      if (activeCall.missed) {
+        await this.handleMissedCall(activeCall);
+      }
+
+      // The ElevenLabs transcription arrived while the call was still up: the inbox
+      // runs it now (failures are retried there), or it is processed from memory
+      if (activeCall.conversationId) {
+        await this.elevenlabs.retryEvent('post_call_transcription', activeCall.conversationId)
+          .catch(error => this.logger.error('Failed to queue deferred transcription', error, { linkedId: activeCall.linkedId }));
+      }
+      if (activeCall.pendingTranscription) {
+        const event = activeCall.pendingTranscription;
+        delete activeCall.pendingTranscription;
+        // Errors are logged by the handler and must not stop the hangup
+        await this.handlePostCallTranscription(event).catch(() => {});
+      }
+
+      // Send hangup notification to WebSocket clients
+      this.wsServer.sendCallUpdate({
+        type: 'hangup',
+        ...callData,
+        linkedId: activeCall.linkedId,
+        direction: activeCall.direction || null,
+        duration: activeCall.duration,
+        billsec: activeCall.billsec ?? null,
+        disposition: activeCall.disposition || null,
+        crmCallId: activeCall.crmCallId,
+        recordings: activeCall.recordings.map(recording => recording.file)
+      });
+
+      // Keep call data for webhook correlation (don't delete yet)
+      // Will be cleaned up after webhook or timeout
+
+    } catch (error) {
+      this.logger.error('Error handling call hangup', error, {
+        callerId: callData.callerIdNum
+      });
+    }
+  }
+
+  /**
+   * Subject of the SuiteCRM call record
+   */
+  describeCall(activeCall) {
+    const destination = activeCall.dialedNumber || 'unknown number';
+
+    if (activeCall.direction === 'Internal') {
+      return `Internal call from ${activeCall.callerIdNum} to ${destination}`;
+    }
+
+    return activeCall.direction === 'Outbound'
+      ? `Call to ${destination}`
+      : `Call from ${activeCall.callerIdNum}`;
+  }
+
+  /**
+   * Create the SuiteCRM Calls record for a finished logical call
+   */
+  async createCRMCallRecord(activeCall) {
+    try {
+      // Only use standard Call module fields to avoid custom field validation errors
+      // Custom fields will be stored in CallLog record when webhook arrives
+      const crmCallData = {
+        name: this.describeCall(activeCall),
+        callerIdNum: activeCall.callerIdNum,
+        // Note: Not passing callerIdName, conversationId, or other custom fields
+        // as they don't exist in the standard Calls module
+        startTime: activeCall.startTime,
+        // Talk time when Asterisk accounting is available
+        duration: activeCall.billsec ?? activeCall.duration,
+        status: activeCall.answeredTime || activeCall.endedWhileDisconnected ? 'Held' : 'Not Held',
+        // SuiteCRM only knows Inbound and Outbound; internal calls are logged from the caller's side
+        direction: activeCall.direction === 'Internal' ? 'Outbound' : activeCall.direction || 'Inbound',
+        description: [
+          `Call ended: ${activeCall.hangupCause}`,
+          activeCall.accounting
+            ? `Duration: ${activeCall.accounting.duration}s, billable: ${activeCall.accounting.billsec}s, disposition: ${activeCall.accounting.disposition} (from ${activeCall.accounting.source.toUpperCase()})`
+            : null,
+          activeCall.missed ? `Missed call: ${activeCall.missed.reason.replace('_', ' ')}${activeCall.missed.queue ? ` (queue ${activeCall.missed.queue})` : ''}` : null,
+          `Channel: ${activeCall.channel}`,
+          this.describePbx(activeCall.pbx),
+          activeCall.did ? `DID: ${activeCall.did}` : null,
+          this.ivrTracker.formatPath(activeCall) ? `IVR path: ${this.ivrTracker.formatPath(activeCall)}` : null,
+          activeCall.ivr && Object.keys(activeCall.ivr.variables).length > 0
+            ? `IVR variables: ${Object.entries(activeCall.ivr.variables).map(([name, value]) => `${name}=${value}`).join(', ')}`
+            : null,
+          activeCall.endedWhileDisconnected ? 'Ended while the middleware was disconnected from AMI; end time and duration are approximate' : null,
+          activeCall.trackingId ? `Click-to-dial by extension ${activeCall.agentExtension} (tracking id ${activeCall.trackingId})` : null,
+          activeCall.legs.length > 1 ? `Legs: ${activeCall.legs.map(leg => leg.channel).join(', ')}` : null,
+          activeCall.answeredTime ? `Answered: ${activeCall.answeredTime}${activeCall.answeredBy ? ` by extension ${activeCall.answeredBy}` : ''}` : null,
+          ...activeCall.recordings.map(recording => `Recording: ${recording.file}`)
+        ].filter(Boolean).join('\n')
+      };
+
+      const result = await this.suitecrm.createCall(crmCallData);
+
+      if (result.success) {
+        activeCall.crmCallId = result.id;
+
+        // Link to contact if found
+        if (activeCall.contact?.id) {
+          await this.suitecrm.linkCallToContact(result.id, activeCall.contact.id);
+        }
+
+        // Link to account if found
+        if (activeCall.account?.id) {
+          await this.suitecrm.linkCallToAccount(result.id, activeCall.account.id);
+        }
+
+        this.logger.info('Call record created in CRM', {
+          crmCallId: result.id,
+          linkedId: activeCall.linkedId
+        });
+      }
+    } catch (error) {
+      this.logger.error('Failed to create call record in CRM', error);
+    }
+  }
+
+  /**
+   * Replace wall-clock timings of a finished call with CDR/CEL accounting
+   */
+  async applyAccounting(activeCall) {
+    const accounting = await this.accounting.waitFor(activeCall);
+
+    if (!accounting) {
+      return;
+    }
+
+    activeCall.accounting = accounting;
+    activeCall.duration = accounting.duration;
+    activeCall.billsec = accounting.billsec;
+    activeCall.disposition = accounting.disposition;
+
+    // Keep the answer time from the bridge when accounting has none
+    if (accounting.answeredTime) {
+      activeCall.answeredTime = accounting.answeredTime;
+    }
+
+    if (accounting.startTime) {
+      activeCall.startTime = accounting.startTime;
+    }
+  }
+
+  /**
+   * Remember which queue a call waited in
+   */
+  handleQueueJoin(data) {
+    const call = this.callCorrelator.getCallByUniqueId(data.uniqueId);
+    if (call) {
+      call.queue = data.queue;
+    }
+  }
 
-    } catch (error) {
-      this.logger.error('Error handling new call', error, {
-        callerId: callData.callerIdNum
-      });
+  /**
+   * Mark a call whose caller hung up while waiting in a queue
+   */
+  handleQueueAbandon(data) {
+    const call = this.callCorrelator.getCallByUniqueId(data.uniqueId);
+    if (call) {
+      call.queue = data.queue;
+      call.abandoned = { queue: data.queue, holdTime: data.holdTime };
+      call.events.push('queue_abandon');
     }
   }
 
   /**
-   * Handle call state changes
+   * Mark a call whose caller was sent to voicemail
    */
-  async handleCallState(callData) {
-    const activeCall = this.activeCalls.get(callData.uniqueId);
+  handleCallerToVoicemail(data) {
+    const call = this.callCorrelator.getCallByUniqueId(data.uniqueId);
+    if (call) {
+      call.sentToVoicemail = data.mailboxes;
+    }
+  }
 
-    if (activeCall) {
-      activeCall.state = callData.state;
-      activeCall.stateDesc = callData.stateDesc;
-      activeCall.events.push(`state:${callData.stateDesc}`);
+  /**
+   * Decide whether a finished call was missed
+   * An inbound call is missed when it was never bridged to anyone; returns null otherwise
+   */
+  classifyMissedCall(activeCall) {
+    // Unanswered outbound and internal calls are Not Held but not missed; for calls that
+    // ended during an AMI outage there is no way to tell whether they were answered
+    if (activeCall.answeredTime || ['Outbound', 'Internal'].includes(activeCall.direction) || activeCall.endedWhileDisconnected) {
+      return null;
+    }
 
-      this.logger.debug('Call state changed', {
-        uniqueId: callData.uniqueId,
-        state: callData.stateDesc
-      });
+    const callerLeg = activeCall.legs.find(leg => leg.isPrimary) || activeCall.legs[0];
+    let reason = MISSED_CALL_REASONS[callerLeg?.hangupCauseCode] || 'caller_hangup';
+
+    if (activeCall.abandoned) {
+      reason = 'abandoned';
+    } else if (activeCall.sentToVoicemail) {
+      reason = 'voicemail';
     }
+
+    // Agents whose phones rang for the call
+    const intendedAgents = [...new Set(activeCall.legs
+      .filter(leg => !leg.isPrimary && leg.extension && leg.extension !== callerLeg?.extension)
+      .map(leg => leg.extension))];
+
+    return {
+      reason,
+      queue: activeCall.queue || null,
+      holdTime: activeCall.abandoned?.holdTime ?? null,
+      intendedAgents
+    };
   }
 
   /**
-   * Handle dial event
+   * Create a callback Task for a missed call and broadcast it to agents
+   * Voicemails already get their own Task, so no callback Task is created for them
    */
-  async handleDial(callData) {
-    this.logger.info('Dial event', {
-      from: callData.callerIdNum,
-      to: callData.destination,
-      status: callData.dialStatus
+  async handleMissedCall(activeCall) {
+    const missedCalls = this.config.missedCalls || {};
+    const { missed } = activeCall;
+
+    this.logger.info('Missed call', {
+      linkedId: activeCall.linkedId,
+      callerId: activeCall.callerIdNum,
+      reason: missed.reason,
+      queue: missed.queue,
+      intendedAgents: missed.intendedAgents
     });
 
-    // Send dial update to WebSocket clients
-    this.wsServer.sendCallUpdate({
-      type: 'dial',
-      ...callData
+    try {
+      if (missedCalls.createCallbackTasks !== false && missed.reason !== 'voicemail' && this.isSuiteCRMAvailable()) {
+        const callerLabel = activeCall.callerIdName && activeCall.callerIdName !== activeCall.callerIdNum
+          ? `${activeCall.callerIdName} (${activeCall.callerIdNum})`
+          : activeCall.callerIdNum || 'unknown caller';
+        const dueMinutes = missedCalls.callbackDueMinutes || 60;
+
+        const result = await this.suitecrm.createTask({
+          name: `Call back ${callerLabel}`,
+          description: [
+            `Missed call: ${missed.reason.replace('_', ' ')}`,
+            `Caller: ${callerLabel}`,
+            `Time: ${activeCall.startTime}`,
+            this.describePbx(activeCall.pbx),
+            missed.queue ? `Queue: ${missed.queue}${missed.holdTime !== null ? ` (waited ${missed.holdTime}s)` : ''}` : null,
+            missed.intendedAgents.length > 0 ? `Rang: ${missed.intendedAgents.join(', ')}` : null,
+            activeCall.crmCallId ? `Call record: ${activeCall.crmCallId}` : null
+          ].filter(Boolean).join('\n'),
+          priority: 'High',
+          dateDue: new Date(Date.now() + dueMinutes * 60 * 1000).toISOString(),
+          parentType: activeCall.account ? 'Accounts' : (activeCall.contact ? 'Contacts' : null),
+          parentId: activeCall.account?.id || activeCall.contact?.id,
+          contactId: activeCall.contact?.id,
+          assignedUserId: this.getCallbackAssignee(missed)
+        });
+
+        missed.crmTaskId = result.id;
+      }
+    } catch (error) {
+      this.logger.error('Failed to create callback task in CRM', error, { linkedId: activeCall.linkedId });
+    }
+
+    this.wsServer.sendMissedCall({
+      linkedId: activeCall.linkedId,
+      pbx: activeCall.pbx || null,
+      callerIdNum: activeCall.callerIdNum,
+      callerIdName: activeCall.callerIdName,
+      contact: activeCall.contact || null,
+      account: activeCall.account || null,
+      startTime: activeCall.startTime,
+      endTime: activeCall.endTime,
+      crmCallId: activeCall.crmCallId || null,
+      ...missed
     });
   }
 
   /**
-   * Handle call hangup
+   * Pick the SuiteCRM user a callback Task is assigned to:
+   * the queue owner for queue calls, otherwise the first agent whose phone rang
    */
-  async handleHangup(callData) {
-    try {
-      this.logger.info('Processing call hangup', {
-        callerId: callData.callerIdNum,
-        duration: callData.duration,
-        cause: callData.causeTxt
-      });
+  getCallbackAssignee(missed) {
+    const missedCalls = this.config.missedCalls || {};
 
-      const activeCall = this.activeCalls.get(callData.uniqueId);
+    if (missed.queue && missedCalls.queueOwners?.[missed.queue]) {
+      return missedCalls.queueOwners[missed.queue];
+    }
 
-      if (activeCall) {
-        activeCall.endTime = new Date().toISOString();
-        activeCall.duration = callData.duration;
-        activeCall.hangupCause = callData.causeTxt;
-        activeCall.events.push('hangup');
+    for (const extension of missed.intendedAgents) {
+      const userId = missedCalls.agentUsers?.[extension] || this.getAgentState(extension).agentId;
+      if (userId) {
+        return userId;
+      }
+    }
 
-        // Create call record in SuiteCRM (if available)
-        if (this.isSuiteCRMAvailable()) {
-          try {
-            // Only use standard Call module fields to avoid custom field validation errors
-            // Custom fields will be stored in CallLog record when webhook arrives
-            const crmCallData = {
-              name: `Call from ${callData.callerIdNum}`,
-              callerIdNum: callData.callerIdNum,
-              // Note: Not passing callerIdName, conversationId, or other custom fields
-              // as they don't exist in the standard Calls module
-              startTime: activeCall.startTime,
-              duration: callData.duration,
-              status: 'Held',
-              direction: 'Inbound',
-              description: `Call ended: ${callData.causeTxt}\nChannel: ${callData.channel}`
-            };
-
-            const result = await this.suitecrm.createCall(crmCallData);
-
-            if (result.success) {
-              activeCall.crmCallId = result.id;
-
-              // Link to contact if found
-              if (activeCall.contact?.id) {
-                await this.suitecrm.linkCallToContact(result.id, activeCall.contact.id);
-              }
-
-              // Link to account if found
-              if (activeCall.account?.id) {
-                await this.suitecrm.linkCallToAccount(result.id, activeCall.account.id);
-              }
-
-              this.logger.info('Call record created in CRM', {
-                crmCallId: result.id,
-                uniqueId: callData.uniqueId
-              });
-            }
-          } catch (error) {
-            this.logger.error('Failed to create call record in CRM', error);
-          }
-        } else {
-          this.logger.debug('Skipping CRM call record creation - SuiteCRM not available');
-        }
+    return missedCalls.defaultAssignedUserId || null;
+  }
 
-        // Send hangup notification to WebSocket clients
-        this.wsServer.sendCallUpdate({
-          type: 'hangup',
-          ...callData,
-          crmCallId: activeCall.crmCallId
+  /**
+   * Handle a new voicemail: create a SuiteCRM Task for it and notify the mailbox's agents
+   */
+  async handleVoicemail(voicemail) {
+    try {
+      const { mailbox, mapping, caller } = voicemail;
+      const call = caller ? this.activeCalls.get(caller.linkedId) : null;
+
+      // Reuse the screen pop lookup when the call is still tracked
+      const { contact, account } = call?.contact || call?.account
+        ? { contact: call.contact, account: call.account }
+        : await this.lookupCaller(caller?.callerIdNum);
+
+      const agents = [...(mapping.agents || []).map(String)];
+      if (mapping.queue) {
+        const queue = this.queueMonitor.getQueue(mapping.queue);
+        queue?.members.forEach(member => {
+          if (member.extension && !agents.includes(member.extension)) {
+            agents.push(member.extension);
+          }
         });
+      }
+
+      const callerLabel = caller?.callerIdName && caller.callerIdName !== caller.callerIdNum
+        ? `${caller.callerIdName} (${caller.callerIdNum})`
+        : caller?.callerIdNum || 'unknown caller';
 
-        // Keep call data for webhook correlation (don't delete yet)
-        // Will be cleaned up after webhook or timeout
+      let crmTaskId = null;
+
+      if (this.isSuiteCRMAvailable()) {
+        try {
+          const result = await this.suitecrm.createTask({
+            name: `Voicemail from ${callerLabel}`,
+            description: [
+              `New voicemail in mailbox ${mailbox}${mapping.queue ? ` (queue ${mapping.queue})` : ''}`,
+              `Caller: ${callerLabel}`,
+              `Received: ${voicemail.timestamp}`,
+              `New messages in mailbox: ${voicemail.newMessages}`,
+              this.describePbx(voicemail.pbx),
+              call?.crmCallId ? `Call record: ${call.crmCallId}` : null
+            ].filter(Boolean).join('\n'),
+            priority: mapping.priority || 'High',
+            parentType: account ? 'Accounts' : (contact ? 'Contacts' : null),
+            parentId: account?.id || contact?.id,
+            contactId: contact?.id,
+            assignedUserId: mapping.assignedUserId
+          });
+          crmTaskId = result.id;
+        } catch (error) {
+          this.logger.error('Failed to create voicemail task in CRM', error, { mailbox });
+        }
       }
 
-    } catch (error) {
-      this.logger.error('Error handling call hangup', error, {
-        callerId: callData.callerIdNum
+      if (call) {
+        call.voicemail = { mailbox, crmTaskId };
+        call.events.push('voicemail');
+      }
+
+      this.wsServer.sendVoicemail(agents, {
+        mailbox,
+        pbx: voicemail.pbx || null,
+        queue: mapping.queue || null,
+        callerIdNum: caller?.callerIdNum || null,
+        callerIdName: caller?.callerIdName || null,
+        linkedId: caller?.linkedId || null,
+        contact: contact || null,
+        account: account || null,
+        crmTaskId,
+        newMessages: voicemail.newMessages,
+        timestamp: voicemail.timestamp
       });
+    } catch (error) {
+      this.logger.error('Error handling voicemail', error, { mailbox: voicemail.mailbox });
     }
   }
 
@@ -285,11 +1453,34 @@ class CTIMiddleware extends EventEmitter {
    * Handle bridge event (calls connected)
    */
   async handleBridge(callData) {
+    if ([callData.uniqueId1, callData.uniqueId2].some(uniqueId => this.callCorrelator.getCallByUniqueId(uniqueId)?.skipped)) {
+      return;
+    }
+
     this.logger.info('Calls bridged', {
+      bridgeId: callData.bridgeId,
       channel1: callData.channel1,
-      channel2: callData.channel2
+      channel2: callData.channel2,
+      bridgeState: callData.bridgeState,
+      answeredBy: callData.answeredBy
     });
 
+    // Record the answer the first time the call is connected
+    // Both channels usually belong to the same logical call
+    if (callData.bridgeState !== 'Unlink') {
+      const calls = new Set([callData.uniqueId1, callData.uniqueId2]
+        .map(uniqueId => this.callCorrelator.getCallByUniqueId(uniqueId))
+        .filter(Boolean));
+
+      for (const activeCall of calls) {
+        activeCall.events.push('bridge');
+        if (!activeCall.answeredTime) {
+          activeCall.answeredTime = callData.timestamp;
+          activeCall.answeredBy = callData.answeredBy || null;
+        }
+      }
+    }
+
     // Send bridge notification
     this.wsServer.sendCallUpdate({
       type: 'bridge',
@@ -297,6 +1488,23 @@ class CTIMiddleware extends EventEmitter {
     });
   }
 
+  /**
+   * Handle channel resync after an AMI (re)connect
+   */
+  async handleResync(summary) {
+    if (summary.ended.length > 0) {
+      this.logger.warn('Calls ended while AMI was disconnected', {
+        count: summary.ended.length,
+        calls: summary.ended.map(channel => channel.linkedId)
+      });
+    }
+
+    this.wsServer.sendCallUpdate({
+      type: 'resync',
+      ...summary
+    });
+  }
+
   /**
    * Handle post-call transcription from ElevenLabs
    */
@@ -312,14 +1520,34 @@ class CTIMiddleware extends EventEmitter {
         userName: callData.userName || '(not provided)'
       });
 
-      // Find matching active call by conversation ID or phone number
-      let matchingCall = null;
+      // Find the PBX call of the conversation (calls stay in memory after hangup for this)
+      const match = this.conversationMatcher.match(callData, this.activeCalls.values());
+      const matchingCall = match?.call || null;
+      // A deferred transcription keeps the method it was first matched by
+      const correlation = match
+        ? matchingCall.aiCorrelation || { method: match.method, confidence: match.confidence }
+        : null;
+
+      if (match) {
+        matchingCall.conversationId = callData.conversationId;
+        matchingCall.aiCorrelation = correlation;
+
+        this.logger.info('Conversation matched to call', {
+          conversationId: callData.conversationId,
+          linkedId: matchingCall.linkedId,
+          ...correlation,
+          timeOffset: match.timeOffset
+        });
 
-      // Try to find by conversation ID if stored
-      for (const [uniqueId, call] of this.activeCalls.entries()) {
-        if (call.conversationId === callData.conversationId) {
-          matchingCall = { uniqueId, ...call };
-          break;
+        // The call is still up: handled again once its Calls record exists (see handleHangup).
+        // The inbox keeps the event until then, so it survives a restart; without an
+        // inbox it waits on the call in memory.
+        if (!matchingCall.crmCallId && !matchingCall.endTime) {
+          if (this.elevenlabs.hasInbox()) {
+            throw createDeferral('Call is still up');
+          }
+          matchingCall.pendingTranscription = event;
+          return;
         }
       }
 
@@ -333,14 +1561,17 @@ class CTIMiddleware extends EventEmitter {
             call_transcript_c: transcript,
             call_successful_c: callData.callSuccessful,
             call_cost_c: callData.cost,
-            conversation_id_c: callData.conversationId
+            conversation_id_c: callData.conversationId,
+            correlation_method_c: correlation.method,
+            correlation_confidence_c: correlation.confidence
           };
 
           await this.suitecrm.updateCall(matchingCall.crmCallId, updates);
 
           // Also create a record in Call Logs module for better organization
+          let callLogId = null;
           try {
-            await this.suitecrm.createCallLog({
+            callLogId = (await this.suitecrm.createCallLog({
               name: `Call Log - ${callData.conversationId}`,
               conversationId: callData.conversationId,
               callerName: callData.userName || matchingCall.callerIdName || '',
@@ -371,8 +1602,10 @@ class CTIMiddleware extends EventEmitter {
               dataCollectionResults: callData.dataCollectionResults,
               feedback: callData.feedback,
               authorizationMethod: callData.authorizationMethod,
-              conversationSource: callData.conversationSource
-            });
+              conversationSource: callData.conversationSource,
+              correlationMethod: correlation?.method,
+              correlationConfidence: correlation?.confidence
+            })).id;
           } catch (logError) {
             // Log but don't fail - Call Logs module might not be installed
             this.logger.warn('Failed to create call log record (module may not be installed)', {
@@ -382,19 +1615,30 @@ class CTIMiddleware extends EventEmitter {
 
           this.logger.info('Call record updated with AI data', {
             crmCallId: matchingCall.crmCallId,
-            conversationId: callData.conversationId
+            conversationId: callData.conversationId,
+            ...correlation
+          });
+
+          await this.addConversationRecords(callData.conversationId, {
+            crmCallId: matchingCall.crmCallId,
+            callLogId,
+            contactId: matchingCall.contact?.id
           });
 
           // Clean up active call data
-          this.activeCalls.delete(matchingCall.uniqueId);
+          this.callCorrelator.removeCall(matchingCall.linkedId);
         } catch (error) {
           this.logger.error('Failed to update CRM with AI data', error);
+          throw error;
         }
       } else if (this.isSuiteCRMAvailable()) {
         // Create new call record if not found (webhook arrived before AMI hangup)
         try {
-          this.logger.warn('Creating call record from webhook (no matching AMI call found)', {
-            conversationId: callData.conversationId
+          this.logger.warn(matchingCall
+            ? 'Creating call record from webhook (matching AMI call has no CRM record)'
+            : 'Creating call record from webhook (no matching AMI call found)', {
+            conversationId: callData.conversationId,
+            linkedId: matchingCall?.linkedId
           });
 
           const transcript = this.elevenlabs.formatTranscript(callData.transcript);
@@ -407,8 +1651,9 @@ class CTIMiddleware extends EventEmitter {
           });
 
           // Also create a record in Call Logs module
+          let callLogId = null;
           try {
-            await this.suitecrm.createCallLog({
+            callLogId = (await this.suitecrm.createCallLog({
               name: `Call Log - ${callData.conversationId}`,
               conversationId: callData.conversationId,
               callerName: callData.userName || '',
@@ -439,16 +1684,25 @@ class CTIMiddleware extends EventEmitter {
               dataCollectionResults: callData.dataCollectionResults,
               feedback: callData.feedback,
               authorizationMethod: callData.authorizationMethod,
-              conversationSource: callData.conversationSource
-            });
+              conversationSource: callData.conversationSource,
+              correlationMethod: correlation?.method,
+              correlationConfidence: correlation?.confidence
+            })).id;
           } catch (logError) {
             // Log but don't fail - Call Logs module might not be installed
             this.logger.warn('Failed to create call log record (module may not be installed)', {
               error: logError.message
             });
           }
+
+          await this.addConversationRecords(callData.conversationId, {
+            crmCallId: matchingCall?.crmCallId || null,
+            callLogId,
+            contactId: matchingCall?.contact?.id
+          });
         } catch (error) {
           this.logger.error('Failed to create CRM call record from webhook', error);
+          throw error;
         }
       } else {
         this.logger.debug('Skipping CRM update - SuiteCRM not available');
@@ -458,6 +1712,8 @@ class CTIMiddleware extends EventEmitter {
       this.wsServer.broadcast({
         type: 'ai_transcription',
         conversationId: callData.conversationId,
+        linkedId: matchingCall?.linkedId || null,
+        correlation,
         summary: callData.summary,
         callSuccessful: callData.callSuccessful,
         timestamp: new Date().toISOString()
@@ -469,17 +1725,273 @@ class CTIMiddleware extends EventEmitter {
       });
 
     } catch (error) {
+      if (error.deferred) {
+        throw error;
+      }
       this.logger.error('Error handling post-call transcription', error, {
         conversationId: event.data?.conversation_id
       });
+      // Rethrown so the webhook inbox retries the event
+      throw error;
+    }
+  }
+
+  /**
+   * Dynamic variables for an ElevenLabs conversation starting on an inbound call
+   */
+  async getConversationInitiationData(request) {
+    if (!this.isSuiteCRMAvailable()) {
+      return this.personalizer.getEmptyVariables('UNAVAILABLE');
+    }
+
+    return this.personalizer.getDynamicVariables(request.callerId);
+  }
+
+  /**
+   * Handle post-call audio from ElevenLabs: store the recording of the conversation
+   */
+  async handlePostCallAudio(event) {
+    const conversationId = event.data?.conversation_id;
+
+    try {
+      const audio = Buffer.from(event.data?.full_audio || '', 'base64');
+
+      if (!conversationId || audio.length === 0) {
+        this.logger.warn('Post-call audio without conversation id or audio', { conversationId });
+        return;
+      }
+
+      const stored = await this.audioStorage.save(`${conversationId}.mp3`, audio, {
+        conversationId,
+        agentId: event.data.agent_id
+      });
+
+      this.logger.info('Conversation audio stored', {
+        conversationId,
+        key: stored.key,
+        size: stored.size,
+        storage: this.audioStorage.type
+      });
+
+      const conversation = this.getAiConversation(conversationId);
+      conversation.audio = stored;
+      await this.attachConversationAudio(conversationId);
+
+      this.wsServer.broadcast({
+        type: 'ai_audio',
+        conversationId,
+        size: stored.size,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Error handling post-call audio', error, { conversationId });
+      throw error;
+    }
+  }
+
+  /**
+   * Handle an outbound AI call that never connected (busy, no answer, SIP failure)
+   * The attempt is logged in SuiteCRM as a failed call log and broadcast so it can be retried
+   */
+  async handleCallInitiationFailure(event) {
+    try {
+      const failure = this.elevenlabs.extractFailureData(event);
+
+      this.logger.info('Processing AI call initiation failure', {
+        conversationId: failure.conversationId,
+        failureReason: failure.failureReason,
+        sipStatusCode: failure.sipStatusCode,
+        externalNumber: failure.externalNumber || '(not provided)'
+      });
+
+      const { contact, account } = await this.lookupCaller(failure.externalNumber);
+      const contactName = contact
+        ? `${contact.attributes.first_name || ''} ${contact.attributes.last_name || ''}`.trim()
+        : '';
+      let callLogId = null;
+
+      if (this.isSuiteCRMAvailable()) {
+        try {
+          callLogId = (await this.suitecrm.createCallLog({
+            name: `Failed AI call to ${contactName || failure.externalNumber || 'unknown number'}`,
+            conversationId: failure.conversationId,
+            callerName: contactName || failure.userName,
+            phoneNumber: failure.externalNumber,
+            agentNumber: failure.agentNumber,
+            externalNumber: failure.externalNumber,
+            callSid: failure.callSid,
+            agentId: failure.agentId,
+            startTimeFormatted: failure.timestampFormatted,
+            terminationReason: failure.failureDescription,
+            callSummaryTitle: `Call not connected: ${failure.failureDescription}`,
+            status: 'failed',
+            direction: 'Outbound',
+            successful: 'failure'
+          })).id;
+
+          if (contact) {
+            await this.suitecrm.linkCallLogToContact(callLogId, contact.id);
+          }
+        } catch (error) {
+          this.logger.warn('Failed to log AI call initiation failure in CRM', {
+            conversationId: failure.conversationId,
+            callLogId,
+            error: error.message
+          });
+        }
+      } else {
+        this.logger.debug('Skipping CRM update - SuiteCRM not available');
+      }
+
+      this.wsServer.broadcast({
+        type: 'ai_call_failed',
+        conversationId: failure.conversationId,
+        agentId: failure.agentId,
+        number: failure.externalNumber,
+        agentNumber: failure.agentNumber,
+        failureReason: failure.failureReason,
+        failureDescription: failure.failureDescription,
+        sipStatusCode: failure.sipStatusCode,
+        provider: failure.provider,
+        contact: contact ? { id: contact.id, name: contactName } : null,
+        account: account ? { id: account.id, name: account.attributes.name } : null,
+        crmCallLogId: callLogId,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Error handling call initiation failure', error, {
+        conversationId: event.data?.conversation_id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the audio/records state of a conversation, creating it on first use
+   */
+  getAiConversation(conversationId) {
+    if (!this.aiConversations.has(conversationId)) {
+      this.aiConversations.set(conversationId, { audio: null, records: null, updatedAt: Date.now() });
+    }
+
+    const conversation = this.aiConversations.get(conversationId);
+    conversation.updatedAt = Date.now();
+    return conversation;
+  }
+
+  /**
+   * Remember the SuiteCRM records of a conversation and attach its audio if stored already
+   */
+  async addConversationRecords(conversationId, records) {
+    if (!records.crmCallId && !records.callLogId) {
+      return;
+    }
+
+    this.getAiConversation(conversationId).records = records;
+    await this.attachConversationAudio(conversationId);
+  }
+
+  /**
+   * Attach the stored audio of a conversation to its Calls and CLL_CallLog records as Notes
+   * Like PBX recordings, the audio itself is uploaded only when cti.aiAudio.uploadToCrm is set
+   */
+  async attachConversationAudio(conversationId) {
+    const conversation = this.aiConversations.get(conversationId);
+
+    if (!conversation?.audio || !conversation.records || !this.isSuiteCRMAvailable()) {
+      return;
+    }
+
+    const { audio, records } = conversation;
+    const settings = this.config.aiAudio || {};
+    this.aiConversations.delete(conversationId);
+
+    let fileContents = null;
+    if (settings.uploadToCrm) {
+      if (audio.size > (settings.maxUploadSize || 20 * 1024 * 1024)) {
+        this.logger.warn('Conversation audio too large to upload, attaching reference only', { conversationId, size: audio.size });
+      } else {
+        fileContents = await this.readStoredAudio(audio.key);
+      }
+    }
+
+    const parents = [
+      records.crmCallId ? { parentType: 'Calls', parentId: records.crmCallId } : null,
+      records.callLogId ? { parentType: 'CLL_CallLog', parentId: records.callLogId } : null
+    ].filter(Boolean);
+
+    for (const parent of parents) {
+      try {
+        const note = {
+          name: `AI call recording ${conversationId}`,
+          description: [
+            `ElevenLabs conversation: ${conversationId}`,
+            `Stored as: ${audio.key} (${audio.size} bytes, ${this.audioStorage.type} storage)`,
+            `Stream: /api/conversations/${conversationId}/audio`
+          ].join('\n'),
+          ...parent,
+          contactId: records.contactId
+        };
+
+        if (fileContents) {
+          note.filename = audio.key;
+          note.mimeType = this.audioStorage.contentType(audio.key);
+          note.fileContents = fileContents.toString('base64');
+        }
+
+        await this.suitecrm.createNote(note);
+      } catch (error) {
+        this.logger.error('Failed to attach conversation audio to CRM record', error, {
+          conversationId,
+          ...parent
+        });
+      }
+    }
+  }
+
+  /**
+   * Read stored audio into memory for an upload; null when it cannot be read
+   */
+  async readStoredAudio(key) {
+    try {
+      const chunks = [];
+      for await (const chunk of this.audioStorage.createReadStream(key)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    } catch (error) {
+      this.logger.warn('Stored audio not readable, attaching reference only', { key, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Get the stored audio of a conversation for streaming
+   * Returns { key, size, contentType, createReadStream(range) }
+   */
+  async getConversationAudio(conversationId) {
+    if (!/^[\w-]+$/.test(String(conversationId || ''))) {
+      throw createError('Invalid conversation id', 400);
+    }
+
+    const key = `${conversationId}.mp3`;
+    const audio = await this.audioStorage.stat(key);
+
+    if (!audio) {
+      throw createError('No audio stored for this conversation', 404);
     }
+
+    return {
+      ...audio,
+      createReadStream: (range) => this.audioStorage.createReadStream(key, range)
+    };
   }
 
   /**
    * Link conversation ID to active call (can be called externally)
    */
   linkConversationToCall(uniqueId, conversationId) {
-    const activeCall = this.activeCalls.get(uniqueId);
+    const activeCall = this.getActiveCall(uniqueId);
 
     if (activeCall) {
       activeCall.conversationId = conversationId;
@@ -494,10 +2006,10 @@ class CTIMiddleware extends EventEmitter {
   }
 
   /**
-   * Get active call by unique ID
+   * Get active call by Linkedid or by the unique ID of any of its legs
    */
   getActiveCall(uniqueId) {
-    return this.activeCalls.get(uniqueId);
+    return this.activeCalls.get(uniqueId) || this.callCorrelator.getCallByUniqueId(uniqueId);
   }
 
   /**
@@ -507,23 +2019,120 @@ class CTIMiddleware extends EventEmitter {
     return Array.from(this.activeCalls.values());
   }
 
+  /**
+   * Get combined phone and desk state for every known agent
+   * Agents are merged by extension from WebSocket registrations and AMI extension states
+   */
+  getAgents() {
+    const extensions = new Set();
+
+    this.wsServer.getConnectedAgents().forEach(agent => {
+      if (agent.extension) extensions.add(String(agent.extension));
+    });
+    this.freepbx.getAllExtensionStates().forEach(state => {
+      if (/^\d+$/.test(state.extension)) extensions.add(state.extension);
+    });
+
+    return Array.from(extensions).sort().map(extension => this.getAgentState(extension));
+  }
+
+  /**
+   * Get combined phone and desk state for one extension
+   */
+  getAgentState(extension) {
+    const phone = this.freepbx.getExtensionState(String(extension));
+    const sessions = this.wsServer.getConnectedAgents()
+      .filter(agent => String(agent.extension) === String(extension));
+
+    return {
+      extension: String(extension),
+      agentId: sessions[0]?.agentId || null,
+      agentName: sessions[0]?.agentName || null,
+      phone: {
+        state: phone?.phoneState || 'unknown',
+        registered: phone?.registered ?? null,
+        device: phone?.device || null,
+        pbx: phone?.pbx || null,
+        updatedAt: phone?.updatedAt || null
+      },
+      desk: {
+        connected: sessions.length > 0,
+        sessions: sessions.length,
+        connectedAt: sessions[0]?.connectedAt || null
+      }
+    };
+  }
+
+  /**
+   * Push an agent's combined state to WebSocket clients
+   */
+  publishAgentState(extension) {
+    if (!extension) return;
+
+    this.wsServer.sendAgentState(this.getAgentState(extension));
+  }
+
+  /**
+   * Get live state of all queues
+   */
+  getQueues() {
+    return this.queueMonitor.getAllQueues();
+  }
+
+  /**
+   * Get live state of a single queue
+   */
+  getQueue(name) {
+    return this.queueMonitor.getQueue(name);
+  }
+
   /**
    * Clean up old calls (called periodically)
+   * Ended calls are dropped maxAgeMinutes after their hangup; calls still up only
+   * after maxActiveAgeMinutes, when their hangup was evidently never seen
    */
-  cleanupOldCalls(maxAgeMinutes = 60) {
+  cleanupOldCalls(maxAgeMinutes = 60, maxActiveAgeMinutes = 24 * 60) {
     const now = Date.now();
     const maxAge = maxAgeMinutes * 60 * 1000;
+    const maxActiveAge = maxActiveAgeMinutes * 60 * 1000;
     let cleaned = 0;
 
-    for (const [uniqueId, call] of this.activeCalls.entries()) {
-      const callAge = now - new Date(call.startTime).getTime();
+    for (const [linkedId, call] of this.activeCalls.entries()) {
+      const expired = call.endTime
+        ? now - new Date(call.endTime).getTime() > maxAge
+        : now - new Date(call.startTime).getTime() > maxActiveAge;
+
+      if (expired) {
+        if (!call.endTime) {
+          this.logger.warn('Dropping call without hangup', { linkedId, startTime: call.startTime });
+        }
 
-      if (callAge > maxAge) {
-        this.activeCalls.delete(uniqueId);
+        this.callCorrelator.removeCall(linkedId);
         cleaned++;
+
+        // A transcription still waiting for the hangup is logged without the call
+        if (call.pendingTranscription) {
+          this.handlePostCallTranscription(call.pendingTranscription).catch(() => {});
+        }
+      }
+    }
+
+    // Drop click-to-dial requests that never produced a channel
+    for (const [trackingId, origination] of this.originations.entries()) {
+      if (now - new Date(origination.createdAt).getTime() > maxAge) {
+        this.originations.delete(trackingId);
       }
     }
 
+    // Forget conversation audio or records whose counterpart never arrived
+    for (const [conversationId, conversation] of this.aiConversations.entries()) {
+      if (now - conversation.updatedAt > maxAge) {
+        this.aiConversations.delete(conversationId);
+      }
+    }
+
+    this.accounting.prune();
+
     if (cleaned > 0) {
       this.logger.info(`Cleaned up ${cleaned} old call(s) from memory`);
     }
@@ -537,8 +2146,12 @@ class CTIMiddleware extends EventEmitter {
   getStats() {
     return {
       activeCalls: this.activeCalls.size,
+      queues: this.queueMonitor.queues.size,
       freepbxConnected: this.isFreePBXConnected(),
+      freepbxConnection: this.freepbx.getConnectionStatus(),
+      lastResync: this.freepbx.lastResync,
       suitecrmConnected: this.isSuiteCRMAvailable(),
+      callerIdLookup: this.callerIdLookup.getStats(),
       wsConnections: this.wsServer.getConnectionsCount(),
       connectedAgents: this.wsServer.getConnectedAgents()
     };
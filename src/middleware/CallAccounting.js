@@ -0,0 +1,261 @@
+// CDR dispositions of calls that never connected, kept as they are
+const FAILED_DISPOSITIONS = ['BUSY', 'FAILED', 'CONGESTION'];
+
+/**
+ * Call Accounting - duration, billsec, disposition and answer time from Asterisk's
+ * own CDR and CEL events instead of wall-clock measurements
+ *
+ * Cdr events (cdr_manager) are matched to calls by the UniqueID of party A,
+ * CEL events (cel_manager) by LinkedID. Accounting for a call is complete when
+ * the CDR of its first channel or the CEL LINKEDID_END event arrives, which is
+ * normally shortly after the last hangup. CDRs win over CEL when both are enabled.
+ */
+class CallAccounting {
+  constructor(freepbxClient, callCorrelator, logger, config = {}) {
+    this.freepbx = freepbxClient;
+    this.callCorrelator = callCorrelator;
+    this.logger = logger;
+    this.enabled = config.enabled !== false;
+    this.waitTimeout = config.waitTimeout || 5000;
+    this.settleTime = config.settleTime || 250; // further CDRs of the same call arrive in a burst
+
+    this.records = new Map(); // linkedId -> { cdrs, cel, completeAt }
+    this.waiters = new Map(); // linkedId -> callback waiting for completion
+    this.available = false; // set once the PBX has sent any CDR/CEL event
+
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Subscribe to accounting events from FreePBX
+   */
+  setupEventHandlers() {
+    this.freepbx.on('call:cdr', (cdr) => this.handleCdr(cdr));
+    this.freepbx.on('call:cel', (cel) => this.handleCel(cel));
+  }
+
+  /**
+   * Get or create the accounting record of a call
+   */
+  getOrCreateRecord(linkedId) {
+    if (!this.records.has(linkedId)) {
+      this.records.set(linkedId, {
+        cdrs: [],
+        cel: {
+          startTime: null,
+          answeredTime: null,
+          endTime: null,
+          bridges: new Map() // bridge id -> channels that entered
+        },
+        completeAt: null
+      });
+    }
+
+    return this.records.get(linkedId);
+  }
+
+  /**
+   * Handle a CDR for one party A channel
+   */
+  handleCdr(cdr) {
+    this.available = true;
+
+    const call = this.callCorrelator.getCallByUniqueId(cdr.uniqueId);
+    if (!call || !this.enabled) {
+      return;
+    }
+
+    this.getOrCreateRecord(call.linkedId).cdrs.push(cdr);
+
+    if (cdr.uniqueId === call.linkedId) {
+      this.markComplete(call.linkedId);
+    }
+  }
+
+  /**
+   * Handle a CEL event
+   */
+  handleCel(cel) {
+    this.available = true;
+
+    if (!this.enabled || !cel.linkedId || !this.callCorrelator.getCall(cel.linkedId)) {
+      return;
+    }
+
+    const record = this.getOrCreateRecord(cel.linkedId);
+
+    switch (cel.eventName) {
+      case 'CHAN_START':
+        if (cel.uniqueId === cel.linkedId) {
+          record.cel.startTime = cel.eventTime;
+        }
+        break;
+      case 'BRIDGE_ENTER': {
+        // Talk time starts when a second party joins a bridge
+        const bridgeId = this.parseExtra(cel.extra).bridge_id || 'unknown';
+        const members = record.cel.bridges.get(bridgeId) || new Set();
+        members.add(cel.uniqueId);
+        record.cel.bridges.set(bridgeId, members);
+
+        if (members.size >= 2 && !record.cel.answeredTime) {
+          record.cel.answeredTime = cel.eventTime;
+        }
+        break;
+      }
+      case 'LINKEDID_END':
+        record.cel.endTime = cel.eventTime;
+        this.markComplete(cel.linkedId);
+        break;
+    }
+  }
+
+  /**
+   * CEL Extra is a JSON object on Asterisk 12+
+   */
+  parseExtra(extra) {
+    try {
+      return extra ? JSON.parse(extra) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Mark a call's accounting as complete and release a pending wait after the settle time
+   */
+  markComplete(linkedId) {
+    const record = this.getOrCreateRecord(linkedId);
+
+    if (record.completeAt) {
+      return;
+    }
+
+    record.completeAt = Date.now();
+
+    const waiter = this.waiters.get(linkedId);
+    if (waiter) {
+      setTimeout(waiter, this.settleTime);
+    }
+  }
+
+  /**
+   * Wait for the accounting of a finished call and summarize it
+   * Resolves to null straight away when the PBX sends no CDR/CEL events
+   */
+  async waitFor(call) {
+    if (!this.enabled || !this.available) {
+      return null;
+    }
+
+    const record = this.records.get(call.linkedId);
+
+    if (record?.completeAt) {
+      const remaining = record.completeAt + this.settleTime - Date.now();
+      if (remaining > 0) {
+        await new Promise(resolve => setTimeout(resolve, remaining));
+      }
+    } else {
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, this.waitTimeout);
+        this.waiters.set(call.linkedId, () => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+      this.waiters.delete(call.linkedId);
+    }
+
+    const summary = this.summarize(call, this.records.get(call.linkedId));
+    this.records.delete(call.linkedId);
+
+    if (!summary) {
+      this.logger.warn('No CDR/CEL accounting received for call, using wall-clock duration', {
+        linkedId: call.linkedId
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Build duration, billsec, disposition and answer time from a call's CDRs, else its CEL events
+   */
+  summarize(call, record) {
+    if (!record) {
+      return null;
+    }
+
+    if (record.cdrs.length > 0) {
+      return this.summarizeCdrs(call, record.cdrs);
+    }
+
+    if (record.cel.startTime || record.cel.endTime) {
+      return this.summarizeCel(call, record.cel);
+    }
+
+    return null;
+  }
+
+  /**
+   * Summarize CDRs; only records with a connected party B count as talk time,
+   * so IVR, voicemail and queue hold time are not billed
+   */
+  summarizeCdrs(call, cdrs) {
+    const times = (field) => cdrs.map(cdr => cdr[field]).filter(Boolean).map(time => new Date(time).getTime());
+    const starts = times('startTime');
+    const ends = times('endTime');
+
+    const talk = cdrs
+      .filter(cdr => cdr.destinationChannel && cdr.disposition === 'ANSWERED' && cdr.answerTime)
+      .sort((a, b) => new Date(a.answerTime) - new Date(b.answerTime));
+    const primary = cdrs.find(cdr => cdr.uniqueId === call.linkedId) || cdrs[0];
+
+    return {
+      source: 'cdr',
+      startTime: starts.length ? new Date(Math.min(...starts)).toISOString() : null,
+      endTime: ends.length ? new Date(Math.max(...ends)).toISOString() : null,
+      duration: starts.length && ends.length
+        ? Math.round((Math.max(...ends) - Math.min(...starts)) / 1000)
+        : Math.max(...cdrs.map(cdr => cdr.duration)),
+      billsec: talk.reduce((total, cdr) => total + cdr.billsec, 0),
+      // The dialplan answers IVR and queue calls, so without talk time the call
+      // was not answered even when the primary CDR says ANSWERED
+      disposition: talk.length > 0
+        ? 'ANSWERED'
+        : (FAILED_DISPOSITIONS.includes(primary.disposition) ? primary.disposition : 'NO ANSWER'),
+      answeredTime: talk.length > 0 ? talk[0].answerTime : null
+    };
+  }
+
+  /**
+   * Summarize CEL events of a call
+   */
+  summarizeCel(call, cel) {
+    const start = new Date(cel.startTime || call.startTime).getTime();
+    const end = new Date(cel.endTime || call.endTime || Date.now()).getTime();
+    const answered = cel.answeredTime ? new Date(cel.answeredTime).getTime() : null;
+
+    return {
+      source: 'cel',
+      startTime: new Date(start).toISOString(),
+      endTime: new Date(end).toISOString(),
+      duration: Math.round((end - start) / 1000),
+      billsec: answered ? Math.round((end - answered) / 1000) : 0,
+      disposition: answered ? 'ANSWERED' : 'NO ANSWER',
+      answeredTime: cel.answeredTime
+    };
+  }
+
+  /**
+   * Drop accounting for calls that are no longer tracked
+   */
+  prune() {
+    for (const linkedId of this.records.keys()) {
+      if (!this.callCorrelator.getCall(linkedId)) {
+        this.records.delete(linkedId);
+      }
+    }
+  }
+}
+
+module.exports = CallAccounting;
@@ -0,0 +1,152 @@
+// Channel name parts: technology, endpoint and the unique suffix Asterisk appends
+// e.g. PJSIP/1001-0000002a, PJSIP/my-trunk-0000002b, Local/1001@from-queue-00000003;1
+const CHANNEL_PATTERN = /^([^/]+)\/(.+?)(?:-[0-9a-f]+)?(?:;\d)?$/i;
+
+const DIRECTIONS = ['Inbound', 'Outbound', 'Internal'];
+
+/**
+ * Call Classifier - labels each call Inbound, Outbound or Internal
+ *
+ * Signals, in order of precedence:
+ *   - click-to-dial requests (Outbound, or Internal when an extension was dialed)
+ *   - the DID the call arrived on (cti.classification.dids)
+ *   - the context rules of the PBX (freepbx.directions, see PBXAdapter.getDirection);
+ *     "Inbound" and "Internal" are final, "Outbound" marks a call placed by an
+ *     extension whose direction depends on where it goes
+ *   - the channel technology: channels that are neither extensions nor Local/
+ *     helpers are trunks, so a call starting on one is Inbound
+ *   - the destination: a trunk leg or an external number makes a call placed by
+ *     an extension Outbound, an extension number makes it Internal
+ *
+ * The policies skipInternal and skipLocalChannels leave internal calls and
+ * Local/ helper channels out of screen pops, WebSocket updates and SuiteCRM.
+ */
+class CallClassifier {
+  constructor(logger, config = {}) {
+    this.logger = logger;
+    this.internalPattern = new RegExp(config.internalPattern || '^\\d{2,5}$');
+    this.dids = new Set((config.dids || []).map(did => this.normalizeNumber(did)));
+    this.trunkTechnologies = (config.trunkTechnologies || ['DAHDI']).map(tech => tech.toUpperCase());
+    this.skipInternal = config.skipInternal === true;
+    this.skipLocalChannels = config.skipLocalChannels === true;
+  }
+
+  /**
+   * Split a channel name into technology and endpoint
+   */
+  parseChannel(channel) {
+    const match = CHANNEL_PATTERN.exec(channel || '');
+    return match ? { technology: match[1].toUpperCase(), endpoint: match[2] } : null;
+  }
+
+  /**
+   * Local/ channels are dialplan helpers (queues, ring groups, originate), not parties
+   */
+  isLocalChannel(channel) {
+    return this.parseChannel(channel)?.technology === 'LOCAL';
+  }
+
+  /**
+   * A phone registered as an extension
+   */
+  isExtensionChannel(channel) {
+    const parsed = this.parseChannel(channel);
+
+    return !!parsed
+      && parsed.technology !== 'LOCAL'
+      && !this.trunkTechnologies.includes(parsed.technology)
+      && this.internalPattern.test(parsed.endpoint);
+  }
+
+  /**
+   * A channel to or from the outside world
+   */
+  isTrunkChannel(channel) {
+    const parsed = this.parseChannel(channel);
+    return !!parsed && parsed.technology !== 'LOCAL' && !this.isExtensionChannel(channel);
+  }
+
+  /**
+   * Number of an extension on the PBX
+   */
+  isInternalNumber(number) {
+    return !!number && this.internalPattern.test(String(number));
+  }
+
+  /**
+   * Number dialed from outside that reaches the PBX
+   */
+  isDid(number) {
+    return !!number && this.dids.has(this.normalizeNumber(number));
+  }
+
+  /**
+   * Digits only, for comparing numbers written in different formats
+   */
+  normalizeNumber(number) {
+    return String(number).replace(/\D/g, '');
+  }
+
+  /**
+   * Classify a call from its first channel, its legs and its click-to-dial request
+   * Returns { direction, reason, destination, did } or null when no signal applies
+   */
+  classify(call, pbx) {
+    const first = call.legs?.[0] || call;
+    const exten = /^\+?[\d*#]+$/.test(first.exten || '') ? first.exten : null;
+    const result = (direction, reason, extra = {}) => ({ direction, reason, destination: null, did: null, ...extra });
+
+    if (call.trackingId) {
+      return result(this.isInternalNumber(call.dialedNumber) ? 'Internal' : 'Outbound', 'click_to_dial', {
+        destination: call.dialedNumber
+      });
+    }
+
+    if (this.isDid(exten)) {
+      return result('Inbound', 'did', { did: exten });
+    }
+
+    const rule = pbx?.getDirection(first.context);
+
+    if (rule && DIRECTIONS.includes(rule) && rule !== 'Outbound') {
+      return result(rule, 'context', { did: rule === 'Inbound' ? exten : null });
+    }
+
+    if (!rule && this.isTrunkChannel(first.channel)) {
+      return result('Inbound', 'trunk', { did: exten });
+    }
+
+    // Placed by an extension: where the call went decides
+    const otherLegs = (call.legs || []).slice(1).filter(leg => !this.isLocalChannel(leg.channel));
+
+    if (otherLegs.some(leg => this.isTrunkChannel(leg.channel))) {
+      return result('Outbound', 'destination', { destination: exten });
+    }
+
+    if (exten) {
+      return result(this.isInternalNumber(exten) ? 'Internal' : 'Outbound', 'destination', { destination: exten });
+    }
+
+    if (otherLegs.length > 0 && otherLegs.every(leg => this.isExtensionChannel(leg.channel))) {
+      return result('Internal', 'destination');
+    }
+
+    return rule ? result(rule, 'context') : null;
+  }
+
+  /**
+   * Whether a new channel should be left out of call tracking
+   */
+  shouldSkipChannel(channelData) {
+    return this.skipLocalChannels && this.isLocalChannel(channelData.channel);
+  }
+
+  /**
+   * Whether a classified call should be left out of screen pops, updates and SuiteCRM
+   */
+  shouldSkipCall(call) {
+    return this.skipInternal && call.direction === 'Internal';
+  }
+}
+
+module.exports = CallClassifier;
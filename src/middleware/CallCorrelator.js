@@ -0,0 +1,135 @@
+/**
+ * Call Correlator - groups AMI channels into logical calls by Linkedid
+ *
+ * Every channel Asterisk creates for the same call (trunk leg, ring group
+ * legs, Local/ helper channels, transfer targets) shares the Linkedid of the
+ * channel that started it. A logical call is kept per Linkedid with one leg
+ * per channel, and is considered finished when its last leg hangs up.
+ */
+class CallCorrelator {
+  constructor(logger) {
+    this.logger = logger;
+    this.calls = new Map(); // linkedId -> call data
+    this.legIndex = new Map(); // uniqueId -> linkedId
+  }
+
+  /**
+   * Add a channel as a leg of its logical call, creating the call if needed
+   */
+  addLeg(channelData) {
+    const linkedId = channelData.linkedId || channelData.uniqueId;
+    let call = this.calls.get(linkedId);
+    const isNewCall = !call;
+
+    if (isNewCall) {
+      call = {
+        ...channelData,
+        linkedId,
+        startTime: new Date().toISOString(),
+        events: ['new'],
+        screenPops: [], // extensions that already received a screen pop
+        recordings: [], // recording files and their state
+        legs: []
+      };
+      this.calls.set(linkedId, call);
+    }
+
+    const leg = {
+      uniqueId: channelData.uniqueId,
+      channel: channelData.channel,
+      callerIdNum: channelData.callerIdNum,
+      callerIdName: channelData.callerIdName,
+      context: channelData.context,
+      exten: channelData.exten,
+      extension: channelData.extension || null,
+      state: channelData.state,
+      isPrimary: channelData.uniqueId === linkedId,
+      recovered: !!channelData.recovered,
+      startTime: channelData.timestamp || new Date().toISOString(),
+      endTime: null
+    };
+
+    call.legs.push(leg);
+    this.legIndex.set(leg.uniqueId, linkedId);
+
+    if (!isNewCall) {
+      call.events.push(`leg:${leg.channel}`);
+      this.logger.debug('Channel added to existing call', {
+        linkedId,
+        channel: leg.channel,
+        legs: call.legs.length
+      });
+    }
+
+    return { call, leg, isNewCall };
+  }
+
+  /**
+   * Mark a leg as hung up
+   * Returns null for channels that were never tracked
+   */
+  endLeg(uniqueId, hangupData = {}) {
+    const call = this.getCallByUniqueId(uniqueId);
+    const leg = this.getLeg(uniqueId);
+
+    if (!call || !leg) {
+      return null;
+    }
+
+    leg.endTime = hangupData.timestamp || new Date().toISOString();
+    leg.hangupCause = hangupData.causeTxt;
+    leg.hangupCauseCode = hangupData.cause !== undefined ? parseInt(hangupData.cause, 10) : null;
+    leg.duration = hangupData.duration;
+
+    const isLastLeg = call.legs.every(l => l.endTime);
+
+    return { call, leg, isLastLeg };
+  }
+
+  /**
+   * Get the logical call a channel belongs to
+   */
+  getCallByUniqueId(uniqueId) {
+    const linkedId = this.legIndex.get(uniqueId);
+    return linkedId ? this.calls.get(linkedId) : undefined;
+  }
+
+  /**
+   * Get a single leg by channel unique ID
+   */
+  getLeg(uniqueId) {
+    const call = this.getCallByUniqueId(uniqueId);
+    return call?.legs.find(leg => leg.uniqueId === uniqueId);
+  }
+
+  /**
+   * Get a call by its Linkedid
+   */
+  getCall(linkedId) {
+    return this.calls.get(linkedId);
+  }
+
+  /**
+   * Get all tracked calls
+   */
+  getAllCalls() {
+    return Array.from(this.calls.values());
+  }
+
+  /**
+   * Forget a call and all of its legs
+   */
+  removeCall(linkedId) {
+    const call = this.calls.get(linkedId);
+
+    if (!call) {
+      return false;
+    }
+
+    call.legs.forEach(leg => this.legIndex.delete(leg.uniqueId));
+    this.calls.delete(linkedId);
+    return true;
+  }
+}
+
+module.exports = CallCorrelator;
@@ -0,0 +1,120 @@
+/**
+ * Caller ID Lookup - display names for phone numbers, for FreePBX CID sources
+ *
+ * Names are resolved from SuiteCRM contacts, accounts and leads (in that order of
+ * preference) and cached per number; unknown numbers are cached for a shorter
+ * time. A lookup that takes longer than the timeout answers with no name so the
+ * PBX is never held up, and its result still lands in the cache for the next call.
+ */
+class CallerIdLookup {
+  constructor(suitecrmClient, logger, config = {}) {
+    this.suitecrm = suitecrmClient;
+    this.logger = logger;
+    this.timeout = config.timeout || 2000;
+    this.cacheTtl = (config.cacheTtl || 3600) * 1000;
+    this.negativeCacheTtl = (config.negativeCacheTtl || 300) * 1000;
+    this.maxCacheEntries = config.maxCacheEntries || 5000;
+
+    this.cache = new Map(); // normalized number -> { name, expiresAt }
+    this.pending = new Map(); // normalized number -> running lookup
+  }
+
+  /**
+   * Get the display name for a number; '' when unknown or not found in time
+   */
+  async getName(phoneNumber) {
+    const key = String(phoneNumber || '').replace(/\D/g, '');
+
+    if (!key) {
+      return '';
+    }
+
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.name;
+    }
+
+    // Concurrent requests for the same number share one CRM lookup
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.resolveName(String(phoneNumber).trim())
+        .then((name) => {
+          this.store(key, name);
+          return name;
+        })
+        .catch((error) => {
+          this.logger.warn('Caller ID lookup failed', { phoneNumber, error: error.message });
+          return '';
+        })
+        .finally(() => this.pending.delete(key)));
+    }
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        this.logger.warn('Caller ID lookup timed out', { phoneNumber, timeout: this.timeout });
+        resolve('');
+      }, this.timeout);
+    });
+
+    return Promise.race([this.pending.get(key), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Search contacts, accounts and leads side by side and pick the best match
+   */
+  async resolveName(phoneNumber) {
+    const [contacts, accounts, leads] = await Promise.all([
+      this.suitecrm.searchContactByPhone(phoneNumber),
+      this.suitecrm.searchAccountByPhone(phoneNumber),
+      this.suitecrm.searchLeadByPhone(phoneNumber)
+    ]);
+
+    // Failed searches must not be cached as "unknown number"
+    if (!contacts.success && !accounts.success && !leads.success) {
+      throw new Error('SuiteCRM search failed');
+    }
+
+    const person = (record) => `${record.attributes.first_name || ''} ${record.attributes.last_name || ''}`.trim();
+
+    if (contacts.found && person(contacts.data[0])) {
+      return person(contacts.data[0]);
+    }
+
+    if (accounts.found && accounts.data[0].attributes.name) {
+      return accounts.data[0].attributes.name;
+    }
+
+    if (leads.found) {
+      return person(leads.data[0]) || leads.data[0].attributes.account_name || '';
+    }
+
+    return '';
+  }
+
+  /**
+   * Cache a result, evicting the oldest entries beyond the size limit
+   */
+  store(key, name) {
+    this.cache.delete(key);
+    this.cache.set(key, {
+      name,
+      expiresAt: Date.now() + (name ? this.cacheTtl : this.negativeCacheTtl)
+    });
+
+    while (this.cache.size > this.maxCacheEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Cache statistics for the status endpoint
+   */
+  getStats() {
+    return {
+      cachedNumbers: this.cache.size,
+      pendingLookups: this.pending.size
+    };
+  }
+}
+
+module.exports = CallerIdLookup;
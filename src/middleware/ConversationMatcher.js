@@ -0,0 +1,159 @@
+/**
+ * Conversation Matcher - finds the PBX call an ElevenLabs conversation belongs to
+ *
+ * Methods, in order of precedence:
+ *   - conversation_id: the call was linked to the conversation before (confidence 1)
+ *   - call_sid: the conversation's call_sid equals an id captured on one of the
+ *     call's channels, e.g. the SIP Call-ID of the trunk leg to ElevenLabs stored
+ *     in a tracked channel variable (cti.aiCorrelation.variables, confidence 1)
+ *   - phone_time: the conversation's external number is a party of the call and
+ *     both started within cti.aiCorrelation.windowSeconds of each other; the
+ *     confidence drops with the time offset, with a partial number match and
+ *     when several calls qualify
+ *
+ * Matches below cti.aiCorrelation.minConfidence are discarded.
+ */
+class ConversationMatcher {
+  constructor(logger, config = {}) {
+    this.logger = logger;
+    this.variables = config.variables || ['ELEVENLABS_CALL_SID'];
+    this.windowSeconds = config.windowSeconds || 120;
+    this.minConfidence = config.minConfidence ?? 0.5;
+    this.matchDigits = config.matchDigits || 9;
+
+    this.trackedNames = new Set(this.variables.map(name => name.toLowerCase()));
+  }
+
+  /**
+   * Record a call id carried in one of the tracked channel variables
+   */
+  addVariable(call, { variable, value }) {
+    const callSid = String(value || '').trim();
+
+    if (!callSid || !this.trackedNames.has(String(variable).toLowerCase())) {
+      return false;
+    }
+
+    call.callSids = call.callSids || [];
+    if (!call.callSids.includes(callSid)) {
+      call.callSids.push(callSid);
+      this.logger.debug('Call SID captured', { linkedId: call.linkedId, variable, callSid });
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the call of a conversation (callData from ElevenLabsWebhook.extractCallData)
+   * Returns { call, method, confidence, timeOffset } or null
+   */
+  match(callData, calls) {
+    const candidates = Array.from(calls);
+
+    const linked = candidates.find(call => call.conversationId && call.conversationId === callData.conversationId);
+    if (linked) {
+      return { call: linked, method: 'conversation_id', confidence: 1, timeOffset: null };
+    }
+
+    // Calls already linked to another conversation are out of the running
+    const unlinked = candidates.filter(call => !call.conversationId);
+
+    const callSid = String(callData.callSid || '').trim();
+    const bySid = callSid && unlinked.find(call => (call.callSids || []).includes(callSid));
+    if (bySid) {
+      return { call: bySid, method: 'call_sid', confidence: 1, timeOffset: null };
+    }
+
+    return this.matchByPhoneAndTime(callData, unlinked);
+  }
+
+  /**
+   * Match on the external number and the start time of the conversation
+   */
+  matchByPhoneAndTime(callData, calls) {
+    const number = this.normalizeNumber(callData.externalNumber);
+    const startTime = Number(callData.startTimeUnix) * 1000;
+
+    if (!number || !startTime) {
+      return null;
+    }
+
+    const scored = calls
+      .map((call) => {
+        const timeOffset = Math.abs(new Date(call.startTime).getTime() - startTime) / 1000;
+        const numberMatch = this.getNumbers(call)
+          .map(candidate => this.compareNumbers(number, candidate))
+          .reduce((best, current) => Math.max(best, current), 0);
+
+        if (!numberMatch || !(timeOffset <= this.windowSeconds)) {
+          return null;
+        }
+
+        // An exact number scores 0.9, a matching suffix 0.8, less up to 0.3 at the window's edge
+        const base = numberMatch === 2 ? 0.9 : 0.8;
+        return { call, timeOffset, score: base - 0.3 * (timeOffset / this.windowSeconds) };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0) {
+      return null;
+    }
+
+    // Other calls from the same number in the window make the best one less certain:
+    // its score is weighted by its share of the scores of all qualifying calls
+    const [best] = scored;
+    const total = scored.reduce((sum, candidate) => sum + candidate.score, 0);
+    const confidence = Math.round(best.score * (best.score / total) * 100) / 100;
+
+    if (confidence < this.minConfidence) {
+      this.logger.info('Conversation match below minimum confidence', {
+        conversationId: callData.conversationId,
+        linkedId: best.call.linkedId,
+        confidence,
+        candidates: scored.length
+      });
+      return null;
+    }
+
+    return { call: best.call, method: 'phone_time', confidence, timeOffset: Math.round(best.timeOffset) };
+  }
+
+  /**
+   * Numbers of the parties of a call: caller, dialed number and every leg
+   */
+  getNumbers(call) {
+    const numbers = [call.callerIdNum, call.dialedNumber];
+
+    (call.legs || []).forEach((leg) => {
+      numbers.push(leg.callerIdNum, leg.exten);
+    });
+
+    return numbers.map(number => this.normalizeNumber(number)).filter(Boolean);
+  }
+
+  /**
+   * 2 for the same number, 1 when the last matchDigits digits agree
+   * (the same number with and without country code), 0 otherwise
+   */
+  compareNumbers(a, b) {
+    if (a === b) {
+      return 2;
+    }
+
+    if (a.length < this.matchDigits || b.length < this.matchDigits) {
+      return 0;
+    }
+
+    return a.slice(-this.matchDigits) === b.slice(-this.matchDigits) ? 1 : 0;
+  }
+
+  /**
+   * Digits only, for comparing numbers written in different formats
+   */
+  normalizeNumber(number) {
+    return String(number || '').replace(/\D/g, '');
+  }
+}
+
+module.exports = ConversationMatcher;
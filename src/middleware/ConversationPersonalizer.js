@@ -0,0 +1,122 @@
+// Every variable is always returned: ElevenLabs fails a conversation whose
+// prompt references a dynamic variable that was not provided
+const EMPTY_VARIABLES = {
+  crm_lookup_status: 'NOT_FOUND',
+  crm_contact_id: '',
+  crm_account_id: '',
+  user_name: '',
+  first_name: '',
+  account_name: '',
+  returning_customer: false,
+  open_cases_count: 0,
+  open_cases: '',
+  last_call_summary: '',
+  last_call_date: ''
+};
+
+/**
+ * Conversation Personalizer - dynamic variables for ElevenLabs conversation initiation
+ *
+ * At the start of an inbound call ElevenLabs asks for the caller's context.
+ * The caller is looked up in SuiteCRM: contact name, account, open Cases of the
+ * account and the summary of the last AI call log of the number. user_name is
+ * what ElevenLabsWebhook.extractCallData reads back as the caller's name.
+ * Lookups that take longer than the timeout answer with empty variables, so
+ * the conversation starts unpersonalized rather than late.
+ */
+class ConversationPersonalizer {
+  constructor(suitecrmClient, logger, config = {}) {
+    this.suitecrm = suitecrmClient;
+    this.logger = logger;
+    this.timeout = config.timeout || 2500;
+    this.maxOpenCases = config.maxOpenCases || 3;
+  }
+
+  /**
+   * Get the dynamic variables for a caller's number
+   */
+  async getDynamicVariables(phoneNumber) {
+    const number = String(phoneNumber || '').trim();
+
+    if (!number) {
+      return this.getEmptyVariables();
+    }
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        this.logger.warn('Conversation personalization timed out', { phoneNumber: number, timeout: this.timeout });
+        resolve(this.getEmptyVariables('TIMEOUT'));
+      }, this.timeout);
+    });
+
+    const lookup = this.resolveVariables(number).catch((error) => {
+      this.logger.warn('Conversation personalization failed', { phoneNumber: number, error: error.message });
+      return this.getEmptyVariables('UNAVAILABLE');
+    });
+
+    return Promise.race([lookup, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Variables for a caller nothing is known about
+   */
+  getEmptyVariables(status = 'NOT_FOUND') {
+    return { ...EMPTY_VARIABLES, crm_lookup_status: status };
+  }
+
+  /**
+   * Look the caller up and build the variables
+   */
+  async resolveVariables(number) {
+    const [contactResult, accountResult, callLogResult] = await Promise.all([
+      this.suitecrm.searchContactByPhone(number),
+      this.suitecrm.searchAccountByPhone(number),
+      this.suitecrm.getRecentCallLogs(number)
+    ]);
+
+    if (!contactResult.success && !accountResult.success) {
+      return this.getEmptyVariables('UNAVAILABLE');
+    }
+
+    const contact = contactResult.found ? contactResult.data[0] : null;
+    let account = accountResult.found ? accountResult.data[0] : null;
+    const accountId = account?.id || contact?.attributes?.account_id || null;
+
+    const [linkedAccount, openCases] = await Promise.all([
+      !account && accountId ? this.suitecrm.getAccount(accountId).then(result => result.data).catch(() => null) : null,
+      accountId ? this.suitecrm.getOpenCases(accountId) : { data: [] }
+    ]);
+    account = account || linkedAccount;
+
+    // Failed attempts have no conversation to summarize
+    const lastCall = callLogResult.data.find(callLog => callLog.attributes.ai_summary_c);
+    const cases = openCases.data || [];
+    const userName = contact
+      ? `${contact.attributes.first_name || ''} ${contact.attributes.last_name || ''}`.trim()
+      : '';
+
+    const variables = {
+      crm_lookup_status: contact || account ? 'FOUND' : 'NOT_FOUND',
+      crm_contact_id: contact?.id || '',
+      crm_account_id: accountId || '',
+      user_name: userName,
+      first_name: contact?.attributes?.first_name || '',
+      account_name: account?.attributes?.name || '',
+      returning_customer: !!(contact || account || lastCall),
+      open_cases_count: cases.length,
+      open_cases: cases
+        .slice(0, this.maxOpenCases)
+        .map(record => `#${record.attributes.case_number} ${record.attributes.name} (${record.attributes.status})`)
+        .join('; '),
+      last_call_summary: lastCall?.attributes?.ai_summary_c || '',
+      last_call_date: lastCall?.attributes?.date_entered || ''
+    };
+
+    this.logger.debug('Conversation dynamic variables', { phoneNumber: number, ...variables });
+
+    return variables;
+  }
+}
+
+module.exports = ConversationPersonalizer;
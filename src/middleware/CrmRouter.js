@@ -0,0 +1,115 @@
+/**
+ * CRM Router - channel variables for routing calls on SuiteCRM data
+ *
+ * Looks up the caller's contact and account, the account's tier and the
+ * SuiteCRM user responsible for the caller: the owner of the account's most
+ * recent open Case, else the contact's or account's assigned user. Users are
+ * mapped to extensions via cti.routing.userExtensions and, reversed,
+ * cti.missedCalls.agentUsers. Served to the dialplan by the FastAGI server:
+ *
+ *   CRM_LOOKUP_STATUS   FOUND, NOT_FOUND or UNAVAILABLE
+ *   CRM_CONTACT_ID      CRM_CONTACT_NAME
+ *   CRM_ACCOUNT_ID      CRM_ACCOUNT_NAME      CRM_ACCOUNT_TIER
+ *   CRM_CASE_ID         CRM_CASE_NUMBER
+ *   CRM_OWNER_USER_ID   CRM_OWNER_EXTENSION
+ */
+class CrmRouter {
+  constructor(suitecrmClient, logger, config = {}, agentUsers = {}) {
+    this.suitecrm = suitecrmClient;
+    this.logger = logger;
+    this.tierField = config.tierField || 'account_type';
+    this.useOpenCases = config.openCaseOwner !== false;
+
+    // SuiteCRM user id -> extension; explicit mappings win over reversed agent mappings
+    this.userExtensions = {
+      ...Object.fromEntries(Object.entries(agentUsers).map(([extension, userId]) => [userId, extension])),
+      ...(config.userExtensions || {})
+    };
+  }
+
+  /**
+   * Get the routing variables for a caller's number
+   * signal aborts the SuiteCRM requests once the caller has stopped waiting
+   */
+  async getVariables(phoneNumber, { signal } = {}) {
+    const number = String(phoneNumber || '').trim();
+
+    if (!number) {
+      return { CRM_LOOKUP_STATUS: 'NOT_FOUND' };
+    }
+
+    // The dialplan is waiting: requests are never repeated and end with the AGI session
+    const options = { signal, retry: false };
+
+    // Both searches run side by side to keep within the AGI time budget
+    const [contactResult, accountResult] = await Promise.all([
+      this.suitecrm.searchContactByPhone(number, options),
+      this.suitecrm.searchAccountByPhone(number, [this.tierField], options)
+    ]);
+
+    if (!contactResult.success && !accountResult.success) {
+      return { CRM_LOOKUP_STATUS: 'UNAVAILABLE' };
+    }
+
+    const contact = contactResult.found ? contactResult.data[0] : null;
+    let account = accountResult.found ? accountResult.data[0] : null;
+
+    if (!contact && !account) {
+      return { CRM_LOOKUP_STATUS: 'NOT_FOUND' };
+    }
+
+    // A contact's account is fetched for its tier alongside the open Case lookup
+    const accountId = account?.id || contact?.attributes?.account_id || null;
+    const [linkedAccount, openCase] = await Promise.all([
+      !account && accountId ? this.getAccount(accountId, options) : null,
+      accountId && this.useOpenCases ? this.getOpenCase(accountId, options) : null
+    ]);
+    account = account || linkedAccount;
+
+    const ownerUserId = openCase?.attributes?.assigned_user_id
+      || contact?.attributes?.assigned_user_id
+      || account?.attributes?.assigned_user_id
+      || null;
+
+    const variables = {
+      CRM_LOOKUP_STATUS: 'FOUND',
+      CRM_CONTACT_ID: contact?.id || '',
+      CRM_CONTACT_NAME: contact
+        ? `${contact.attributes.first_name || ''} ${contact.attributes.last_name || ''}`.trim()
+        : '',
+      CRM_ACCOUNT_ID: accountId || '',
+      CRM_ACCOUNT_NAME: account?.attributes?.name || '',
+      CRM_ACCOUNT_TIER: account?.attributes?.[this.tierField] || '',
+      CRM_CASE_ID: openCase?.id || '',
+      CRM_CASE_NUMBER: openCase?.attributes?.case_number || '',
+      CRM_OWNER_USER_ID: ownerUserId || '',
+      CRM_OWNER_EXTENSION: (ownerUserId && this.userExtensions[ownerUserId]) || ''
+    };
+
+    this.logger.debug('CRM routing variables', { phoneNumber: number, ...variables });
+
+    return variables;
+  }
+
+  /**
+   * Account record with the tier field, or null
+   */
+  async getAccount(accountId, options) {
+    try {
+      const result = await this.suitecrm.getAccount(accountId, [this.tierField, 'assigned_user_id'], options);
+      return result.data || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Most recent open Case of an account, or null
+   */
+  async getOpenCase(accountId, options) {
+    const result = await this.suitecrm.getOpenCases(accountId, options);
+    return result.found ? result.data[0] : null;
+  }
+}
+
+module.exports = CrmRouter;
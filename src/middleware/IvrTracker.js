@@ -0,0 +1,131 @@
+// FreePBX names the dialplan context of each IVR after its id
+const IVR_CONTEXT_PATTERN = /^ivr-(\d+)$/;
+
+/**
+ * IVR Tracker - builds the IVR journey of a call from dialplan, DTMF and VarSet events
+ *
+ * Every call gets an `ivr` object with a timeline of raw steps and a `path`
+ * of human readable choices, e.g. ['Billing', 'Overdue invoice']. Menu and
+ * option labels come from cti.ivr.menus in config, keyed by IVR context:
+ *
+ *   "ivr-3": { "name": "Main menu", "options": { "1": "Billing", "2": "Support" } }
+ *
+ * Unconfigured FreePBX IVRs still show up as "IVR 3" / "Option 1".
+ */
+class IvrTracker {
+  constructor(logger, config = {}) {
+    this.logger = logger;
+    this.menus = config.menus || {};
+    this.variables = config.variables || [];
+  }
+
+  /**
+   * Get the IVR journey of a call, creating it on first use
+   */
+  getJourney(call) {
+    if (!call.ivr) {
+      call.ivr = {
+        timeline: [],
+        path: [],
+        variables: {},
+        currentMenu: null
+      };
+    }
+
+    return call.ivr;
+  }
+
+  /**
+   * Get the menu definition for an IVR context, or null for non-IVR contexts
+   */
+  getMenu(context) {
+    if (this.menus[context]) {
+      return { name: context, options: {}, ...this.menus[context] };
+    }
+
+    const match = IVR_CONTEXT_PATTERN.exec(context || '');
+    return match ? { name: `IVR ${match[1]}`, options: {} } : null;
+  }
+
+  /**
+   * Record a dialplan step; returns the timeline entry when it is part of the IVR journey
+   * Entering an IVR context at 's' is the menu being played, any other
+   * extension in it is the option the caller chose (including 't' and 'i')
+   */
+  addDialplanStep(call, step) {
+    const menu = this.getMenu(step.context);
+
+    if (!menu) {
+      return null;
+    }
+
+    const journey = this.getJourney(call);
+    let entry;
+
+    if (step.exten === 's') {
+      journey.currentMenu = step.context;
+      entry = { type: 'menu', context: step.context, label: menu.name };
+    } else {
+      const label = menu.options[step.exten] || this.describeOption(step.exten);
+      journey.path.push(label);
+      entry = { type: 'option', context: step.context, exten: step.exten, menu: menu.name, label };
+    }
+
+    entry.timestamp = step.timestamp;
+    journey.timeline.push(entry);
+
+    this.logger.debug('IVR step', { linkedId: call.linkedId, ...entry });
+    return entry;
+  }
+
+  /**
+   * Record a DTMF digit pressed by the caller
+   */
+  addDtmf(call, dtmf) {
+    const journey = this.getJourney(call);
+    const entry = {
+      type: 'dtmf',
+      digit: dtmf.digit,
+      menu: journey.currentMenu,
+      timestamp: dtmf.timestamp
+    };
+
+    journey.timeline.push(entry);
+    return entry;
+  }
+
+  /**
+   * Record a tracked channel variable
+   */
+  addVariable(call, data) {
+    const journey = this.getJourney(call);
+    const entry = {
+      type: 'variable',
+      name: data.variable,
+      value: data.value,
+      timestamp: data.timestamp
+    };
+
+    journey.variables[data.variable] = data.value;
+    journey.timeline.push(entry);
+    return entry;
+  }
+
+  /**
+   * Human readable label for an unconfigured option
+   */
+  describeOption(exten) {
+    if (exten === 't') return 'No selection (timeout)';
+    if (exten === 'i') return 'Invalid selection';
+    return `Option ${exten}`;
+  }
+
+  /**
+   * Format the choices a caller made, e.g. "Billing > Overdue invoice"
+   */
+  formatPath(call) {
+    return call.ivr?.path.length ? call.ivr.path.join(' > ') : null;
+  }
+}
+
+module.exports = IvrTracker;
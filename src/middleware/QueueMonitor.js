@@ -0,0 +1,322 @@
+const EventEmitter = require('events');
+
+// Asterisk device states as reported in QueueMemberStatus/QueueMember events
+const MEMBER_STATUS = {
+  0: 'unknown',
+  1: 'idle',
+  2: 'in_use',
+  3: 'busy',
+  4: 'invalid',
+  5: 'unavailable',
+  6: 'ringing',
+  7: 'ringing_in_use',
+  8: 'on_hold'
+};
+
+/**
+ * Queue Monitor - live model of FreePBX queues built from AMI queue events
+ *
+ * Tracks waiting callers (position, hold time) and member states per queue,
+ * and emits 'queue:update' with a snapshot of the queue after every change.
+ */
+class QueueMonitor extends EventEmitter {
+  constructor(freepbxClient, logger) {
+    super();
+    this.freepbx = freepbxClient;
+    this.logger = logger;
+    this.queues = new Map(); // queue name (PBX-qualified with several PBXes) -> queue state
+
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Subscribe to queue events from FreePBX
+   */
+  setupEventHandlers() {
+    this.freepbx.on('queue:queuecallerjoin', (data) => this.handleCallerJoin(data));
+    this.freepbx.on('queue:queueentry', (data) => this.handleCallerJoin(data));
+    this.freepbx.on('queue:queuecallerleave', (data) => this.handleCallerLeave(data));
+    this.freepbx.on('queue:queuecallerabandon', (data) => this.handleCallerAbandon(data));
+    this.freepbx.on('queue:agentcalled', (data) => this.handleAgentCalled(data));
+    this.freepbx.on('queue:agentconnect', (data) => this.handleAgentConnect(data));
+    this.freepbx.on('queue:agentcomplete', (data) => this.handleAgentComplete(data));
+    this.freepbx.on('queue:queuememberstatus', (data) => this.handleMemberStatus(data));
+    this.freepbx.on('queue:queuemember', (data) => this.handleMemberStatus(data));
+    this.freepbx.on('queue:queueparams', (data) => this.handleQueueParams(data));
+
+    // Seed the model with the current queue state on every (re)connect of a PBX
+    this.freepbx.on('connected', (info) => this.refresh(info?.pbx));
+  }
+
+  /**
+   * Request a full queue state dump from one PBX (default: all); results arrive as queue events
+   * Only the queues of the refreshed PBX are dropped, the others keep their state
+   */
+  async refresh(pbx) {
+    try {
+      this.queues.forEach((queue, name) => {
+        if (!pbx || queue.pbx === pbx) this.queues.delete(name);
+      });
+
+      if (await this.freepbx.refreshQueues(pbx)) {
+        this.logger.info('Queue status requested', { pbx: pbx || null });
+      }
+    } catch (error) {
+      this.logger.warn('Failed to request queue status', { pbx: pbx || null, error: error.message });
+    }
+  }
+
+  /**
+   * Get or create the state for a queue
+   */
+  getOrCreateQueue(name, pbx) {
+    if (!this.queues.has(name)) {
+      this.queues.set(name, {
+        name,
+        pbx: pbx || null,
+        strategy: null,
+        callers: new Map(), // caller uniqueId -> caller
+        members: new Map(), // member interface -> member
+        stats: {
+          answered: 0,
+          completed: 0,
+          abandoned: 0
+        }
+      });
+    }
+
+    return this.queues.get(name);
+  }
+
+  /**
+   * Handle QueueCallerJoin (and QueueEntry from QueueStatus)
+   */
+  handleCallerJoin(data) {
+    if (!data.queue || !data.uniqueId) return;
+
+    const queue = this.getOrCreateQueue(data.queue, data.pbx);
+    const now = Date.now();
+
+    queue.callers.set(data.uniqueId, {
+      uniqueId: data.uniqueId,
+      linkedId: data.linkedId,
+      channel: data.channel,
+      callerIdNum: data.callerIdNum,
+      callerIdName: data.callerIdName,
+      position: data.position,
+      // QueueEntry reports how long the caller has already waited
+      joinedAt: new Date(now - (data.wait || 0) * 1000).toISOString(),
+      ringingMembers: []
+    });
+
+    this.publish(queue);
+  }
+
+  /**
+   * Handle QueueCallerLeave - caller answered or removed from the queue
+   */
+  handleCallerLeave(data) {
+    const queue = this.queues.get(data.queue);
+    if (!queue) return;
+
+    this.removeCaller(queue, data.uniqueId);
+    this.publish(queue);
+  }
+
+  /**
+   * Handle QueueCallerAbandon - caller hung up while waiting
+   */
+  handleCallerAbandon(data) {
+    const queue = this.getOrCreateQueue(data.queue, data.pbx);
+    queue.stats.abandoned++;
+
+    this.logger.info('Queue caller abandoned', {
+      queue: data.queue,
+      uniqueId: data.uniqueId,
+      holdTime: data.holdTime,
+      originalPosition: data.position
+    });
+
+    this.emit('queue:abandon', {
+      queue: data.queue,
+      uniqueId: data.uniqueId,
+      holdTime: data.holdTime,
+      caller: queue.callers.get(data.uniqueId) || null,
+      timestamp: data.timestamp
+    });
+
+    // QueueCallerLeave follows the abandon, but drop the caller now in case it never arrives
+    this.removeCaller(queue, data.uniqueId);
+    this.publish(queue);
+  }
+
+  /**
+   * Handle AgentCalled - a member's phone is ringing for a waiting caller
+   */
+  handleAgentCalled(data) {
+    const queue = this.getOrCreateQueue(data.queue, data.pbx);
+    const caller = queue.callers.get(data.uniqueId);
+
+    if (caller && data.interface && !caller.ringingMembers.includes(data.interface)) {
+      caller.ringingMembers.push(data.interface);
+    }
+
+    this.publish(queue);
+  }
+
+  /**
+   * Handle AgentConnect - a member answered a queue caller
+   */
+  handleAgentConnect(data) {
+    const queue = this.getOrCreateQueue(data.queue, data.pbx);
+    const member = this.getOrCreateMember(queue, data);
+
+    member.inCall = true;
+    member.currentCaller = data.uniqueId;
+    queue.stats.answered++;
+
+    this.removeCaller(queue, data.uniqueId);
+    this.publish(queue);
+  }
+
+  /**
+   * Handle AgentComplete - a queue call handled by a member ended
+   */
+  handleAgentComplete(data) {
+    const queue = this.getOrCreateQueue(data.queue, data.pbx);
+    const member = this.getOrCreateMember(queue, data);
+
+    member.inCall = false;
+    member.currentCaller = null;
+    queue.stats.completed++;
+
+    this.publish(queue);
+  }
+
+  /**
+   * Handle QueueMemberStatus (and QueueMember from QueueStatus)
+   */
+  handleMemberStatus(data) {
+    if (!data.queue || !data.interface) return;
+
+    const queue = this.getOrCreateQueue(data.queue, data.pbx);
+    const member = this.getOrCreateMember(queue, data);
+
+    member.status = MEMBER_STATUS[data.status] || 'unknown';
+    member.paused = data.paused;
+    member.inCall = data.inCall;
+    if (data.callsTaken !== undefined) member.callsTaken = data.callsTaken;
+    if (data.lastCall !== undefined) member.lastCall = data.lastCall ? new Date(data.lastCall * 1000).toISOString() : null;
+    if (data.penalty !== undefined) member.penalty = data.penalty;
+
+    this.publish(queue);
+  }
+
+  /**
+   * Handle QueueParams from QueueStatus
+   */
+  handleQueueParams(data) {
+    if (!data.queue) return;
+
+    const queue = this.getOrCreateQueue(data.queue, data.pbx);
+    queue.strategy = data.strategy || queue.strategy;
+    if (data.completed !== undefined) queue.stats.completed = data.completed;
+    if (data.abandoned !== undefined) queue.stats.abandoned = data.abandoned;
+  }
+
+  /**
+   * Get or create a queue member by interface
+   */
+  getOrCreateMember(queue, data) {
+    const key = data.interface || data.memberName;
+
+    if (!queue.members.has(key)) {
+      queue.members.set(key, {
+        interface: data.interface,
+        name: data.memberName,
+        stateInterface: data.stateInterface,
+        extension: this.freepbx.extractExtension(data.stateInterface || data.interface),
+        status: 'unknown',
+        paused: false,
+        inCall: false,
+        callsTaken: 0,
+        lastCall: null,
+        penalty: 0,
+        currentCaller: null
+      });
+    }
+
+    return queue.members.get(key);
+  }
+
+  /**
+   * Remove a caller and move everyone behind them up one position
+   */
+  removeCaller(queue, uniqueId) {
+    const caller = queue.callers.get(uniqueId);
+    if (!caller) return;
+
+    queue.callers.delete(uniqueId);
+
+    queue.callers.forEach((other) => {
+      if (other.position > caller.position) {
+        other.position--;
+      }
+    });
+  }
+
+  /**
+   * Emit a queue snapshot to listeners
+   */
+  publish(queue) {
+    this.emit('queue:update', this.serializeQueue(queue));
+  }
+
+  /**
+   * Convert queue state to a plain object with computed hold times
+   */
+  serializeQueue(queue) {
+    const now = Date.now();
+
+    const callers = Array.from(queue.callers.values())
+      .map(caller => ({
+        ...caller,
+        holdTime: Math.floor((now - new Date(caller.joinedAt).getTime()) / 1000)
+      }))
+      .sort((a, b) => (a.position || 0) - (b.position || 0));
+
+    const members = Array.from(queue.members.values());
+
+    return {
+      name: queue.name,
+      pbx: queue.pbx,
+      strategy: queue.strategy,
+      waiting: callers.length,
+      longestHoldTime: callers.reduce((max, caller) => Math.max(max, caller.holdTime), 0),
+      availableMembers: members.filter(m => m.status === 'idle' && !m.paused).length,
+      callers,
+      members,
+      stats: { ...queue.stats },
+      timestamp: new Date(now).toISOString()
+    };
+  }
+
+  /**
+   * Get a single queue snapshot
+   */
+  getQueue(name) {
+    const queue = this.queues.get(name);
+    return queue ? this.serializeQueue(queue) : null;
+  }
+
+  /**
+   * Get snapshots of all known queues
+   */
+  getAllQueues() {
+    return Array.from(this.queues.values()).map(queue => this.serializeQueue(queue));
+  }
+}
+
+QueueMonitor.MEMBER_STATUS = MEMBER_STATUS;
+
+module.exports = QueueMonitor;
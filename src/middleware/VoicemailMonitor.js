@@ -0,0 +1,163 @@
+const EventEmitter = require('events');
+
+/**
+ * Voicemail Monitor - detects new voicemails from AMI MessageWaiting events
+ *
+ * MessageWaiting only carries the mailbox and its message counts, so callers
+ * sent to the VoiceMail application are remembered per mailbox and matched to
+ * the next increase of that mailbox's new-message count. Emits 'voicemail'
+ * for mailboxes mapped in config (cti.voicemail.mailboxes) and, when
+ * mapExtensions is on, for mailboxes that belong to an extension.
+ * With several PBXes, mailboxes are tracked per PBX and mappings may be
+ * written as "<pbx>:<mailbox>" to apply to one PBX only.
+ */
+class VoicemailMonitor extends EventEmitter {
+  constructor(freepbxClient, logger, config = {}) {
+    super();
+    this.freepbx = freepbxClient;
+    this.logger = logger;
+    this.mailboxes = config.mailboxes || {};
+    this.mapExtensions = config.mapExtensions !== false;
+    this.callerWindow = (config.callerWindow || 600) * 1000;
+
+    this.messageCounts = new Map(); // PBX mailbox key -> last known new-message count
+    this.pendingCallers = new Map(); // PBX mailbox key -> callers sent to its voicemail, oldest first
+
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Subscribe to voicemail events from FreePBX
+   */
+  setupEventHandlers() {
+    this.freepbx.on('call:voicemail', (data) => this.handleCallerToVoicemail(data));
+    this.freepbx.on('voicemail:mwi', (data) => this.handleMessageWaiting(data));
+  }
+
+  /**
+   * Remember a caller who reached the VoiceMail application
+   */
+  handleCallerToVoicemail(data) {
+    this.prunePendingCallers();
+
+    data.mailboxes.forEach((mailbox) => {
+      const key = this.mailboxKey(data.pbx, mailbox);
+      const callers = this.pendingCallers.get(key) || [];
+      callers.push({
+        uniqueId: data.uniqueId,
+        linkedId: data.linkedId,
+        channel: data.channel,
+        callerIdNum: data.callerIdNum,
+        callerIdName: data.callerIdName,
+        enteredAt: Date.now()
+      });
+      this.pendingCallers.set(key, callers);
+    });
+  }
+
+  /**
+   * Handle a mailbox's message counts changing
+   */
+  handleMessageWaiting(data) {
+    const key = this.mailboxKey(data.pbx, data.mailbox);
+    const known = this.messageCounts.has(key);
+    this.prunePendingCallers();
+    const previous = this.messageCounts.get(key) || 0;
+    this.messageCounts.set(key, data.newMessages);
+
+    // Messages being listened to or deleted also trigger MessageWaiting
+    if (data.newMessages <= previous) {
+      return;
+    }
+
+    // First sighting of a mailbox after startup: only trust it if a caller was just sent there
+    if (!known && !this.pendingCallers.has(key)) {
+      return;
+    }
+
+    const caller = this.takePendingCaller(key);
+    const mapping = this.getMailboxMapping(data.mailbox, data.pbx);
+
+    if (!mapping) {
+      this.logger.debug('Voicemail for unmapped mailbox ignored', { mailbox: data.mailbox, pbx: data.pbx });
+      return;
+    }
+
+    this.logger.info('New voicemail', {
+      mailbox: data.mailbox,
+      pbx: data.pbx,
+      newMessages: data.newMessages,
+      callerIdNum: caller?.callerIdNum
+    });
+
+    this.emit('voicemail', {
+      mailbox: data.mailbox,
+      pbx: data.pbx || null,
+      context: data.context,
+      newMessages: data.newMessages,
+      oldMessages: data.oldMessages,
+      mapping,
+      caller,
+      timestamp: data.timestamp
+    });
+  }
+
+  /**
+   * Key of a mailbox on a PBX (mailbox numbers repeat across PBXes)
+   */
+  mailboxKey(pbx, mailbox) {
+    return pbx ? `${pbx}:${mailbox}` : mailbox;
+  }
+
+  /**
+   * Forget callers sent to voicemail longer ago than the caller window, in all
+   * mailboxes, so mailboxes that never report a message do not keep them
+   */
+  prunePendingCallers() {
+    const cutoff = Date.now() - this.callerWindow;
+
+    for (const [key, callers] of this.pendingCallers.entries()) {
+      const recent = callers.filter(caller => caller.enteredAt >= cutoff);
+
+      if (recent.length > 0) {
+        this.pendingCallers.set(key, recent);
+      } else {
+        this.pendingCallers.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Take the most recent caller sent to a mailbox within the caller window
+   */
+  takePendingCaller(key) {
+    const callers = this.pendingCallers.get(key) || [];
+    const caller = callers.pop() || null;
+
+    if (callers.length === 0) {
+      this.pendingCallers.delete(key);
+    }
+
+    return caller;
+  }
+
+  /**
+   * Get the configured mapping for a mailbox
+   * Mappings may list agent extensions, a queue whose members own the mailbox,
+   * and the SuiteCRM user the Task is assigned to; a "<pbx>:<mailbox>" mapping wins
+   */
+  getMailboxMapping(mailbox, pbx) {
+    const mapping = (pbx && this.mailboxes[`${pbx}:${mailbox}`]) || this.mailboxes[mailbox];
+    if (mapping) {
+      return mapping;
+    }
+
+    if (this.mapExtensions && /^\d+$/.test(mailbox)) {
+      return { agents: [mailbox] };
+    }
+
+    return null;
+  }
+}
+
+module.exports = VoicemailMonitor;
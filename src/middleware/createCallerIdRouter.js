@@ -0,0 +1,71 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+
+/**
+ * Password of an HTTP basic auth header, or null
+ */
+function basicAuthPassword(header) {
+  const match = /^Basic (.+)$/i.exec(header || '');
+  return match ? Buffer.from(match[1], 'base64').toString().split(':').slice(1).join(':') : null;
+}
+
+/**
+ * Create the router of the caller ID lookup route (GET /cid/lookup) for FreePBX's
+ * HTTP Caller ID Lookup Source and CID Superfecta
+ *
+ * PBX lookup sources cannot send headers. The API key is accepted as X-API-Key or
+ * as the HTTP basic auth password, never in the URL; a URL can carry the separate
+ * lookup key (security.cidLookupKey), which opens this route only. Answers plain
+ * text, empty when unknown, and is rate limited (a SuiteCRM query per request).
+ */
+function createCallerIdRouter(getCallerIdName, logger, security = {}) {
+  const router = express.Router();
+
+  router.use('/cid', rateLimit({
+    windowMs: security.rateLimitWindowMs,
+    max: security.rateLimitMaxRequests,
+    message: 'Too many requests from this IP, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+    validate: {
+      trustProxy: false,
+      xForwardedForHeader: false
+    }
+  }));
+
+  // Empty keys never pass
+  const matches = (key, expected) => !!key && !!expected && key === expected;
+
+  router.get('/cid/lookup', async (req, res) => {
+    const password = basicAuthPassword(req.headers.authorization);
+    const authorized = security.requireApiKey === false
+      || matches(req.headers['x-api-key'] || password, security.apiKey)
+      || matches(req.query.key || password, security.cidLookupKey);
+
+    if (!authorized) {
+      logger.warn('Invalid API key attempt', {
+        ip: req.ip,
+        path: req.path
+      });
+      return res.status(401).type('text/plain').send('');
+    }
+
+    const number = String(req.query.number || req.query.thenumber || '').trim();
+
+    if (!number) {
+      return res.status(400).type('text/plain').send('');
+    }
+
+    try {
+      const name = await getCallerIdName(number);
+      res.type('text/plain').send(name);
+    } catch (error) {
+      logger.error('Error looking up caller ID name', error, { number });
+      res.type('text/plain').send('');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCallerIdRouter;
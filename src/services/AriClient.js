@@ -0,0 +1,781 @@
+const axios = require('axios');
+const WebSocket = require('ws');
+const PBXAdapter = require('./PBXAdapter');
+
+// ARI channel states, in the order of Asterisk's numeric channel states (AMI ChannelState)
+const CHANNEL_STATES = [
+  'Down',
+  'Rsrvd',
+  'OffHook',
+  'Dialing',
+  'Ring',
+  'Ringing',
+  'Up',
+  'Busy',
+  'Dialing Offhook',
+  'Pre-ring',
+  'Unknown'
+];
+
+/**
+ * Asterisk REST Interface client - PBX adapter backend for ARI (HTTP + WebSocket)
+ *
+ * Subscribes to all events with subscribeAll, so channels created by the FreePBX
+ * dialplan are tracked without entering the Stasis application. ARI only lets an
+ * application control channels inside it: hang up and originate work for any
+ * channel, recordings run on a snoop channel, and transfer and hold only apply to
+ * channels in the application. Attended transfer and park are not supported.
+ */
+class AriClient extends PBXAdapter {
+  constructor(config, logger) {
+    super(config, logger, 'ARI');
+    this.baseUrl = (config.url || 'http://localhost:8088').replace(/\/$/, '');
+    this.app = config.app || 'cti-middleware';
+    this.ws = null;
+    this.awaitingPong = null; // time of the last unanswered ping
+    this.originated = new Set(); // channel ids originated by us that have not answered yet
+    this.recordings = new Map(); // channel name -> live recording { name, format, uniqueId, snoopId }
+    this.http = axios.create({
+      baseURL: `${this.baseUrl}/ari`,
+      timeout: this.config.actionTimeout,
+      auth: {
+        username: config.username,
+        password: config.password
+      }
+    });
+  }
+
+  /**
+   * Connect to ARI: check credentials over HTTP, then open the event WebSocket
+   */
+  async connect() {
+    if (!this.config.username || !this.config.password) {
+      throw new Error('ARI credentials not configured (ARI_USERNAME and ARI_PASSWORD required)');
+    }
+
+    this.stopped = false;
+    this.clearReconnectTimer();
+    this.destroyConnection();
+
+    try {
+      this.setState('connecting');
+      await this.request('get', '/asterisk/info', { only: 'system' });
+
+      this.setState('authenticating');
+      const wsUrl = `${this.baseUrl.replace(/^http/, 'ws')}/ari/events?app=${encodeURIComponent(this.app)}&subscribeAll=true`;
+      const auth = Buffer.from(`${this.config.username}:${this.config.password}`).toString('base64');
+
+      await new Promise((resolve, reject) => {
+        const ws = new WebSocket(wsUrl, { headers: { Authorization: `Basic ${auth}` } });
+        this.ws = ws;
+
+        const timeout = setTimeout(() => {
+          reject(new Error(`ARI connection timeout after ${this.config.connectTimeout / 1000} seconds`));
+        }, this.config.connectTimeout);
+
+        ws.once('open', () => {
+          clearTimeout(timeout);
+          resolve();
+        });
+
+        ws.once('unexpected-response', (req, res) => {
+          clearTimeout(timeout);
+          reject(new Error(`ARI event connection rejected: HTTP ${res.statusCode}`));
+        });
+
+        ws.on('error', (error) => {
+          clearTimeout(timeout);
+          reject(error);
+        });
+      });
+
+      this.setupEventListeners();
+      this.handleConnected();
+      return true;
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('Failed to connect to Asterisk ARI', error, {
+        url: this.baseUrl,
+        app: this.app,
+        attempt: this.reconnectAttempts + 1
+      });
+      this.destroyConnection();
+      this.setState('disconnected');
+      this.handleReconnect();
+      throw error;
+    }
+  }
+
+  /**
+   * Set up event WebSocket listeners
+   */
+  setupEventListeners() {
+    this.ws.on('close', () => {
+      this.handleConnectionLost('Connection closed');
+    });
+
+    this.ws.on('pong', () => {
+      if (this.awaitingPong) {
+        this.lastHeartbeat = {
+          timestamp: new Date().toISOString(),
+          latencyMs: Date.now() - this.awaitingPong
+        };
+      }
+      this.awaitingPong = null;
+      this.missedHeartbeats = 0;
+    });
+
+    this.ws.on('message', (message) => {
+      try {
+        this.handleEvent(JSON.parse(message));
+      } catch (error) {
+        this.logger.error('Failed to handle ARI event', error);
+      }
+    });
+  }
+
+  /**
+   * Event WebSocket open - reset backoff, start heartbeats and rebuild state
+   */
+  handleConnected() {
+    this.connected = true;
+    this.reconnectAttempts = 0;
+    this.nextReconnectAt = null;
+    this.lastError = null;
+    this.connectedSince = new Date().toISOString();
+    this.setState('connected');
+
+    this.logger.info('Connected to Asterisk ARI', {
+      url: this.baseUrl,
+      app: this.app
+    });
+
+    this.emit('connected');
+    this.startHeartbeat();
+    this.refreshExtensionStates();
+    this.resyncChannels().catch((error) => {
+      this.logger.error('Channel resync failed', error);
+    });
+  }
+
+  /**
+   * Connection dropped or found dead - clean up and schedule a reconnect
+   */
+  handleConnectionLost(reason) {
+    if (this.state !== 'connected') {
+      return;
+    }
+
+    this.connected = false;
+    this.connectedSince = null;
+    this.lastError = reason;
+    this.stopHeartbeat();
+    this.destroyConnection();
+    this.setState('disconnected', reason);
+
+    this.emit('disconnected');
+    this.logger.warn('Disconnected from Asterisk ARI', { reason });
+    this.handleReconnect();
+  }
+
+  /**
+   * Close the event WebSocket, if any, without triggering reconnect logic
+   */
+  destroyConnection() {
+    if (!this.ws) {
+      return;
+    }
+
+    const ws = this.ws;
+    this.ws = null;
+
+    ws.removeAllListeners();
+    // Keep a listener so errors while closing do not throw
+    ws.on('error', () => {});
+    ws.terminate();
+  }
+
+  /**
+   * Send periodic WebSocket pings to detect half-open connections
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.missedHeartbeats = 0;
+    this.awaitingPong = null;
+
+    if (!this.config.heartbeatInterval) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(() => {
+      if (this.awaitingPong) {
+        this.missedHeartbeats++;
+        this.logger.warn('ARI heartbeat missed', { missed: this.missedHeartbeats });
+
+        if (this.missedHeartbeats >= this.config.heartbeatMaxMissed) {
+          this.handleConnectionLost(`No heartbeat response (${this.missedHeartbeats} missed)`);
+          return;
+        }
+      }
+
+      this.awaitingPong = Date.now();
+      this.ws?.ping();
+    }, this.config.heartbeatInterval);
+  }
+
+  /**
+   * Send an ARI REST request
+   * Errors carry ARI's own message and HTTP status
+   */
+  async request(method, path, params = {}, data = undefined) {
+    try {
+      const response = await this.http.request({ method, url: path, params, data });
+      return response.data;
+    } catch (error) {
+      const wrapped = new Error(error.response?.data?.message || error.message);
+      wrapped.ariStatus = error.response?.status;
+      this.logger.error(`ARI request failed: ${method.toUpperCase()} ${path}`, wrapped);
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Dispatch an ARI event
+   */
+  handleEvent(event) {
+    event = this.withGlobalIds(event);
+    const channel = event.channel || event.peer;
+
+    // Snoop channels are our own recording helpers, not call legs
+    if (channel && this.isHelperChannel(channel)) {
+      return;
+    }
+
+    this.logger.debug(`ARI Event: ${event.type}`, event);
+
+    switch (event.type) {
+      case 'ChannelCreated':
+        this.addChannel(this.toChannelData(event.channel));
+        break;
+      case 'ChannelStateChange':
+        this.handleStateChange(event);
+        break;
+      case 'ChannelDestroyed':
+        this.handleDestroyed(event);
+        break;
+      case 'ChannelDialplan':
+        this.handleDialplanStep({
+          uniqueId: event.channel.id,
+          linkedId: event.channel.linkedid,
+          channel: event.channel.name,
+          context: event.channel.dialplan?.context,
+          exten: event.channel.dialplan?.exten,
+          application: event.dialplan_app,
+          appData: event.dialplan_app_data,
+          callerIdNum: event.channel.caller?.number,
+          callerIdName: event.channel.caller?.name
+        });
+        break;
+      case 'ChannelDtmfReceived':
+        this.handleDtmf(event);
+        break;
+      case 'ChannelVarset':
+        if (event.channel) {
+          this.handleVariableSet({
+            uniqueId: event.channel.id,
+            linkedId: event.channel.linkedid,
+            channel: event.channel.name,
+            variable: event.variable,
+            value: event.value
+          });
+        }
+        break;
+      case 'Dial':
+        this.handleDial(event);
+        break;
+      case 'BridgeCreated':
+        this.getOrCreateBridge(this.bridgeInfo(event.bridge));
+        break;
+      case 'ChannelEnteredBridge':
+        this.enterBridge(this.bridgeInfo(event.bridge), {
+          channel: event.channel.name,
+          uniqueId: event.channel.id,
+          linkedId: event.channel.linkedid || this.activeChannels.get(event.channel.id)?.linkedId,
+          callerIdNum: event.channel.caller?.number,
+          callerIdName: event.channel.caller?.name
+        });
+        break;
+      case 'ChannelLeftBridge':
+        this.leaveBridge(event.bridge.id, event.channel.id);
+        break;
+      case 'BridgeDestroyed':
+        this.destroyBridge(event.bridge.id);
+        break;
+      case 'RecordingStarted':
+        this.handleRecordingStarted(event);
+        break;
+      case 'DeviceStateChanged':
+        this.handleDeviceStateChanged(event);
+        break;
+      case 'EndpointStateChange':
+        this.handleEndpointStateChange(event);
+        break;
+    }
+  }
+
+  /**
+   * Qualify the channel and bridge ids of an ARI event with this PBX's prefix
+   */
+  withGlobalIds(event) {
+    if (!this.idPrefix) {
+      return event;
+    }
+
+    const qualified = { ...event };
+    ['channel', 'peer', 'caller'].forEach((field) => {
+      if (qualified[field]) {
+        qualified[field] = this.qualifyChannel(qualified[field]);
+      }
+    });
+
+    if (qualified.bridge) {
+      qualified.bridge = this.qualifyBridge(qualified.bridge);
+    }
+
+    return qualified;
+  }
+
+  /**
+   * Qualify the ids of an ARI channel object
+   */
+  qualifyChannel(channel) {
+    return this.idPrefix
+      ? { ...channel, id: this.globalId(channel.id), linkedid: this.globalId(channel.linkedid) }
+      : channel;
+  }
+
+  /**
+   * Qualify the ids of an ARI bridge object
+   */
+  qualifyBridge(bridge) {
+    return this.idPrefix
+      ? { ...bridge, id: this.globalId(bridge.id), channels: (bridge.channels || []).map(id => this.globalId(id)) }
+      : bridge;
+  }
+
+  /**
+   * Whether a channel is one of our snoop channels
+   */
+  isHelperChannel(channel) {
+    return String(channel.name || '').startsWith('Snoop/');
+  }
+
+  /**
+   * Normalize an ARI channel object
+   * linkedid is only reported by Asterisk versions that include it in the channel model;
+   * without it every channel is its own call
+   */
+  toChannelData(channel) {
+    return {
+      channel: channel.name,
+      callerIdNum: channel.caller?.number,
+      callerIdName: channel.caller?.name,
+      context: channel.dialplan?.context,
+      exten: channel.dialplan?.exten,
+      state: this.mapChannelState(channel.state),
+      stateDesc: channel.state,
+      timestamp: channel.creationtime ? new Date(channel.creationtime).toISOString() : new Date().toISOString(),
+      uniqueId: channel.id,
+      linkedId: channel.linkedid || channel.id,
+      extension: this.extractExtension(channel.name)
+    };
+  }
+
+  /**
+   * Map an ARI channel state name to Asterisk's numeric channel state
+   */
+  mapChannelState(state) {
+    const index = CHANNEL_STATES.indexOf(state);
+    return String(index >= 0 ? index : CHANNEL_STATES.indexOf('Unknown'));
+  }
+
+  /**
+   * Bridge identity from an ARI bridge object
+   */
+  bridgeInfo(bridge) {
+    return {
+      bridgeId: bridge.id,
+      type: bridge.bridge_type,
+      technology: bridge.technology
+    };
+  }
+
+  /**
+   * Handle ChannelStateChange; an originated channel going Up is a successful origination
+   */
+  handleStateChange(event) {
+    this.updateChannelState(event.channel.id, this.mapChannelState(event.channel.state), event.channel.state);
+
+    if (event.channel.state === 'Up' && this.originated.delete(event.channel.id)) {
+      this.emitOriginateResponse(event.channel, true);
+    }
+  }
+
+  /**
+   * Handle ChannelDestroyed; an originated channel ending before it answered is a failed origination
+   */
+  handleDestroyed(event) {
+    if (this.originated.delete(event.channel.id)) {
+      this.emitOriginateResponse(event.channel, false, event.cause_txt);
+    }
+
+    this.recordings.delete(event.channel.name);
+
+    this.removeChannel(event.channel.id, {
+      channel: event.channel.name,
+      callerIdNum: event.channel.caller?.number,
+      cause: event.cause,
+      causeTxt: event.cause_txt,
+      linkedId: event.channel.linkedid
+    });
+  }
+
+  /**
+   * Emit call:originate_response, matching the AMI OriginateResponse event
+   */
+  emitOriginateResponse(channel, success, reason = null) {
+    const originateData = {
+      uniqueId: channel.id,
+      channel: channel.name,
+      response: success ? 'Success' : 'Failure',
+      reason,
+      success,
+      timestamp: new Date().toISOString()
+    };
+
+    this.emit('call:originate_response', originateData);
+
+    this.logger.info('Originate response', {
+      uniqueId: originateData.uniqueId,
+      response: originateData.response,
+      reason
+    });
+  }
+
+  /**
+   * Handle ChannelDtmfReceived - a digit pressed by the party on a channel
+   */
+  handleDtmf(event) {
+    const channelData = this.activeChannels.get(event.channel.id);
+
+    this.emit('call:dtmf', {
+      uniqueId: event.channel.id,
+      linkedId: event.channel.linkedid || channelData?.linkedId || event.channel.id,
+      channel: event.channel.name,
+      digit: event.digit,
+      durationMs: event.duration_ms,
+      context: event.channel.dialplan?.context,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Handle Dial events
+   */
+  handleDial(event) {
+    const dialData = {
+      sourceChannel: event.caller?.name,
+      destChannel: event.peer?.name,
+      callerIdNum: event.caller?.caller?.number || event.peer?.caller?.number,
+      callerIdName: event.caller?.caller?.name || event.peer?.caller?.name,
+      destination: event.peer?.dialplan?.exten || event.dialstring,
+      dialStatus: event.dialstatus,
+      timestamp: new Date().toISOString()
+    };
+
+    this.emit('call:dial', dialData);
+
+    this.logger.info('Dial event', {
+      from: dialData.callerIdNum,
+      to: dialData.destination,
+      status: dialData.dialStatus
+    });
+  }
+
+  /**
+   * Handle DeviceStateChanged events (e.g. PJSIP/1001 -> INUSE)
+   */
+  handleDeviceStateChanged(event) {
+    const device = event.device_state?.name;
+    const extension = this.extractExtension(device);
+    if (!extension) return;
+
+    this.updateExtensionState(extension, {
+      phoneState: this.mapDeviceState(event.device_state.state),
+      device
+    }, 'DeviceStateChanged');
+  }
+
+  /**
+   * Handle EndpointStateChange events (registration of the phone)
+   */
+  handleEndpointStateChange(event) {
+    const device = `${event.endpoint?.technology}/${event.endpoint?.resource}`;
+    const extension = this.extractExtension(device);
+    if (!extension) return;
+
+    const registered = event.endpoint.state === 'online';
+    const update = { registered, device };
+    if (!registered) {
+      update.phoneState = 'unavailable';
+    }
+
+    this.updateExtensionState(extension, update, 'EndpointStateChange');
+  }
+
+  /**
+   * Request current device states
+   */
+  async refreshExtensionStates() {
+    try {
+      const deviceStates = await this.request('get', '/deviceStates');
+      deviceStates.forEach(deviceState => this.handleDeviceStateChanged({ device_state: deviceState }));
+    } catch (error) {
+      this.logger.warn('Failed to request device states', { error: error.message });
+    }
+  }
+
+  /**
+   * Rebuild channel and bridge state from Asterisk after (re)connecting
+   */
+  async resyncChannels() {
+    const [channelList, bridgeList] = await Promise.all([
+      this.request('get', '/channels'),
+      this.request('get', '/bridges')
+    ]);
+    const channels = channelList.map(channel => this.qualifyChannel(channel));
+    const bridges = bridgeList.map(bridge => this.qualifyBridge(bridge));
+
+    const now = Date.now();
+    const channelBridges = new Map();
+    bridges.forEach(bridge => bridge.channels.forEach(id => channelBridges.set(id, bridge.id)));
+
+    return this.applySnapshot(
+      channels
+        .filter(channel => !this.isHelperChannel(channel))
+        .map(channel => ({
+          ...this.toChannelData(channel),
+          duration: channel.creationtime ? Math.max(0, Math.round((now - new Date(channel.creationtime)) / 1000)) : 0,
+          bridgeId: channelBridges.get(channel.id) || null
+        })),
+      new Map(bridges.map(bridge => [bridge.id, {
+        type: bridge.bridge_type,
+        technology: bridge.technology
+      }]))
+    );
+  }
+
+  /**
+   * Find the ARI channel id of a channel name
+   */
+  getChannelId(channel) {
+    for (const channelData of this.activeChannels.values()) {
+      if (channelData.channel === channel) {
+        return this.localId(channelData.uniqueId);
+      }
+    }
+
+    throw new Error(`Channel ${channel} not found`);
+  }
+
+  /**
+   * Click-to-dial: ring the agent's extension first, then dial the target number once answered
+   */
+  async originateFromExtension(agentExtension, number, options = {}) {
+    const context = this.config.originateContext || 'from-internal';
+    const endpoint = `Local/${agentExtension}@${context}`;
+
+    try {
+      const channel = await this.request('post', '/channels', {
+        endpoint,
+        extension: number,
+        context,
+        priority: 1,
+        callerId: `"${options.callerIdName || number}" <${number}>`,
+        timeout: Math.round(this.config.originateTimeout / 1000),
+        channelId: this.localId(options.channelId)
+      }, { variables: options.variables || {} });
+
+      this.originated.add(this.globalId(channel.id));
+      this.logger.info('Call originated', { channel: endpoint, extension: number, context, channelId: channel.id });
+      return channel;
+    } catch (error) {
+      this.logger.error('Failed to originate call', error, { channel: endpoint, extension: number });
+      throw error;
+    }
+  }
+
+  /**
+   * Hang up a channel
+   */
+  async hangupChannel(channel, cause = 16) {
+    const result = await this.request('delete', `/channels/${this.getChannelId(channel)}`, { reason_code: cause });
+    this.logger.info('Channel hung up', { channel });
+    return result;
+  }
+
+  /**
+   * Blind transfer: continue a channel in the dialplan at another extension
+   * Only possible for channels in the Stasis application
+   */
+  async redirectChannel(channel, extension, context = this.config.originateContext || 'from-internal') {
+    const result = await this.request('post', `/channels/${this.getChannelId(channel)}/continue`, {
+      context,
+      extension,
+      priority: 1
+    });
+    this.logger.info('Channel redirected', { channel, extension, context });
+    return result;
+  }
+
+  /**
+   * Put remoteChannel on hold: it hears music on hold and is muted towards the
+   * bridge, so the agent's channel waits in silence; only possible for channels
+   * in the Stasis application
+   */
+  async holdChannel(channel, remoteChannel) {
+    const remoteId = this.getChannelId(remoteChannel);
+    await this.request('post', `/channels/${remoteId}/moh`);
+    const result = await this.request('post', `/channels/${remoteId}/mute`, { direction: 'in' });
+    this.logger.info('Channel put on hold', { channel: remoteChannel, agentChannel: channel });
+    return result;
+  }
+
+  /**
+   * Take remoteChannel off hold: stop its music on hold and unmute it
+   */
+  async unholdChannel(channel, remoteChannel) {
+    const remoteId = this.getChannelId(remoteChannel);
+    await this.request('delete', `/channels/${remoteId}/mute`, { direction: 'in' });
+    const result = await this.request('delete', `/channels/${remoteId}/moh`);
+    this.logger.info('Channel taken off hold', { channel: remoteChannel, agentChannel: channel });
+    return result;
+  }
+
+  /**
+   * Start recording a channel
+   * The channel is snooped in both directions and the snoop channel is recorded,
+   * so any channel can be recorded; files are stored in recordingDirectory
+   */
+  async startRecording(channel, file) {
+    const channelId = this.getChannelId(channel);
+    const extension = file.lastIndexOf('.');
+    const name = extension > 0 ? file.slice(0, extension) : file;
+    const format = extension > 0 ? file.slice(extension + 1) : 'wav';
+
+    const snoop = await this.request('post', `/channels/${channelId}/snoop`, {
+      spy: 'both',
+      app: this.app
+    });
+    this.recordings.set(channel, { name, format, channel, uniqueId: this.globalId(channelId), snoopId: snoop.id });
+
+    try {
+      await this.request('post', `/channels/${snoop.id}/record`, {
+        name,
+        format,
+        ifExists: 'overwrite'
+      });
+    } catch (error) {
+      this.recordings.delete(channel);
+      await this.request('delete', `/channels/${snoop.id}`).catch(() => {});
+      throw error;
+    }
+
+    this.logger.info('Recording started', { channel, file });
+  }
+
+  /**
+   * Handle RecordingStarted - report where a recording we started is stored, like MIXMONITOR_FILENAME
+   */
+  handleRecordingStarted(event) {
+    const recording = Array.from(this.recordings.values()).find(r => r.name === event.recording?.name);
+
+    if (!recording) {
+      return;
+    }
+
+    this.setRecordingFile({
+      uniqueId: recording.uniqueId,
+      channel: recording.channel,
+      file: `${this.config.recordingDirectory || '/var/spool/asterisk/recording'}/${recording.name}.${recording.format}`
+    });
+  }
+
+  /**
+   * Stop the recording on a channel and hang up its snoop channel
+   */
+  async stopRecording(channel) {
+    const recording = this.getRecording(channel);
+
+    await this.request('post', `/recordings/live/${encodeURIComponent(recording.name)}/stop`);
+    await this.request('delete', `/channels/${recording.snoopId}`).catch(() => {});
+    this.recordings.delete(channel);
+
+    this.logger.info('Recording stopped', { channel });
+  }
+
+  /**
+   * Pause or resume the recording on a channel
+   */
+  async pauseRecording(channel, pause = true) {
+    const recording = this.getRecording(channel);
+
+    await this.request(pause ? 'post' : 'delete', `/recordings/live/${encodeURIComponent(recording.name)}/pause`);
+
+    this.logger.info(pause ? 'Recording paused' : 'Recording resumed', { channel });
+  }
+
+  /**
+   * Get the live recording started on a channel
+   */
+  getRecording(channel) {
+    const recording = this.recordings.get(channel);
+
+    if (!recording) {
+      throw new Error(`No ARI recording running on ${channel}`);
+    }
+
+    return recording;
+  }
+
+  /**
+   * Disconnect from ARI
+   */
+  disconnect() {
+    this.stopped = true;
+    this.clearReconnectTimer();
+    this.stopHeartbeat();
+
+    if (this.ws) {
+      this.destroyConnection();
+      this.connected = false;
+      this.connectedSince = null;
+      this.logger.info('Disconnected from Asterisk ARI');
+    }
+
+    this.setState('stopped');
+  }
+
+  /**
+   * Get connection manager status, including the ARI endpoint
+   */
+  getConnectionStatus() {
+    return {
+      ...super.getConnectionStatus(),
+      url: this.baseUrl,
+      app: this.app
+    };
+  }
+}
+
+module.exports = AriClient;
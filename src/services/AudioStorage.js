@@ -0,0 +1,62 @@
+// Content types of stored audio, by file extension
+const CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg'
+};
+
+/**
+ * Audio Storage - the interface between the CTI middleware and where call audio is kept
+ *
+ * Backends store audio under a key (e.g. "<conversation id>.mp3") and implement:
+ *   save(key, buffer, metadata)  -> { key, size, location }
+ *   stat(key)                    -> { key, size, contentType } or null when missing
+ *   createReadStream(key, range) -> readable stream of the bytes start..end (inclusive)
+ *   remove(key)
+ * Keys are restricted to letters, digits, '-', '_' and '.' so that no backend has
+ * to deal with path separators. Custom backends extend this class (see createAudioStorage).
+ */
+class AudioStorage {
+  constructor(config, logger, type = 'storage') {
+    this.config = config;
+    this.logger = logger;
+    this.type = type;
+  }
+
+  /**
+   * Reject keys a backend could misread as paths
+   */
+  validateKey(key) {
+    if (!/^[\w-][\w.-]*$/.test(String(key || '')) || key.includes('..')) {
+      throw new Error(`Invalid audio storage key "${key}"`);
+    }
+
+    return key;
+  }
+
+  /**
+   * Content type of a key, from its extension
+   */
+  contentType(key) {
+    const extension = String(key).slice(String(key).lastIndexOf('.')).toLowerCase();
+    return CONTENT_TYPES[extension] || 'application/octet-stream';
+  }
+
+  async save(key, buffer, metadata = {}) {
+    throw new Error(`save is not implemented by the ${this.type} audio storage`);
+  }
+
+  async stat(key) {
+    throw new Error(`stat is not implemented by the ${this.type} audio storage`);
+  }
+
+  createReadStream(key, range = {}) {
+    throw new Error(`createReadStream is not implemented by the ${this.type} audio storage`);
+  }
+
+  async remove(key) {
+    throw new Error(`remove is not implemented by the ${this.type} audio storage`);
+  }
+}
+
+module.exports = AudioStorage;
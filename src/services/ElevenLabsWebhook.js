@@ -1,7 +1,35 @@
 const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const moment = require('moment');
 
+/**
+ * Whether an Authorization header carries "Bearer <secret>"
+ * Always false without a secret; compared in constant time
+ */
+function hasBearerSecret(header, secret) {
+  if (!secret || typeof header !== 'string') {
+    return false;
+  }
+
+  // Hashing gives both sides the equal length timingSafeEqual requires
+  const expected = crypto.createHash('sha256').update(`Bearer ${secret}`).digest();
+  const received = crypto.createHash('sha256').update(header).digest();
+
+  return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Whether a listener pattern matches an event type
+ * Patterns are an event type, "*" for every event or a prefix such as "post_call_*"
+ */
+function matchesEventType(pattern, eventType) {
+  if (pattern === '*' || pattern === eventType) {
+    return true;
+  }
+  return pattern.endsWith('*') && eventType.startsWith(pattern.slice(0, -1));
+}
+
 class ElevenLabsWebhook {
   constructor(config, logger) {
     this.config = config;
@@ -9,8 +37,13 @@ class ElevenLabsWebhook {
     this.secret = config.webhookSecret;
     this.timestampTolerance = config.timestampTolerance || 1800; // 30 minutes default
     this.router = express.Router();
-    this.handlers = new Map();
+    this.listeners = [];
+    this.initiationHandler = null;
+    this.toolProvider = null;
+    this.inbox = null;
 
+    this.setupInitiationRoute();
+    this.setupToolRoutes();
     this.setupRoutes();
   }
 
@@ -61,6 +94,27 @@ class ElevenLabsWebhook {
           conversationId: event.data?.conversation_id
         });
 
+        // Store the event durably and acknowledge it; the inbox processes it
+        if (this.inbox) {
+          let stored;
+          try {
+            stored = await this.inbox.receive(event, req.body);
+          } catch (error) {
+            this.logger.error('Failed to store webhook event', error, { eventType: event.type });
+            // Not acknowledged, so ElevenLabs delivers it again
+            return res.status(503).json({ error: 'Webhook could not be stored' });
+          }
+
+          this.logger.info('Webhook stored', {
+            eventType: event.type,
+            id: stored.id,
+            duplicate: stored.duplicate,
+            duration: `${Date.now() - startTime}ms`
+          });
+
+          return res.status(200).json({ received: true, id: stored.id, duplicate: stored.duplicate });
+        }
+
         // Process the webhook event
         await this.processWebhookEvent(event);
 
@@ -84,6 +138,143 @@ class ElevenLabsWebhook {
     });
   }
 
+  /**
+   * Set up the conversation initiation route
+   * ElevenLabs calls it at the start of inbound Twilio/SIP calls with caller_id,
+   * called_number, agent_id and call_sid, and expects the dynamic variables of
+   * the conversation in return. It is not signed; ElevenLabs sends the secret
+   * configured in its webhook headers as "Authorization: Bearer <secret>".
+   * The answer carries CRM data, so requests are refused when no secret is set.
+   */
+  setupInitiationRoute() {
+    this.router.post(this.config.initiationPath, express.json({ limit: '1mb' }), async (req, res) => {
+      const startTime = Date.now();
+
+      if (!hasBearerSecret(req.headers.authorization, this.config.initiationSecret)) {
+        this.logger.warn('Conversation initiation request with invalid secret', {
+          ip: req.ip,
+          path: req.path
+        });
+        return res.status(401).json({ error: 'Invalid secret' });
+      }
+
+      const request = {
+        callerId: req.body?.caller_id || '',
+        calledNumber: req.body?.called_number || '',
+        agentId: req.body?.agent_id || '',
+        callSid: req.body?.call_sid || ''
+      };
+
+      this.logger.logWebhook('ElevenLabs', 'conversation_initiation_client_data', request);
+
+      let dynamicVariables = {};
+      try {
+        dynamicVariables = this.initiationHandler ? await this.initiationHandler(request) || {} : {};
+      } catch (error) {
+        this.logger.error('Error building conversation initiation data', error, request);
+      }
+
+      this.logger.info('Conversation initiation data sent', {
+        callSid: request.callSid,
+        variables: Object.keys(dynamicVariables).length,
+        duration: `${Date.now() - startTime}ms`
+      });
+
+      res.json({
+        type: 'conversation_initiation_client_data',
+        dynamic_variables: dynamicVariables
+      });
+    });
+  }
+
+  /**
+   * Set the handler that resolves a conversation initiation request to dynamic variables
+   */
+  setInitiationHandler(handler) {
+    this.initiationHandler = handler;
+  }
+
+  /**
+   * Set up the server tool routes
+   * GET lists the enabled tools with their parameter schemas; POST /<tool> runs
+   * a tool with the JSON body as its parameters. Like the initiation webhook they
+   * are not signed: the tools secret is sent as "Authorization: Bearer <secret>".
+   * Tools read and write CRM data, so they are refused when no secret is set.
+   */
+  setupToolRoutes() {
+    const authenticate = (req, res, next) => {
+      if (!hasBearerSecret(req.headers.authorization, this.config.toolsSecret)) {
+        this.logger.warn('Server tool request with invalid secret', {
+          ip: req.ip,
+          path: req.path
+        });
+        return res.status(401).json({ error: 'Invalid secret' });
+      }
+      next();
+    };
+
+    this.router.get(this.config.toolsPath, authenticate, (req, res) => {
+      res.json({ tools: this.toolProvider ? this.toolProvider.listTools() : [] });
+    });
+
+    this.router.post(`${this.config.toolsPath}/:tool`, authenticate, express.json({ limit: '1mb' }), async (req, res) => {
+      const startTime = Date.now();
+      const tool = req.params.tool;
+
+      this.logger.logWebhook('ElevenLabs', `tool:${tool}`, req.body);
+
+      if (!this.toolProvider) {
+        return res.status(503).json({ error: 'Server tools not available' });
+      }
+
+      try {
+        const result = await this.toolProvider.runTool(tool, req.body);
+
+        this.logger.info('Server tool completed', {
+          tool,
+          duration: `${Date.now() - startTime}ms`
+        });
+
+        res.json(result);
+      } catch (error) {
+        if (!error.status) {
+          this.logger.error('Server tool failed', error, { tool });
+        }
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Tool failed' });
+      }
+    });
+  }
+
+  /**
+   * Set the provider of the server tools (listTools() and runTool(name, params))
+   */
+  setToolProvider(provider) {
+    this.toolProvider = provider;
+  }
+
+  /**
+   * Process verified webhooks through a durable inbox (WebhookInbox) instead of
+   * inline; handler errors then fail the event's attempt and it is retried
+   */
+  setInbox(inbox) {
+    this.inbox = inbox;
+    inbox.start((event) => this.processWebhookEvent(event));
+  }
+
+  /**
+   * Whether events are processed through a durable inbox
+   */
+  hasInbox() {
+    return !!this.inbox;
+  }
+
+  /**
+   * Ask the inbox to run a pending (deferred) event now
+   */
+  async retryEvent(type, conversationId) {
+    return this.inbox ? this.inbox.retryNow(type, conversationId) : false;
+  }
+
   /**
    * Verify HMAC signature from ElevenLabs
    */
@@ -131,34 +322,88 @@ class ElevenLabsWebhook {
   }
 
   /**
-   * Process webhook event based on type
+   * Dispatch a webhook event to every matching handler, in order of registration
+   * A failing handler does not stop the others. Failures of handlers registered
+   * for the exact event type fail the event once all handlers ran, so the inbox
+   * retries it (with all its handlers); wildcard handlers only observe, and their
+   * errors are logged.
    */
   async processWebhookEvent(event) {
     const eventType = event.type;
-    console.log("event_type", event);
+    const listeners = this.listeners.filter(listener => matchesEventType(listener.pattern, eventType));
 
-    // Call registered handlers for this event type
-    if (this.handlers.has(eventType)) {
-      const handler = this.handlers.get(eventType);
-      await handler(event);
-    } else {
-      // Default handler for unknown events
+    if (!listeners.some(listener => listener.pattern === eventType)) {
       this.logger.warn(`No handler registered for event type: ${eventType}`, {
         eventType,
-        availableHandlers: Array.from(this.handlers.keys())
+        availableHandlers: Array.from(new Set(this.listeners.map(listener => listener.pattern)))
       });
     }
 
-    // Always emit a generic event
-    this.emit('webhook', event);
+    const failures = [];
+
+    for (const { pattern, handler } of listeners) {
+      try {
+        await handler(event);
+      } catch (error) {
+        if (!error.deferred) {
+          this.logger.error('Webhook handler failed', error, {
+            eventType,
+            pattern,
+            handler: handler.name || '(anonymous)',
+            conversationId: event.data?.conversation_id
+          });
+        }
+
+        if (pattern === eventType) {
+          failures.push(error);
+        }
+      }
+    }
+
+    // Only deferred: the inbox tries the event again later without counting an attempt
+    if (failures.length > 0 && failures.every(failure => failure.deferred)) {
+      throw failures[0];
+    }
+
+    if (failures.length > 0) {
+      const error = new Error(`${failures.length} handler(s) failed for ${eventType}: ${failures.map(failure => failure.message).join('; ')}`);
+      error.failures = failures;
+      throw error;
+    }
   }
 
   /**
-   * Register a handler for a specific event type
+   * Register a handler for an event type, "*" or a prefix such as "post_call_*"
+   * Handlers receive the event as received and may be async.
    */
   on(eventType, handler) {
-    this.handlers.set(eventType, handler);
+    this.listeners.push({ pattern: eventType, handler });
     this.logger.debug(`Handler registered for event type: ${eventType}`);
+    return this;
+  }
+
+  /**
+   * Remove a handler registered with on()
+   */
+  off(eventType, handler) {
+    this.listeners = this.listeners.filter(listener => listener.pattern !== eventType || listener.handler !== handler);
+    return this;
+  }
+
+  /**
+   * Load a webhook plugin: a function, or the path of a module exporting one,
+   * called with this webhook service and the logger to register its handlers,
+   * e.g. module.exports = (webhook) => webhook.on('*', (event) => ...)
+   */
+  usePlugin(plugin) {
+    const install = typeof plugin === 'function' ? plugin : require(path.resolve(plugin));
+
+    if (typeof install !== 'function') {
+      throw new Error(`Webhook plugin "${plugin}" does not export a function`);
+    }
+
+    install(this, { logger: this.logger });
+    this.logger.info('Webhook plugin loaded', { plugin: typeof plugin === 'function' ? plugin.name || '(anonymous)' : plugin });
   }
 
   /**
@@ -265,6 +510,54 @@ class ElevenLabsWebhook {
     };
   }
 
+  /**
+   * Extract relevant data from call_initiation_failure event
+   * The metadata body depends on the telephony provider: Twilio status callback
+   * fields (To, From, CallSid, CallStatus) or SIP fields (sip_status_code, error_reason)
+   */
+  extractFailureData(event) {
+    if (event.type !== 'call_initiation_failure') {
+      return null;
+    }
+
+    const data = event.data || {};
+    const provider = data.metadata?.type || '';
+    const body = data.metadata?.body || {};
+    const clientData = data.conversation_initiation_client_data?.dynamic_variables || {};
+
+    // Failed calls are outbound: the external number is the one that was dialed
+    const externalNumber = body.To || body.to_number || body.to || clientData.system__called_number || '';
+    const agentNumber = body.From || body.from_number || body.from || clientData.system__caller_id || '';
+
+    const sipStatusCode = body.sip_status_code || body.SipResponseCode || null;
+    const sipStatus = body.sip_status || body.sip_status_message || '';
+    const failureReason = data.failure_reason || body.CallStatus || 'unknown';
+
+    const timestamp = event.event_timestamp;
+
+    return {
+      agentId: data.agent_id,
+      conversationId: data.conversation_id,
+      failureReason,
+      // e.g. "busy (SIP 486 Busy Here)"
+      failureDescription: [
+        failureReason.replace(/[-_]/g, ' '),
+        sipStatusCode ? `(SIP ${sipStatusCode}${sipStatus ? ` ${sipStatus}` : ''})` : null,
+        body.error_reason ? `- ${body.error_reason}` : null
+      ].filter(Boolean).join(' '),
+      provider,
+      externalNumber,
+      agentNumber,
+      callSid: body.CallSid || body.call_sid || '',
+      sipStatusCode,
+      sipStatus,
+      errorReason: body.error_reason || '',
+      userName: clientData.user_name || clientData.name || '',
+      eventTimestamp: timestamp,
+      timestampFormatted: timestamp ? moment.unix(timestamp).format('MMM D, YYYY, h:mm A') : ''
+    };
+  }
+
   /**
    * Format transcript for storage
    */
@@ -287,14 +580,6 @@ class ElevenLabsWebhook {
   getRouter() {
     return this.router;
   }
-
-  /**
-   * Simple event emitter implementation
-   */
-  emit(event, data) {
-    // This can be enhanced with a proper EventEmitter if needed
-    this.logger.debug(`Event emitted: ${event}`, { event, dataKeys: Object.keys(data) });
-  }
 }
 
 module.exports = ElevenLabsWebhook;
@@ -0,0 +1,297 @@
+const net = require('net');
+const EventEmitter = require('events');
+
+/**
+ * FastAGI Server - lets the Asterisk dialplan ask the middleware for channel variables
+ *
+ * The dialplan calls a registered script over TCP, for example
+ *
+ *   same => n,AGI(agi://cti-middleware:4573/crm-lookup,${CALLERID(num)})
+ *
+ * and the variables returned by the script handler are set on the channel.
+ * Every session is bounded: a script that does not answer within scriptTimeout
+ * is abandoned and the channel continues with CTI_AGI_STATUS=TIMEOUT, and a
+ * session that stalls for sessionTimeout is closed. Routing never waits longer.
+ */
+class FastAGIServer extends EventEmitter {
+  constructor(config, logger) {
+    super();
+    this.config = config;
+    this.logger = logger;
+    this.server = null;
+    this.scripts = new Map(); // script name -> async (request) => { variables }
+    this.sessions = new Set();
+  }
+
+  /**
+   * Register the handler of an AGI script
+   * The handler receives the parsed request and { signal }, which is aborted when
+   * the script times out, and resolves to channel variables
+   */
+  registerScript(name, handler) {
+    this.scripts.set(name, handler);
+    this.logger.debug(`FastAGI script registered: ${name}`);
+  }
+
+  /**
+   * Start listening for AGI sessions from Asterisk
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer((socket) => this.handleConnection(socket));
+
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.server.removeListener('error', reject);
+        this.server.on('error', (error) => this.logger.error('FastAGI server error', error));
+
+        this.logger.info('FastAGI server listening', {
+          host: this.config.host,
+          port: this.config.port,
+          scripts: Array.from(this.scripts.keys())
+        });
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Whether the server accepts AGI sessions
+   */
+  isListening() {
+    return !!this.server?.listening;
+  }
+
+  /**
+   * Handle one AGI session: read the request, run the script, set its variables
+   */
+  handleConnection(socket) {
+    const remoteAddress = (socket.remoteAddress || '').replace(/^::ffff:/, '');
+    const allowedHosts = this.config.allowedHosts || [];
+
+    if (allowedHosts.length > 0 && !allowedHosts.includes(remoteAddress)) {
+      this.logger.warn('FastAGI connection from unlisted host rejected', { remoteAddress });
+      socket.destroy();
+      return;
+    }
+
+    const session = { socket, buffer: '', lines: [], waiting: null, closed: false };
+    this.sessions.add(session);
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.config.sessionTimeout);
+
+    socket.on('data', (chunk) => this.handleData(session, chunk));
+    socket.on('timeout', () => {
+      this.logger.warn('FastAGI session timed out', { remoteAddress });
+      socket.destroy();
+    });
+    socket.on('error', (error) => {
+      this.logger.debug('FastAGI socket error', { remoteAddress, error: error.message });
+    });
+    socket.on('close', () => {
+      session.closed = true;
+      this.sessions.delete(session);
+      if (session.waiting) {
+        session.waiting(null);
+      }
+    });
+
+    this.runSession(session).catch((error) => {
+      this.logger.error('FastAGI session failed', error, { remoteAddress });
+      socket.destroy();
+    });
+  }
+
+  /**
+   * Split incoming data into lines and hand them to whoever is waiting
+   */
+  handleData(session, chunk) {
+    session.buffer += chunk;
+
+    let index;
+    while ((index = session.buffer.indexOf('\n')) !== -1) {
+      const line = session.buffer.slice(0, index).replace(/\r$/, '');
+      session.buffer = session.buffer.slice(index + 1);
+
+      if (session.waiting) {
+        const waiting = session.waiting;
+        session.waiting = null;
+        waiting(line);
+      } else {
+        session.lines.push(line);
+      }
+    }
+  }
+
+  /**
+   * Read the next line of a session; resolves to null once the socket is closed
+   */
+  readLine(session) {
+    if (session.lines.length > 0) {
+      return Promise.resolve(session.lines.shift());
+    }
+
+    if (session.closed) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+      session.waiting = resolve;
+    });
+  }
+
+  /**
+   * Read the agi_* environment Asterisk sends at the start of a session
+   */
+  async readRequest(session) {
+    const env = {};
+    let line;
+
+    while ((line = await this.readLine(session))) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        env[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    }
+
+    if (line === null) {
+      return null;
+    }
+
+    const args = Object.keys(env)
+      .filter(key => /^agi_arg_\d+$/.test(key))
+      .sort((a, b) => parseInt(a.slice(8), 10) - parseInt(b.slice(8), 10))
+      .map(key => env[key]);
+
+    let params = {};
+    try {
+      params = Object.fromEntries(new URL(env.agi_request).searchParams);
+    } catch (error) {
+      // Not a URL (plain AGI script name); no query parameters
+    }
+
+    return {
+      script: (env.agi_network_script || '').split('?')[0].replace(/^\/+/, ''),
+      args,
+      params,
+      channel: env.agi_channel,
+      uniqueId: env.agi_uniqueid,
+      callerIdNum: env.agi_callerid,
+      callerIdName: env.agi_calleridname,
+      context: env.agi_context,
+      extension: env.agi_extension,
+      env
+    };
+  }
+
+  /**
+   * Run the requested script and write its variables to the channel
+   */
+  async runSession(session) {
+    const request = await this.readRequest(session);
+
+    if (!request) {
+      return;
+    }
+
+    const handler = this.scripts.get(request.script);
+    let variables = {};
+    let status = 'OK';
+
+    if (!handler) {
+      status = 'NOTFOUND';
+      this.logger.warn('Unknown FastAGI script requested', { script: request.script, channel: request.channel });
+    } else {
+      const startTime = Date.now();
+      const controller = new AbortController();
+
+      try {
+        variables = await this.withTimeout(handler(request, { signal: controller.signal }), this.config.scriptTimeout, controller) || {};
+      } catch (error) {
+        status = error.timeout ? 'TIMEOUT' : 'ERROR';
+        this.logger.warn('FastAGI script failed', {
+          script: request.script,
+          channel: request.channel,
+          status,
+          error: error.message
+        });
+      }
+
+      this.logger.info('FastAGI script completed', {
+        script: request.script,
+        channel: request.channel,
+        status,
+        duration: Date.now() - startTime
+      });
+    }
+
+    for (const [name, value] of Object.entries({ ...variables, CTI_AGI_STATUS: status })) {
+      if (!(await this.setVariable(session, name, value))) {
+        break;
+      }
+    }
+
+    session.socket.end();
+    this.emit('session', { script: request.script, channel: request.channel, status });
+  }
+
+  /**
+   * Reject with a timeout error when a promise does not settle in time, aborting
+   * the work behind it through controller
+   */
+  withTimeout(promise, ms, controller) {
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Script did not answer within ${ms}ms`);
+        error.timeout = true;
+        controller?.abort(error);
+        reject(error);
+      }, ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Send SET VARIABLE and wait for its 200 response; false once the channel is gone
+   */
+  async setVariable(session, name, value) {
+    if (session.closed) {
+      return false;
+    }
+
+    const escaped = String(value ?? '')
+      .replace(/[\r\n]+/g, ' ')
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"');
+
+    session.socket.write(`SET VARIABLE ${name} "${escaped}"\n`);
+
+    // Asterisk may interleave a HANGUP notification before the response
+    let response;
+    do {
+      response = await this.readLine(session);
+    } while (response === 'HANGUP');
+
+    return !!response && response.startsWith('200');
+  }
+
+  /**
+   * Stop accepting sessions and close the open ones
+   */
+  close() {
+    this.sessions.forEach(session => session.socket.destroy());
+    this.sessions.clear();
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+      this.logger.info('FastAGI server closed');
+    }
+  }
+}
+
+module.exports = FastAGIServer;
@@ -1,29 +1,43 @@
 const AsteriskManager = require('asterisk-manager');
-const EventEmitter = require('events');
+const PBXAdapter = require('./PBXAdapter');
 
-class FreePBXClient extends EventEmitter {
+// ExtensionStatus bit flags -> phone state, highest priority first
+const EXTENSION_STATUS_FLAGS = [
+  [16, 'on_hold'],
+  [8, 'ringing'],
+  [2, 'busy'],
+  [1, 'in_use']
+];
+
+/**
+ * FreePBX AMI client - PBX adapter backend for the Asterisk Manager Interface
+ */
+class FreePBXClient extends PBXAdapter {
   constructor(config, logger) {
-    super();
-    this.config = config;
-    this.logger = logger;
+    super(config, logger, 'AMI');
     this.ami = null;
-    this.connected = false;
-    this.reconnectTimer = null;
-    this.activeChannels = new Map();
   }
 
   /**
    * Initialize and connect to AMI
    */
   async connect() {
+    // Validate configuration
+    if (!this.config.username || !this.config.secret) {
+      throw new Error('AMI credentials not configured (AMI_USERNAME and AMI_SECRET required)');
+    }
+
+    this.stopped = false;
+    this.clearReconnectTimer();
+    this.destroyConnection();
+
     try {
-      // Validate configuration
-      if (!this.config.username || !this.config.secret) {
-        throw new Error('AMI credentials not configured (AMI_USERNAME and AMI_SECRET required)');
-      }
+      this.setState('connecting');
 
+      // Construct without a port so asterisk-manager does not auto-connect;
+      // connecting and logging in explicitly lets us see authentication failures
       this.ami = new AsteriskManager(
-        this.config.port,
+        null,
         this.config.host,
         this.config.username,
         this.config.secret,
@@ -33,38 +47,46 @@ class FreePBXClient extends EventEmitter {
       // Set up event listeners
       this.setupEventListeners();
 
-      // Connect to AMI
+      // Connect and log in to AMI
       await new Promise((resolve, reject) => {
         const timeout = setTimeout(() => {
-          reject(new Error('AMI connection timeout after 10 seconds'));
-        }, 10000);
+          reject(new Error(`AMI connection timeout after ${this.config.connectTimeout / 1000} seconds`));
+        }, this.config.connectTimeout);
 
-        this.ami.on('connect', () => {
+        const fail = (error) => {
           clearTimeout(timeout);
-          this.connected = true;
-          this.logger.info('Connected to FreePBX AMI', {
-            host: this.config.host,
-            port: this.config.port
-          });
-          resolve();
-        });
-
-        this.ami.on('error', (error) => {
-          clearTimeout(timeout);
-          this.logger.error('AMI Connection error', error);
           reject(error);
-        });
+        };
 
-        // Initiate connection
-        this.ami.keepConnected();
+        this.ami.once('error', fail);
+
+        this.ami.connect(this.config.port, this.config.host, () => {
+          this.setState('authenticating');
+
+          this.ami.login((err) => {
+            this.ami.removeListener('error', fail);
+
+            if (err) {
+              return fail(new Error(`AMI authentication failed: ${err.message || 'invalid credentials'}`));
+            }
+
+            clearTimeout(timeout);
+            resolve();
+          });
+        });
       });
 
+      this.handleConnected();
       return true;
     } catch (error) {
+      this.lastError = error.message;
       this.logger.error('Failed to connect to FreePBX AMI', error, {
         host: this.config.host,
-        port: this.config.port
+        port: this.config.port,
+        attempt: this.reconnectAttempts + 1
       });
+      this.destroyConnection();
+      this.setState('disconnected');
       this.handleReconnect();
       throw error;
     }
@@ -75,53 +97,112 @@ class FreePBXClient extends EventEmitter {
    */
   setupEventListeners() {
     // Connection events
-    this.ami.on('connect', () => {
-      this.connected = true;
-      this.emit('connected');
-      this.logger.logAMIEvent('Connected');
-    });
-
     this.ami.on('close', () => {
-      this.connected = false;
-      this.emit('disconnected');
-      this.logger.logAMIEvent('Disconnected');
-      this.handleReconnect();
+      this.handleConnectionLost('Connection closed');
     });
 
-    // Call events
+    // Call events - asterisk-manager emits every event both as 'managerevent'
+    // and under its lowercase name, so only listen once to avoid double handling
     this.ami.on('managerevent', (event) => {
       this.handleEvent(event);
     });
+  }
 
-    // Newchannel - new call initiated
-    this.ami.on('newchannel', (event) => {
-      this.logger.logAMIEvent('NewChannel', event);
-      this.handleNewChannel(event);
-    });
+  /**
+   * Logged in to AMI - reset backoff, start heartbeats and rebuild state
+   */
+  handleConnected() {
+    this.connected = true;
+    this.reconnectAttempts = 0;
+    this.nextReconnectAt = null;
+    this.lastError = null;
+    this.connectedSince = new Date().toISOString();
+    this.setState('connected');
 
-    // Newstate - channel state changed
-    this.ami.on('newstate', (event) => {
-      this.logger.logAMIEvent('NewState', event);
-      this.handleStateChange(event);
+    this.logger.info('Connected to FreePBX AMI', {
+      host: this.config.host,
+      port: this.config.port
     });
 
-    // Dial - outgoing call
-    this.ami.on('dial', (event) => {
-      this.logger.logAMIEvent('Dial', event);
-      this.handleDial(event);
+    this.emit('connected');
+    this.logger.logAMIEvent('Connected');
+    this.startHeartbeat();
+    this.refreshExtensionStates();
+    this.resyncChannels().catch((error) => {
+      this.logger.error('Channel resync failed', error);
     });
+  }
 
-    // Hangup - call ended
-    this.ami.on('hangup', (event) => {
-      this.logger.logAMIEvent('Hangup', event);
-      this.handleHangup(event);
-    });
+  /**
+   * Connection dropped or found dead - clean up and schedule a reconnect
+   */
+  handleConnectionLost(reason) {
+    if (this.state !== 'connected') {
+      return;
+    }
 
-    // Bridge - calls connected
-    this.ami.on('bridge', (event) => {
-      this.logger.logAMIEvent('Bridge', event);
-      this.handleBridge(event);
-    });
+    this.connected = false;
+    this.connectedSince = null;
+    this.lastError = reason;
+    this.stopHeartbeat();
+    this.destroyConnection();
+    this.setState('disconnected', reason);
+
+    this.emit('disconnected');
+    this.logger.logAMIEvent('Disconnected', { reason });
+    this.handleReconnect();
+  }
+
+  /**
+   * Drop the current AMI socket, if any, without triggering reconnect logic
+   */
+  destroyConnection() {
+    if (!this.ami) {
+      return;
+    }
+
+    const ami = this.ami;
+    this.ami = null;
+
+    ami.removeAllListeners();
+    // asterisk-manager re-emits socket errors; keep a listener so late errors do not throw
+    ami.on('error', () => {});
+    ami.disconnect();
+  }
+
+  /**
+   * Send periodic AMI Pings to detect half-open connections
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.missedHeartbeats = 0;
+
+    if (!this.config.heartbeatInterval) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(async () => {
+      const startTime = Date.now();
+
+      try {
+        await this.sendAction('Ping', {}, this.config.heartbeatTimeout);
+        this.missedHeartbeats = 0;
+        this.lastHeartbeat = {
+          timestamp: new Date().toISOString(),
+          latencyMs: Date.now() - startTime
+        };
+      } catch (error) {
+        this.missedHeartbeats++;
+        this.logger.warn('AMI heartbeat missed', {
+          missed: this.missedHeartbeats,
+          error: error.message
+        });
+
+        if (this.missedHeartbeats >= this.config.heartbeatMaxMissed) {
+          this.handleConnectionLost(`No heartbeat response (${this.missedHeartbeats} missed)`);
+        }
+      }
+    }, this.config.heartbeatInterval);
   }
 
   /**
@@ -129,29 +210,106 @@ class FreePBXClient extends EventEmitter {
    */
   handleEvent(event) {
     const eventName = event.event?.toLowerCase();
+    event = this.withGlobalIds(event);
+
+    if (PBXAdapter.QUEUE_EVENTS.includes(eventName)) {
+      this.handleQueueEvent(eventName, event);
+      return;
+    }
 
     switch (eventName) {
       case 'newchannel':
+        this.logger.logAMIEvent('NewChannel', event);
         this.handleNewChannel(event);
         break;
       case 'newstate':
+        this.logger.logAMIEvent('NewState', event);
         this.handleStateChange(event);
         break;
       case 'dial':
+        this.logger.logAMIEvent('Dial', event);
         this.handleDial(event);
         break;
       case 'hangup':
+        this.logger.logAMIEvent('Hangup', event);
         this.handleHangup(event);
         break;
       case 'bridge':
+        // Legacy event, only emitted by Asterisk 11 and older
+        this.logger.logAMIEvent('Bridge', event);
         this.handleBridge(event);
         break;
+      case 'bridgecreate':
+        this.handleBridgeCreate(event);
+        break;
+      case 'bridgeenter':
+        this.logger.logAMIEvent('BridgeEnter', event);
+        this.handleBridgeEnter(event);
+        break;
+      case 'bridgeleave':
+        this.logger.logAMIEvent('BridgeLeave', event);
+        this.handleBridgeLeave(event);
+        break;
+      case 'bridgedestroy':
+        this.handleBridgeDestroy(event);
+        break;
+      case 'extensionstatus':
+        this.handleExtensionStatus(event);
+        break;
+      case 'devicestatechange':
+        this.handleDeviceStateChange(event);
+        break;
+      case 'peerstatus':
+      case 'contactstatus':
+        this.handlePeerStatus(event);
+        break;
+      case 'originateresponse':
+        this.handleOriginateResponse(event);
+        break;
+      case 'varset':
+        this.handleVarSet(event);
+        break;
+      case 'newexten':
+        this.handleNewExten(event);
+        break;
+      case 'dtmfend':
+        this.handleDTMFEnd(event);
+        break;
+      case 'cdr':
+        this.handleCdr(event);
+        break;
+      case 'cel':
+        this.handleCel(event);
+        break;
+      case 'messagewaiting':
+        this.handleMessageWaiting(event);
+        break;
       default:
         // Log other events at debug level
         this.logger.debug(`AMI Event: ${eventName}`, event);
     }
   }
 
+  /**
+   * Qualify the channel, bridge and queue ids of an AMI event with this PBX's prefix
+   * Returns a copy so list actions waiting on the same event still see the raw ids
+   */
+  withGlobalIds(event) {
+    if (!this.idPrefix) {
+      return event;
+    }
+
+    const qualified = { ...event };
+    ['uniqueid', 'linkedid', 'destuniqueid', 'destlinkedid', 'uniqueid1', 'uniqueid2', 'bridgeuniqueid', 'queue']
+      .forEach((field) => {
+        if (qualified[field]) {
+          qualified[field] = this.globalId(qualified[field]);
+        }
+      });
+
+    return qualified;
+  }
+
   /**
    * Handle new channel (incoming/outgoing call)
    */
@@ -164,32 +322,19 @@ class FreePBXClient extends EventEmitter {
       exten: event.exten,
       state: event.channelstate,
       timestamp: new Date().toISOString(),
-      uniqueId: event.uniqueid
+      uniqueId: event.uniqueid,
+      linkedId: event.linkedid || event.uniqueid,
+      extension: this.extractExtension(event.channel)
     };
 
-    this.activeChannels.set(event.uniqueid, channelData);
-
-    this.emit('call:new', channelData);
-
-    this.logger.info('New channel created', {
-      callerId: event.calleridnum,
-      channel: event.channel
-    });
+    this.addChannel(channelData);
   }
 
   /**
    * Handle channel state changes
    */
   handleStateChange(event) {
-    const uniqueId = event.uniqueid;
-
-    if (this.activeChannels.has(uniqueId)) {
-      const channelData = this.activeChannels.get(uniqueId);
-      channelData.state = event.channelstate;
-      channelData.stateDesc = event.channelstatedesc;
-
-      this.emit('call:state', channelData);
-    }
+    this.updateChannelState(event.uniqueid, event.channelstate, event.channelstatedesc);
   }
 
   /**
@@ -219,27 +364,33 @@ class FreePBXClient extends EventEmitter {
    * Handle hangup events
    */
   handleHangup(event) {
-    const uniqueId = event.uniqueid;
-    const channelData = this.activeChannels.get(uniqueId);
-
-    const hangupData = {
+    this.removeChannel(event.uniqueid, {
       channel: event.channel,
       callerIdNum: event.calleridnum,
       cause: event.cause,
       causeTxt: event.causetxt,
-      timestamp: new Date().toISOString(),
-      uniqueId: uniqueId,
-      duration: channelData ? this.calculateDuration(channelData.timestamp) : 0
-    };
-
-    this.emit('call:hangup', hangupData);
+      linkedId: event.linkedid,
+      // Present in the event itself when manager.conf has channelvars=MIXMONITOR_FILENAME
+      recordingFile: event.chanvariable?.mixmonitor_filename,
+      endedWhileDisconnected: event.endedWhileDisconnected
+    });
+  }
 
-    this.activeChannels.delete(uniqueId);
+  /**
+   * Handle VarSet events
+   */
+  handleVarSet(event) {
+    // asterisk-manager parses "Variable: NAME" into { name: '' }, the value arrives separately
+    const variable = typeof event.variable === 'object'
+      ? Object.keys(event.variable)[0]
+      : event.variable;
 
-    this.logger.info('Call ended', {
-      callerId: event.calleridnum,
-      cause: event.causetxt,
-      duration: hangupData.duration
+    this.handleVariableSet({
+      uniqueId: event.uniqueid,
+      linkedId: event.linkedid,
+      channel: event.channel,
+      variable,
+      value: event.value
     });
   }
 
@@ -265,60 +416,331 @@ class FreePBXClient extends EventEmitter {
   }
 
   /**
-   * Calculate call duration in seconds
+   * Handle BridgeCreate events (Asterisk 12+)
+   */
+  handleBridgeCreate(event) {
+    this.getOrCreateBridge(this.bridgeInfo(event));
+
+    this.logger.debug('Bridge created', {
+      bridgeId: event.bridgeuniqueid,
+      type: event.bridgetype
+    });
+  }
+
+  /**
+   * Handle BridgeEnter events (Asterisk 12+)
+   */
+  handleBridgeEnter(event) {
+    this.enterBridge(this.bridgeInfo(event), {
+      channel: event.channel,
+      uniqueId: event.uniqueid,
+      linkedId: event.linkedid,
+      callerIdNum: event.calleridnum,
+      callerIdName: event.calleridname
+    });
+  }
+
+  /**
+   * Handle BridgeLeave events (Asterisk 12+)
+   */
+  handleBridgeLeave(event) {
+    this.leaveBridge(event.bridgeuniqueid, event.uniqueid);
+  }
+
+  /**
+   * Handle BridgeDestroy events (Asterisk 12+)
+   */
+  handleBridgeDestroy(event) {
+    this.destroyBridge(event.bridgeuniqueid);
+  }
+
+  /**
+   * Bridge identity from a Bridge* event
+   */
+  bridgeInfo(event) {
+    return {
+      bridgeId: event.bridgeuniqueid,
+      type: event.bridgetype,
+      technology: event.bridgetechnology
+    };
+  }
+
+  /**
+   * Handle ExtensionStatus events (hint state of an extension)
+   */
+  handleExtensionStatus(event) {
+    const status = parseInt(event.status, 10);
+    let phoneState = 'idle';
+
+    if (status < 0) {
+      phoneState = 'unknown';
+    } else if (status & 4) {
+      phoneState = 'unavailable';
+    } else {
+      const flag = EXTENSION_STATUS_FLAGS.find(([bit]) => status & bit);
+      if (flag) phoneState = flag[1];
+    }
+
+    this.updateExtensionState(event.exten, { phoneState, device: event.hint }, 'ExtensionStatus');
+  }
+
+  /**
+   * Handle DeviceStateChange events (e.g. PJSIP/1001 -> INUSE)
    */
-  calculateDuration(startTime) {
-    const start = new Date(startTime);
-    const end = new Date();
-    return Math.floor((end - start) / 1000);
+  handleDeviceStateChange(event) {
+    const extension = this.extractExtension(event.device);
+    if (!extension) return;
+
+    this.updateExtensionState(extension, {
+      phoneState: this.mapDeviceState(event.state),
+      device: event.device
+    }, 'DeviceStateChange');
   }
 
   /**
-   * Get active channel information
+   * Handle PeerStatus/ContactStatus events (registration of the phone)
    */
-  getActiveChannel(uniqueId) {
-    return this.activeChannels.get(uniqueId);
+  handlePeerStatus(event) {
+    const device = event.peer || (event.aor ? `PJSIP/${event.aor}` : null);
+    const extension = this.extractExtension(device);
+    if (!extension) return;
+
+    const status = (event.peerstatus || event.contactstatus || '').toLowerCase();
+    const registered = ['registered', 'reachable', 'lagged', 'created', 'updated', 'nonqualified'].includes(status);
+
+    const update = { registered, device };
+    if (!registered) {
+      update.phoneState = 'unavailable';
+    }
+
+    this.updateExtensionState(extension, update, 'PeerStatus');
+  }
+
+  /**
+   * Request current hint states; results arrive as ExtensionStatus events
+   */
+  async refreshExtensionStates() {
+    try {
+      await this.sendAction('ExtensionStateList');
+    } catch (error) {
+      this.logger.warn('Failed to request extension states', { error: error.message });
+    }
   }
 
   /**
-   * Get all active channels
+   * Request a full QueueStatus dump; results arrive as QueueParams/QueueMember/QueueEntry events
    */
-  getAllActiveChannels() {
-    return Array.from(this.activeChannels.values());
+  async refreshQueues() {
+    await this.sendAction('QueueStatus');
+    return true;
   }
 
   /**
-   * Handle reconnection logic
+   * Handle OriginateResponse events (result of an async Originate)
    */
-  handleReconnect() {
-    if (!this.config.reconnect) {
+  handleOriginateResponse(event) {
+    const originateData = {
+      uniqueId: event.uniqueid,
+      channel: event.channel,
+      response: event.response,
+      reason: event.reason,
+      success: event.response?.toLowerCase() === 'success',
+      timestamp: new Date().toISOString()
+    };
+
+    this.emit('call:originate_response', originateData);
+
+    this.logger.info('Originate response', {
+      uniqueId: originateData.uniqueId,
+      response: originateData.response,
+      reason: originateData.reason
+    });
+  }
+
+  /**
+   * Handle Newexten - fires for every dialplan priority a channel executes
+   */
+  handleNewExten(event) {
+    this.handleDialplanStep({
+      uniqueId: event.uniqueid,
+      linkedId: event.linkedid,
+      channel: event.channel,
+      context: event.context,
+      exten: event.exten || event.extension,
+      application: event.application,
+      appData: event.appdata,
+      callerIdNum: event.calleridnum,
+      callerIdName: event.calleridname
+    });
+  }
+
+  /**
+   * Handle DTMFEnd - a digit pressed by the party on a channel
+   */
+  handleDTMFEnd(event) {
+    // Digits sent towards the channel (e.g. by SendDTMF) are not caller input
+    if (event.direction && event.direction.toLowerCase() !== 'received') {
       return;
     }
 
-    if (this.reconnectTimer) {
-      clearTimeout(this.reconnectTimer);
+    const channelData = this.activeChannels.get(event.uniqueid);
+
+    this.emit('call:dtmf', {
+      uniqueId: event.uniqueid,
+      linkedId: event.linkedid || channelData?.linkedId || event.uniqueid,
+      channel: event.channel,
+      digit: event.digit,
+      durationMs: event.durationms !== undefined ? parseInt(event.durationms, 10) : undefined,
+      context: event.context,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Handle Cdr - Asterisk's call detail record for one party A channel (cdr_manager)
+   * A call produces one record per party B it was connected or dialled to
+   */
+  handleCdr(event) {
+    const cdrData = {
+      uniqueId: event.uniqueid,
+      source: event.source,
+      destination: event.destination,
+      destinationContext: event.destinationcontext,
+      channel: event.channel,
+      destinationChannel: event.destinationchannel || null,
+      lastApplication: event.lastapplication,
+      startTime: this.parseAsteriskTime(event.starttime),
+      answerTime: this.parseAsteriskTime(event.answertime),
+      endTime: this.parseAsteriskTime(event.endtime),
+      duration: parseInt(event.duration, 10) || 0,
+      billsec: parseInt(event.billableseconds, 10) || 0,
+      disposition: event.disposition,
+      userField: event.userfield || null
+    };
+
+    this.emit('call:cdr', cdrData);
+
+    this.logger.debug('CDR received', {
+      uniqueId: cdrData.uniqueId,
+      disposition: cdrData.disposition,
+      billsec: cdrData.billsec
+    });
+  }
+
+  /**
+   * Handle CEL - channel event logging (cel_manager)
+   */
+  handleCel(event) {
+    this.emit('call:cel', {
+      eventName: event.eventname,
+      uniqueId: event.uniqueid,
+      linkedId: event.linkedid,
+      channel: event.channel,
+      eventTime: this.parseAsteriskTime(event.eventtime),
+      application: event.application,
+      extra: event.extra
+    });
+  }
+
+  /**
+   * Parse a CDR/CEL timestamp: either epoch seconds or "YYYY-MM-DD HH:MM:SS[.usec]"
+   * in the PBX's local time, which is assumed to match the middleware's timezone
+   */
+  parseAsteriskTime(value) {
+    if (!value) {
+      return null;
+    }
+
+    const date = /^\d+(\.\d+)?$/.test(value)
+      ? new Date(parseFloat(value) * 1000)
+      : new Date(value);
+
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * Handle MessageWaiting - a mailbox's message counts changed
+   */
+  handleMessageWaiting(event) {
+    const [mailbox, context] = String(event.mailbox || '').split('@');
+
+    if (!mailbox) {
+      return;
     }
 
-    this.reconnectTimer = setTimeout(() => {
-      this.logger.info('Attempting to reconnect to AMI...');
-      this.connect().catch(() => {
-        // Will retry again due to handleReconnect being called on error
-      });
-    }, this.config.reconnectAfter);
+    this.emit('voicemail:mwi', {
+      mailbox,
+      context: context || 'default',
+      waiting: event.waiting === '1' || String(event.waiting).toLowerCase() === 'yes',
+      newMessages: parseInt(event.new, 10) || 0,
+      oldMessages: parseInt(event.old, 10) || 0,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Handle queue events (callers, agents and member status)
+   * Emits queue:<type>, e.g. queue:callerjoin or queue:agentconnect
+   */
+  handleQueueEvent(eventName, event) {
+    const queueData = {
+      queue: event.queue,
+      uniqueId: event.uniqueid,
+      linkedId: event.linkedid,
+      channel: event.channel,
+      callerIdNum: event.calleridnum,
+      callerIdName: event.calleridname,
+      position: event.position !== undefined ? parseInt(event.position, 10) : undefined,
+      count: event.count !== undefined ? parseInt(event.count, 10) : undefined,
+      holdTime: event.holdtime !== undefined ? parseInt(event.holdtime, 10) : undefined,
+      wait: event.wait !== undefined ? parseInt(event.wait, 10) : undefined,
+      ringTime: event.ringtime !== undefined ? parseInt(event.ringtime, 10) : undefined,
+      talkTime: event.talktime !== undefined ? parseInt(event.talktime, 10) : undefined,
+      reason: event.reason,
+      memberName: event.membername || event.name,
+      interface: event.interface || event.location,
+      stateInterface: event.stateinterface,
+      destChannel: event.destchannel,
+      status: event.status !== undefined ? parseInt(event.status, 10) : undefined,
+      paused: event.paused === '1',
+      callsTaken: event.callstaken !== undefined ? parseInt(event.callstaken, 10) : undefined,
+      lastCall: event.lastcall !== undefined ? parseInt(event.lastcall, 10) : undefined,
+      inCall: event.incall === '1',
+      penalty: event.penalty !== undefined ? parseInt(event.penalty, 10) : undefined,
+      strategy: event.strategy,
+      maxLen: event.max !== undefined ? parseInt(event.max, 10) : undefined,
+      completed: event.completed !== undefined ? parseInt(event.completed, 10) : undefined,
+      abandoned: event.abandoned !== undefined ? parseInt(event.abandoned, 10) : undefined,
+      timestamp: new Date().toISOString()
+    };
+
+    this.emit(`queue:${eventName}`, queueData);
+
+    this.logger.debug(`Queue event: ${eventName}`, {
+      queue: queueData.queue,
+      uniqueId: queueData.uniqueId,
+      member: queueData.memberName
+    });
   }
 
   /**
    * Send AMI action
+   * Rejects if no response arrives within timeoutMs so a dead socket cannot hang callers
    */
-  async sendAction(action, params = {}) {
+  async sendAction(action, params = {}, timeoutMs = this.config.actionTimeout) {
     return new Promise((resolve, reject) => {
-      if (!this.connected) {
+      if (!this.connected || !this.ami) {
         return reject(new Error('AMI not connected'));
       }
 
       const actionData = { action, ...params };
 
+      const timer = timeoutMs ? setTimeout(() => {
+        reject(new Error(`AMI action ${action} timed out after ${timeoutMs}ms`));
+      }, timeoutMs) : null;
+
       this.ami.action(actionData, (err, res) => {
+        clearTimeout(timer);
         if (err) {
           this.logger.error(`AMI action failed: ${action}`, err);
           return reject(err);
@@ -328,10 +750,95 @@ class FreePBXClient extends EventEmitter {
     });
   }
 
+  /**
+   * Send an AMI action whose results arrive as a list of events
+   * Resolves with the list events once completeEvent arrives
+   */
+  async sendListAction(action, completeEvent, params = {}, timeoutMs = 10000) {
+    const actionId = `cti-${action.toLowerCase()}-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    const items = [];
+    const ami = this.ami;
+
+    return new Promise((resolve, reject) => {
+      if (!ami) {
+        return reject(new Error('AMI not connected'));
+      }
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        ami.removeListener('managerevent', onEvent);
+      };
+
+      const onEvent = (event) => {
+        if (event.actionid !== actionId) return;
+
+        if (event.event?.toLowerCase() === completeEvent.toLowerCase()) {
+          cleanup();
+          resolve(items);
+        } else {
+          items.push(event);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`AMI ${action} timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      ami.on('managerevent', onEvent);
+
+      this.sendAction(action, { actionid: actionId, ...params }).catch((error) => {
+        cleanup();
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Rebuild channel and bridge state from Asterisk after (re)connecting
+   */
+  async resyncChannels() {
+    const [channels, bridgeList] = await Promise.all([
+      this.sendListAction('CoreShowChannels', 'CoreShowChannelsComplete'),
+      this.sendListAction('BridgeList', 'BridgeListComplete')
+    ]);
+
+    return this.applySnapshot(
+      channels.map(event => ({
+        channel: event.channel,
+        callerIdNum: event.calleridnum,
+        callerIdName: event.calleridname,
+        context: event.context,
+        exten: event.exten,
+        state: event.channelstate,
+        stateDesc: event.channelstatedesc,
+        duration: this.parseDuration(event.duration),
+        uniqueId: this.globalId(event.uniqueid),
+        linkedId: this.globalId(event.linkedid || event.uniqueid),
+        bridgeId: this.globalId(event.bridgeid) || null
+      })),
+      new Map(bridgeList.map(event => [this.globalId(event.bridgeuniqueid), {
+        type: event.bridgetype,
+        technology: event.bridgetechnology
+      }]))
+    );
+  }
+
+  /**
+   * Parse an AMI duration (HH:MM:SS) into seconds
+   */
+  parseDuration(duration) {
+    if (!duration) return 0;
+
+    return String(duration).split(':').reduce((total, part) => total * 60 + (parseInt(part, 10) || 0), 0);
+  }
+
   /**
    * Originate a call
+   * options.channelId sets the uniqueid (and therefore linkedid) of the originated channel,
+   * options.variables sets channel variables on it
    */
-  async originateCall(channel, extension, context = 'from-internal', callerIdNum = '', callerIdName = '') {
+  async originateCall(channel, extension, context = 'from-internal', callerIdNum = '', callerIdName = '', options = {}) {
     try {
       const result = await this.sendAction('Originate', {
         Channel: channel,
@@ -339,10 +846,13 @@ class FreePBXClient extends EventEmitter {
         Context: context,
         Priority: 1,
         CallerID: callerIdNum ? `"${callerIdName}" <${callerIdNum}>` : undefined,
+        Timeout: options.timeout,
+        ChannelId: options.channelId,
+        Variable: options.variables,
         Async: 'true'
       });
 
-      this.logger.info('Call originated', { channel, extension, context });
+      this.logger.info('Call originated', { channel, extension, context, channelId: options.channelId });
       return result;
     } catch (error) {
       this.logger.error('Failed to originate call', error, { channel, extension });
@@ -350,26 +860,220 @@ class FreePBXClient extends EventEmitter {
     }
   }
 
+  /**
+   * Click-to-dial: ring the agent's extension first, then dial the target number once answered
+   */
+  async originateFromExtension(agentExtension, number, options = {}) {
+    const context = this.config.originateContext || 'from-internal';
+
+    return this.originateCall(
+      `Local/${agentExtension}@${context}`,
+      number,
+      context,
+      number,
+      options.callerIdName || number,
+      {
+        timeout: this.config.originateTimeout,
+        channelId: this.localId(options.channelId),
+        variables: options.variables
+      }
+    );
+  }
+
+  /**
+   * Hang up a channel
+   */
+  async hangupChannel(channel, cause = 16) {
+    try {
+      const result = await this.sendAction('Hangup', { Channel: channel, Cause: cause });
+      this.logger.info('Channel hung up', { channel });
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to hang up channel', error, { channel });
+      throw error;
+    }
+  }
+
+  /**
+   * Blind transfer: send a channel to another extension
+   */
+  async redirectChannel(channel, extension, context = this.config.originateContext || 'from-internal') {
+    try {
+      const result = await this.sendAction('Redirect', {
+        Channel: channel,
+        Exten: extension,
+        Context: context,
+        Priority: 1
+      });
+      this.logger.info('Channel redirected', { channel, extension, context });
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to redirect channel', error, { channel, extension });
+      throw error;
+    }
+  }
+
+  /**
+   * Attended transfer: the given channel consults the target before completing the transfer
+   */
+  async attendedTransfer(channel, extension, context = this.config.originateContext || 'from-internal') {
+    try {
+      const result = await this.sendAction('Atxfer', {
+        Channel: channel,
+        Exten: extension,
+        Context: context
+      });
+      this.logger.info('Attended transfer started', { channel, extension, context });
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to start attended transfer', error, { channel, extension });
+      throw error;
+    }
+  }
+
+  /**
+   * Put remoteChannel on hold: one Redirect moves it to the "s" extension of the
+   * hold context, which plays music on hold, and the agent's channel to its
+   * "agent" extension, which waits in silence, so neither side is hung up
+   */
+  async holdChannel(channel, remoteChannel) {
+    const context = this.config.holdContext || 'cti-hold';
+    try {
+      const result = await this.sendAction('Redirect', {
+        Channel: remoteChannel,
+        Exten: 's',
+        Context: context,
+        Priority: 1,
+        ExtraChannel: channel,
+        ExtraExten: 'agent',
+        ExtraContext: context,
+        ExtraPriority: 1
+      });
+      this.logger.info('Channel put on hold', { channel: remoteChannel, agentChannel: channel, context });
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to put channel on hold', error, { channel: remoteChannel, agentChannel: channel });
+      throw error;
+    }
+  }
+
+  /**
+   * Take remoteChannel off hold by bridging it back to the agent's channel
+   */
+  async unholdChannel(channel, remoteChannel) {
+    try {
+      const result = await this.sendAction('Bridge', {
+        Channel1: channel,
+        Channel2: remoteChannel,
+        Tone: 'no'
+      });
+      this.logger.info('Channel taken off hold', { channel: remoteChannel, agentChannel: channel });
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to take channel off hold', error, { channel: remoteChannel, agentChannel: channel });
+      throw error;
+    }
+  }
+
+  /**
+   * Park a channel; if nobody picks it up it returns to timeoutChannel
+   */
+  async parkChannel(channel, timeoutChannel) {
+    try {
+      const result = await this.sendAction('Park', {
+        Channel: channel,
+        TimeoutChannel: timeoutChannel
+      });
+      this.logger.info('Channel parked', { channel, timeoutChannel });
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to park channel', error, { channel });
+      throw error;
+    }
+  }
+
+  /**
+   * Start recording a channel with MixMonitor
+   * A relative file name is stored in the Asterisk monitor directory
+   */
+  async startRecording(channel, file, options = 'b') {
+    try {
+      const result = await this.sendAction('MixMonitor', {
+        Channel: channel,
+        File: file,
+        Options: options
+      });
+      this.logger.info('Recording started', { channel, file });
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to start recording', error, { channel, file });
+      throw error;
+    }
+  }
+
+  /**
+   * Stop a MixMonitor recording on a channel
+   */
+  async stopRecording(channel) {
+    try {
+      const result = await this.sendAction('StopMixMonitor', { Channel: channel });
+      this.logger.info('Recording stopped', { channel });
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to stop recording', error, { channel });
+      throw error;
+    }
+  }
+
+  /**
+   * Pause or resume a recording
+   * FreePBX records with MixMonitor, which is paused by muting it (silence is written);
+   * PauseMonitor/UnpauseMonitor only apply to the legacy Monitor application
+   */
+  async pauseRecording(channel, pause = true, legacyMonitor = false) {
+    try {
+      const result = legacyMonitor
+        ? await this.sendAction(pause ? 'PauseMonitor' : 'UnpauseMonitor', { Channel: channel })
+        : await this.sendAction('MixMonitorMute', {
+          Channel: channel,
+          Direction: 'both',
+          State: pause ? 1 : 0
+        });
+      this.logger.info(pause ? 'Recording paused' : 'Recording resumed', { channel });
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to change recording pause state', error, { channel, pause });
+      throw error;
+    }
+  }
+
   /**
    * Disconnect from AMI
    */
   disconnect() {
-    if (this.reconnectTimer) {
-      clearTimeout(this.reconnectTimer);
-    }
+    this.stopped = true;
+    this.clearReconnectTimer();
+    this.stopHeartbeat();
 
     if (this.ami) {
-      this.ami.disconnect();
+      this.destroyConnection();
       this.connected = false;
+      this.connectedSince = null;
       this.logger.info('Disconnected from FreePBX AMI');
     }
+
+    this.setState('stopped');
   }
 
   /**
-   * Check if connected
+   * Get connection manager status, including the AMI host
    */
-  isConnected() {
-    return this.connected;
+  getConnectionStatus() {
+    return {
+      ...super.getConnectionStatus(),
+      host: this.config.host,
+      port: this.config.port
+    };
   }
 }
 
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const AudioStorage = require('./AudioStorage');
+
+/**
+ * Local Audio Storage - keeps audio files in a directory on the middleware host
+ * Files are written to a temporary name first so that a stream never sees half a file.
+ */
+class LocalAudioStorage extends AudioStorage {
+  constructor(config, logger) {
+    super(config, logger, 'local');
+    this.directory = path.resolve(config.directory || './recordings/elevenlabs');
+  }
+
+  /**
+   * Absolute path of a key
+   */
+  filePath(key) {
+    return path.join(this.directory, this.validateKey(key));
+  }
+
+  async save(key, buffer, metadata = {}) {
+    const file = this.filePath(key);
+    const temporary = `${file}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(temporary, buffer);
+    await fs.promises.rename(temporary, file);
+
+    this.logger.debug('Audio stored', { key, file, size: buffer.length, ...metadata });
+
+    return { key, size: buffer.length, location: file };
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.filePath(key));
+      return stats.isFile() ? { key, size: stats.size, contentType: this.contentType(key) } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  createReadStream(key, range = {}) {
+    return fs.createReadStream(this.filePath(key), { start: range.start, end: range.end });
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+}
+
+module.exports = LocalAudioStorage;
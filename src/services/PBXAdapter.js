@@ -0,0 +1,908 @@
+const EventEmitter = require('events');
+
+// Device state names (AMI DeviceStateChange, ARI DeviceStateChanged) -> phone state
+const DEVICE_STATES = {
+  NOT_INUSE: 'idle',
+  INUSE: 'in_use',
+  BUSY: 'busy',
+  RINGING: 'ringing',
+  RINGINUSE: 'ringing',
+  ONHOLD: 'on_hold',
+  UNAVAILABLE: 'unavailable',
+  INVALID: 'unavailable',
+  UNKNOWN: 'unknown'
+};
+
+// Queue events forwarded as queue:<event>
+const QUEUE_EVENTS = [
+  'queuecallerjoin',
+  'queuecallerleave',
+  'queuecallerabandon',
+  'agentcalled',
+  'agentconnect',
+  'agentcomplete',
+  'queuememberstatus',
+  'queueparams',
+  'queuemember',
+  'queueentry'
+];
+
+// Normalized events every backend may emit
+const EVENTS = [
+  'connected',
+  'disconnected',
+  'state',
+  'call:new',
+  'call:state',
+  'call:dial',
+  'call:hangup',
+  'call:bridge',
+  'call:originate_response',
+  'call:dialplan',
+  'call:dtmf',
+  'call:varset',
+  'call:recording',
+  'call:voicemail',
+  'call:cdr',
+  'call:cel',
+  'voicemail:mwi',
+  'agent:state',
+  'channels:resynced',
+  ...QUEUE_EVENTS.map(event => `queue:${event}`)
+];
+
+// Connection manager defaults, overridable from the PBX config
+const CONNECTION_DEFAULTS = {
+  reconnect: true,
+  reconnectAfter: 3000,
+  reconnectMaxDelay: 60000,
+  connectTimeout: 10000,
+  actionTimeout: 10000,
+  heartbeatInterval: 15000,
+  heartbeatTimeout: 5000,
+  heartbeatMaxMissed: 2
+};
+
+/**
+ * PBX Adapter - the interface between the CTI middleware and a PBX
+ *
+ * Backends (AMI, ARI) translate their native events into these normalized events:
+ *   call:new, call:state, call:dial, call:hangup, call:bridge, call:originate_response,
+ *   call:dialplan, call:dtmf, call:varset, call:recording, call:voicemail,
+ *   call:cdr, call:cel, voicemail:mwi, queue:<event>, agent:state,
+ *   channels:resynced, connected, disconnected, state
+ * and implement the call actions below. This base class holds the channel, bridge
+ * and extension state and the connection state machine shared by all backends.
+ * Actions a backend cannot perform reject with a 501 error flagged `unsupported`.
+ *
+ * Every event is tagged with the name of the PBX it came from (`pbx`). When several
+ * PBXes are connected (namespaceIds), channel ids, bridge ids and queue names are
+ * prefixed with "<pbx>:" so that ids from different PBXes never collide.
+ */
+class PBXAdapter extends EventEmitter {
+  constructor(config, logger, protocol = 'PBX') {
+    super();
+    this.config = { ...CONNECTION_DEFAULTS, ...config };
+    this.logger = logger;
+    this.protocol = protocol;
+    this.name = config.name || 'default';
+    this.idPrefix = config.namespaceIds ? `${this.name}:` : '';
+    this.directions = config.directions || {}; // dialplan context -> call direction
+    this.connected = false;
+    this.reconnectTimer = null;
+    this.activeChannels = new Map(); // uniqueId -> channel data
+    this.bridges = new Map(); // bridgeId -> { bridgeId, type, technology, members: Map(uniqueId -> member) }
+    this.extensionStates = new Map(); // extension -> phone state
+    this.trackedVariables = new Map(); // lowercased name -> channel variable name reported via call:varset
+    this.lastResync = null;
+
+    // Connection manager state
+    this.state = 'disconnected'; // disconnected -> connecting -> authenticating -> connected -> reconnecting -> ...
+    this.stateChangedAt = new Date().toISOString();
+    this.stopped = false;
+    this.reconnectAttempts = 0;
+    this.nextReconnectAt = null;
+    this.connectedSince = null;
+    this.lastError = null;
+    this.heartbeatTimer = null;
+    this.missedHeartbeats = 0;
+    this.lastHeartbeat = null;
+  }
+
+  /**
+   * Emit an event tagged with the name of this PBX
+   */
+  emit(event, data, ...args) {
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      data.pbx = this.name;
+    }
+
+    return super.emit(event, data, ...args);
+  }
+
+  /**
+   * Qualify a PBX-local id (uniqueid, bridge id, queue name) with this PBX's prefix
+   */
+  globalId(id) {
+    return id && this.idPrefix ? `${this.idPrefix}${id}` : id;
+  }
+
+  /**
+   * Strip this PBX's prefix from a qualified id
+   */
+  localId(id) {
+    return id && this.idPrefix && String(id).startsWith(this.idPrefix) ? String(id).slice(this.idPrefix.length) : id;
+  }
+
+  /**
+   * Get the adapter of a PBX by name; a single adapter only knows itself
+   */
+  getPbx(name) {
+    return !name || name === this.name ? this : undefined;
+  }
+
+  /**
+   * Names of the connected PBXes
+   */
+  getPbxNames() {
+    return [this.name];
+  }
+
+  /**
+   * Direction of a call from the dialplan context its first channel started in
+   * Rules map contexts to directions; a trailing * matches a context prefix
+   */
+  getDirection(context) {
+    if (!context) {
+      return null;
+    }
+
+    if (this.directions[context]) {
+      return this.directions[context];
+    }
+
+    const rule = Object.keys(this.directions)
+      .find(pattern => pattern.endsWith('*') && context.startsWith(pattern.slice(0, -1)));
+
+    return rule ? this.directions[rule] : null;
+  }
+
+  /**
+   * Connect to the PBX
+   */
+  async connect() {
+    throw this.unsupported('connect');
+  }
+
+  /**
+   * Disconnect from the PBX and stop reconnecting
+   */
+  disconnect() {
+    throw this.unsupported('disconnect');
+  }
+
+  /**
+   * Click-to-dial: ring the agent's extension first, then dial the number once answered
+   * options.channelId sets the id (and linkedid) of the first channel
+   */
+  async originateFromExtension(agentExtension, number, options = {}) {
+    throw this.unsupported('originate');
+  }
+
+  /**
+   * Hang up a channel
+   */
+  async hangupChannel(channel, cause = 16) {
+    throw this.unsupported('hangup');
+  }
+
+  /**
+   * Blind transfer: send a channel to another extension
+   */
+  async redirectChannel(channel, extension, context) {
+    throw this.unsupported('transfer');
+  }
+
+  /**
+   * Attended transfer: the given channel consults the target before completing the transfer
+   */
+  async attendedTransfer(channel, extension, context) {
+    throw this.unsupported('attended transfer');
+  }
+
+  /**
+   * Put remoteChannel on music on hold; channel is the agent's side of the call
+   */
+  async holdChannel(channel, remoteChannel) {
+    throw this.unsupported('hold');
+  }
+
+  /**
+   * Take remoteChannel off hold and reconnect it to the agent's channel
+   */
+  async unholdChannel(channel, remoteChannel) {
+    throw this.unsupported('hold');
+  }
+
+  /**
+   * Park a channel; if nobody picks it up it returns to timeoutChannel
+   */
+  async parkChannel(channel, timeoutChannel) {
+    throw this.unsupported('park');
+  }
+
+  /**
+   * Start recording a channel to the given file
+   */
+  async startRecording(channel, file) {
+    throw this.unsupported('recording');
+  }
+
+  /**
+   * Stop the recording on a channel
+   */
+  async stopRecording(channel) {
+    throw this.unsupported('recording');
+  }
+
+  /**
+   * Pause or resume the recording on a channel
+   */
+  async pauseRecording(channel, pause = true) {
+    throw this.unsupported('recording');
+  }
+
+  /**
+   * Request a fresh dump of queue state as queue:<event> events
+   * Backends without queue visibility have nothing to refresh
+   */
+  async refreshQueues() {
+    return false;
+  }
+
+  /**
+   * Create the error for an action this backend cannot perform
+   */
+  unsupported(action) {
+    const error = new Error(`${action} is not supported by the ${this.protocol} backend`);
+    error.status = 501;
+    error.unsupported = true;
+    return error;
+  }
+
+  /**
+   * Register a new channel and emit call:new
+   */
+  addChannel(channelData) {
+    this.activeChannels.set(channelData.uniqueId, channelData);
+
+    this.emit('call:new', channelData);
+
+    this.logger.info('New channel created', {
+      callerId: channelData.callerIdNum,
+      channel: channelData.channel
+    });
+  }
+
+  /**
+   * Update the state of a known channel and emit call:state
+   */
+  updateChannelState(uniqueId, state, stateDesc) {
+    const channelData = this.activeChannels.get(uniqueId);
+
+    if (channelData) {
+      channelData.state = state;
+      channelData.stateDesc = stateDesc;
+
+      this.emit('call:state', channelData);
+    }
+  }
+
+  /**
+   * Forget a channel and emit call:hangup
+   */
+  removeChannel(uniqueId, hangup = {}) {
+    const channelData = this.activeChannels.get(uniqueId);
+
+    const hangupData = {
+      channel: hangup.channel || channelData?.channel,
+      callerIdNum: hangup.callerIdNum || channelData?.callerIdNum,
+      cause: hangup.cause,
+      causeTxt: hangup.causeTxt,
+      timestamp: new Date().toISOString(),
+      uniqueId,
+      linkedId: hangup.linkedId || channelData?.linkedId || uniqueId,
+      duration: channelData ? this.calculateDuration(channelData.timestamp) : 0,
+      answeredAt: channelData?.answeredAt || null,
+      recordingFile: hangup.recordingFile || channelData?.recordingFile || null,
+      endedWhileDisconnected: hangup.endedWhileDisconnected || false
+    };
+
+    this.emit('call:hangup', hangupData);
+
+    this.activeChannels.delete(uniqueId);
+
+    this.logger.info('Call ended', {
+      callerId: hangupData.callerIdNum,
+      cause: hangupData.causeTxt,
+      duration: hangupData.duration
+    });
+
+    return hangupData;
+  }
+
+  /**
+   * Look up a bridge by id, creating it if its creation was missed
+   */
+  getOrCreateBridge({ bridgeId, type, technology }) {
+    if (!this.bridges.has(bridgeId)) {
+      this.bridges.set(bridgeId, {
+        bridgeId,
+        type,
+        technology,
+        createdAt: new Date().toISOString(),
+        members: new Map()
+      });
+    }
+
+    return this.bridges.get(bridgeId);
+  }
+
+  /**
+   * A channel entered a bridge
+   * Emits call:bridge once a second party joins, mirroring the legacy Bridge "Link" event
+   */
+  enterBridge(bridgeInfo, channel) {
+    const bridge = this.getOrCreateBridge(bridgeInfo);
+    const member = {
+      channel: channel.channel,
+      uniqueId: channel.uniqueId,
+      linkedId: channel.linkedId,
+      callerIdNum: channel.callerIdNum,
+      callerIdName: channel.callerIdName,
+      extension: this.extractExtension(channel.channel),
+      enteredAt: new Date().toISOString()
+    };
+
+    // Other parties already in the bridge, captured before adding the new member
+    const peers = Array.from(bridge.members.values()).filter(m => m.uniqueId !== member.uniqueId);
+    bridge.members.set(member.uniqueId, member);
+
+    const channelData = this.activeChannels.get(member.uniqueId);
+    if (channelData) {
+      channelData.bridgeId = bridge.bridgeId;
+      if (!channelData.answeredAt && peers.length > 0) {
+        channelData.answeredAt = member.enteredAt;
+      }
+    }
+
+    if (peers.length === 0) {
+      return;
+    }
+
+    // The party entering an occupied bridge is normally the one answering
+    const peer = peers[0];
+    const peerChannelData = this.activeChannels.get(peer.uniqueId);
+    if (peerChannelData && !peerChannelData.answeredAt) {
+      peerChannelData.answeredAt = member.enteredAt;
+    }
+
+    const bridgeData = {
+      bridgeId: bridge.bridgeId,
+      channel1: peer.channel,
+      channel2: member.channel,
+      uniqueId1: peer.uniqueId,
+      uniqueId2: member.uniqueId,
+      bridgeState: 'Link',
+      answeredBy: member.extension || peer.extension,
+      memberCount: bridge.members.size,
+      timestamp: member.enteredAt
+    };
+
+    this.emit('call:bridge', bridgeData);
+
+    this.logger.info('Channel entered bridge', {
+      bridgeId: bridge.bridgeId,
+      channel: member.channel,
+      peer: peer.channel,
+      answeredBy: bridgeData.answeredBy
+    });
+  }
+
+  /**
+   * A channel left a bridge
+   */
+  leaveBridge(bridgeId, uniqueId) {
+    const bridge = this.bridges.get(bridgeId);
+    if (!bridge) {
+      return;
+    }
+
+    const member = bridge.members.get(uniqueId);
+    bridge.members.delete(uniqueId);
+
+    const channelData = this.activeChannels.get(uniqueId);
+    if (channelData && channelData.bridgeId === bridge.bridgeId) {
+      delete channelData.bridgeId;
+    }
+
+    const remaining = Array.from(bridge.members.values());
+    if (!member || remaining.length === 0) {
+      return;
+    }
+
+    this.emit('call:bridge', {
+      bridgeId: bridge.bridgeId,
+      channel1: remaining[0].channel,
+      channel2: member.channel,
+      uniqueId1: remaining[0].uniqueId,
+      uniqueId2: member.uniqueId,
+      bridgeState: 'Unlink',
+      memberCount: remaining.length,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * A bridge was destroyed
+   */
+  destroyBridge(bridgeId) {
+    this.bridges.delete(bridgeId);
+
+    this.logger.debug('Bridge destroyed', { bridgeId });
+  }
+
+  /**
+   * Get the members of a bridge
+   */
+  getBridgeMembers(bridgeId) {
+    const bridge = this.bridges.get(bridgeId);
+    return bridge ? Array.from(bridge.members.values()) : [];
+  }
+
+  /**
+   * A channel entered a dialplan context/extension
+   * Emits call:dialplan once per location, and call:voicemail when the step runs VoiceMail
+   */
+  handleDialplanStep(step) {
+    const channelData = this.activeChannels.get(step.uniqueId);
+    const linkedId = step.linkedId || channelData?.linkedId || step.uniqueId;
+
+    // Report each context/extension a channel enters once, not every priority
+    const location = `${step.context},${step.exten}`;
+    if (!channelData || channelData.dialplanLocation !== location) {
+      if (channelData) {
+        channelData.dialplanLocation = location;
+      }
+
+      this.emit('call:dialplan', {
+        uniqueId: step.uniqueId,
+        linkedId,
+        channel: step.channel,
+        context: step.context,
+        exten: step.exten,
+        application: step.application,
+        appData: step.appData,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (String(step.application || '').toLowerCase() !== 'voicemail') {
+      return;
+    }
+
+    // AppData is "mailbox[@context][&mailbox2...][,options]"
+    const mailboxes = String(step.appData || '')
+      .split(',')[0]
+      .split('&')
+      .map(mailbox => mailbox.split('@')[0].trim())
+      .filter(Boolean);
+
+    if (mailboxes.length === 0) {
+      return;
+    }
+
+    this.emit('call:voicemail', {
+      uniqueId: step.uniqueId,
+      linkedId,
+      channel: step.channel,
+      callerIdNum: step.callerIdNum || channelData?.callerIdNum,
+      callerIdName: step.callerIdName || channelData?.callerIdName,
+      mailboxes,
+      timestamp: new Date().toISOString()
+    });
+
+    this.logger.info('Caller sent to voicemail', {
+      channel: step.channel,
+      mailboxes
+    });
+  }
+
+  /**
+   * Report changes of the given channel variables as call:varset events
+   */
+  trackVariables(names = []) {
+    names.forEach(name => this.trackedVariables.set(name.toLowerCase(), name));
+  }
+
+  /**
+   * A channel variable was set
+   * MIXMONITOR_FILENAME tells where a call is recorded, other variables are only reported when tracked
+   */
+  handleVariableSet({ uniqueId, linkedId, channel, variable, value }) {
+    const name = String(variable || '').toLowerCase();
+    const channelData = this.activeChannels.get(uniqueId);
+    linkedId = linkedId || channelData?.linkedId || uniqueId;
+
+    if (this.trackedVariables.has(name)) {
+      this.emit('call:varset', {
+        uniqueId,
+        linkedId,
+        channel,
+        variable: this.trackedVariables.get(name),
+        value,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (name === 'mixmonitor_filename' && value) {
+      this.setRecordingFile({ uniqueId, linkedId, channel, file: value });
+    }
+  }
+
+  /**
+   * Remember where a channel is being recorded and emit call:recording
+   */
+  setRecordingFile({ uniqueId, linkedId, channel, file }) {
+    const channelData = this.activeChannels.get(uniqueId);
+    if (channelData) {
+      channelData.recordingFile = file;
+    }
+
+    this.logger.info('Call recording file set', { channel, file });
+
+    this.emit('call:recording', {
+      uniqueId,
+      linkedId: linkedId || channelData?.linkedId || uniqueId,
+      channel,
+      file,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Rebuild channel and bridge state from a snapshot of the PBX after (re)connecting
+   * Channels we knew about that no longer exist ended while we were disconnected and
+   * are reported as hangups; channels we did not know about are reported as new calls.
+   *
+   * channels: [{ uniqueId, linkedId, channel, callerIdNum, callerIdName, context, exten,
+   *              state, stateDesc, duration (seconds), bridgeId }]
+   * bridgeTypes: Map(bridgeId -> { type, technology })
+   */
+  applySnapshot(channels, bridgeTypes = new Map()) {
+    const now = Date.now();
+    const snapshot = new Map(channels.map(channel => [channel.uniqueId, channel]));
+    const previousBridges = this.bridges;
+
+    // Channels that disappeared while we were not listening
+    const ended = [];
+    for (const [uniqueId, channelData] of this.activeChannels.entries()) {
+      if (!snapshot.has(uniqueId)) {
+        ended.push(channelData);
+      }
+    }
+
+    ended.forEach((channelData) => {
+      this.removeChannel(channelData.uniqueId, {
+        causeTxt: `Ended while ${this.protocol} was disconnected`,
+        endedWhileDisconnected: true
+      });
+    });
+
+    // Recover channels we do not know about, primary (Linkedid) channels first
+    const recovered = channels
+      .filter(channel => !this.activeChannels.has(channel.uniqueId))
+      .sort((a, b) => (b.uniqueId === b.linkedId) - (a.uniqueId === a.linkedId) ||
+        b.duration - a.duration);
+
+    recovered.forEach((channel) => {
+      const channelData = {
+        channel: channel.channel,
+        callerIdNum: channel.callerIdNum,
+        callerIdName: channel.callerIdName,
+        context: channel.context,
+        exten: channel.exten,
+        state: channel.state,
+        stateDesc: channel.stateDesc,
+        timestamp: new Date(now - channel.duration * 1000).toISOString(),
+        uniqueId: channel.uniqueId,
+        linkedId: channel.linkedId,
+        extension: this.extractExtension(channel.channel),
+        recovered: true
+      };
+
+      this.activeChannels.set(channel.uniqueId, channelData);
+      this.emit('call:new', channelData);
+    });
+
+    // Rebuild bridge membership from the channels' bridge ids
+    this.bridges = new Map();
+
+    channels.forEach((channel) => {
+      const channelData = this.activeChannels.get(channel.uniqueId);
+      if (channelData) {
+        channelData.state = channel.state;
+        channelData.stateDesc = channel.stateDesc;
+        delete channelData.bridgeId;
+      }
+
+      if (!channel.bridgeId) return;
+
+      const bridge = this.getOrCreateBridge({
+        bridgeId: channel.bridgeId,
+        type: bridgeTypes.get(channel.bridgeId)?.type,
+        technology: bridgeTypes.get(channel.bridgeId)?.technology
+      });
+
+      bridge.members.set(channel.uniqueId, {
+        channel: channel.channel,
+        uniqueId: channel.uniqueId,
+        linkedId: channel.linkedId,
+        callerIdNum: channel.callerIdNum,
+        callerIdName: channel.callerIdName,
+        extension: this.extractExtension(channel.channel),
+        enteredAt: previousBridges.get(channel.bridgeId)?.members.get(channel.uniqueId)?.enteredAt || new Date(now).toISOString()
+      });
+
+      if (channelData) {
+        channelData.bridgeId = channel.bridgeId;
+      }
+    });
+
+    // Report connections that were made while we were disconnected
+    this.bridges.forEach((bridge) => {
+      const members = Array.from(bridge.members.values());
+      const previous = previousBridges.get(bridge.bridgeId);
+      const isNew = members.length >= 2 && members.some(member => !previous?.members.has(member.uniqueId));
+
+      if (!isNew) return;
+
+      members.forEach((member) => {
+        const channelData = this.activeChannels.get(member.uniqueId);
+        if (channelData && !channelData.answeredAt) {
+          channelData.answeredAt = member.enteredAt;
+        }
+      });
+
+      const answering = members.find(member => member.extension) || members[1];
+      const other = members.find(member => member !== answering);
+
+      this.emit('call:bridge', {
+        bridgeId: bridge.bridgeId,
+        channel1: other.channel,
+        channel2: answering.channel,
+        uniqueId1: other.uniqueId,
+        uniqueId2: answering.uniqueId,
+        bridgeState: 'Link',
+        answeredBy: answering.extension,
+        memberCount: members.length,
+        recovered: true,
+        timestamp: answering.enteredAt
+      });
+    });
+
+    this.lastResync = {
+      timestamp: new Date(now).toISOString(),
+      activeChannels: channels.length,
+      recoveredChannels: recovered.length,
+      endedChannels: ended.length,
+      bridges: this.bridges.size
+    };
+
+    this.emit('channels:resynced', {
+      ...this.lastResync,
+      ended: ended.map(channelData => ({
+        uniqueId: channelData.uniqueId,
+        linkedId: channelData.linkedId,
+        channel: channelData.channel,
+        callerIdNum: channelData.callerIdNum
+      }))
+    });
+
+    this.logger.info(`Channel state resynchronized from ${this.protocol}`, this.lastResync);
+
+    return this.lastResync;
+  }
+
+  /**
+   * Map a device state name (NOT_INUSE, INUSE, ...) to a phone state
+   */
+  mapDeviceState(state) {
+    return DEVICE_STATES[state] || 'unknown';
+  }
+
+  /**
+   * Merge a phone state update for an extension and emit agent:state when it changed
+   */
+  updateExtensionState(extension, update, source) {
+    if (!extension) return;
+
+    const previous = this.extensionStates.get(extension) || {
+      extension,
+      phoneState: 'unknown',
+      registered: null,
+      device: null
+    };
+    const next = { ...previous, ...update, pbx: this.name };
+
+    if (next.phoneState !== 'unavailable' && next.phoneState !== 'unknown' && next.registered === null) {
+      next.registered = true;
+    }
+
+    const changed = next.phoneState !== previous.phoneState || next.registered !== previous.registered;
+    next.updatedAt = changed || !previous.updatedAt ? new Date().toISOString() : previous.updatedAt;
+
+    this.extensionStates.set(extension, next);
+
+    if (changed) {
+      this.emit('agent:state', { ...next, source });
+
+      this.logger.debug('Extension state changed', {
+        extension,
+        phoneState: next.phoneState,
+        registered: next.registered,
+        source
+      });
+    }
+  }
+
+  /**
+   * Get the phone state of an extension
+   */
+  getExtensionState(extension) {
+    return this.extensionStates.get(extension);
+  }
+
+  /**
+   * Get phone states of all known extensions
+   */
+  getAllExtensionStates() {
+    return Array.from(this.extensionStates.values());
+  }
+
+  /**
+   * Extract the extension from a channel or device name (e.g. PJSIP/1001-0000002a -> 1001)
+   */
+  extractExtension(channel) {
+    const match = /^(?:PJSIP|SIP|IAX2|Local)\/(\d+)(?:[-@]|$)/.exec(channel || '');
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Calculate call duration in seconds
+   * Wall-clock time since channel creation, including ring and hold time;
+   * CDR/CEL accounting is preferred for what is written to the CRM
+   */
+  calculateDuration(startTime) {
+    const start = new Date(startTime);
+    const end = new Date();
+    return Math.floor((end - start) / 1000);
+  }
+
+  /**
+   * Get active channel information
+   */
+  getActiveChannel(uniqueId) {
+    return this.activeChannels.get(uniqueId);
+  }
+
+  /**
+   * Get all active channels
+   */
+  getAllActiveChannels() {
+    return Array.from(this.activeChannels.values());
+  }
+
+  /**
+   * Move the connection state machine and notify listeners
+   */
+  setState(state, reason = null) {
+    if (this.state === state) {
+      return;
+    }
+
+    const previous = this.state;
+    this.state = state;
+    this.stateChangedAt = new Date().toISOString();
+
+    this.logger.info(`${this.protocol} connection state changed`, { from: previous, to: state, reason });
+    this.emit('state', { state, previous, reason, timestamp: this.stateChangedAt });
+  }
+
+  /**
+   * Schedule a reconnect with exponential backoff and jitter
+   */
+  handleReconnect() {
+    if (!this.config.reconnect || this.stopped) {
+      return;
+    }
+
+    this.clearReconnectTimer();
+
+    // Exponential backoff capped at reconnectMaxDelay, with up to 50% random jitter
+    const baseDelay = Math.min(
+      this.config.reconnectMaxDelay,
+      this.config.reconnectAfter * Math.pow(2, this.reconnectAttempts)
+    );
+    const delay = Math.round(baseDelay / 2 + Math.random() * baseDelay / 2);
+
+    this.reconnectAttempts++;
+    this.nextReconnectAt = new Date(Date.now() + delay).toISOString();
+    this.setState('reconnecting');
+
+    this.logger.info(`Scheduling ${this.protocol} reconnect`, {
+      attempt: this.reconnectAttempts,
+      delay: `${delay}ms`
+    });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.logger.info(`Attempting to reconnect to ${this.protocol}...`);
+      this.connect().catch(() => {
+        // Will retry again due to handleReconnect being called on error
+      });
+    }, delay);
+  }
+
+  /**
+   * Cancel a pending reconnect
+   */
+  clearReconnectTimer() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  /**
+   * Stop heartbeats
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Check if connected
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Get connection manager status for health and status endpoints
+   */
+  getConnectionStatus() {
+    return {
+      pbx: this.name,
+      protocol: this.protocol,
+      state: this.state,
+      connected: this.connected,
+      stateChangedAt: this.stateChangedAt,
+      connectedSince: this.connectedSince,
+      reconnectAttempts: this.reconnectAttempts,
+      nextReconnectAt: this.state === 'reconnecting' ? this.nextReconnectAt : null,
+      lastError: this.lastError,
+      lastHeartbeat: this.lastHeartbeat,
+      missedHeartbeats: this.missedHeartbeats
+    };
+  }
+}
+
+PBXAdapter.DEVICE_STATES = DEVICE_STATES;
+PBXAdapter.QUEUE_EVENTS = QUEUE_EVENTS;
+PBXAdapter.EVENTS = EVENTS;
+
+module.exports = PBXAdapter;
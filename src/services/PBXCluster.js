@@ -0,0 +1,188 @@
+const EventEmitter = require('events');
+const PBXAdapter = require('./PBXAdapter');
+
+/**
+ * PBX Cluster - several PBX adapters behind the adapter interface
+ *
+ * Forwards the normalized events of every PBX (already tagged with `pbx` and with
+ * PBX-qualified ids) and answers state queries across all of them. Call actions
+ * go to the PBX a call belongs to, via getPbx(call.pbx).
+ */
+class PBXCluster extends EventEmitter {
+  constructor(adapters, logger) {
+    super();
+    this.logger = logger;
+    this.adapters = new Map(adapters.map(adapter => [adapter.name, adapter]));
+
+    this.adapters.forEach((adapter, name) => {
+      PBXAdapter.EVENTS.forEach((event) => {
+        // connected/disconnected carry no data of their own; say which PBX they are about
+        adapter.on(event, (data) => this.emit(event, data ?? { pbx: name }));
+      });
+    });
+  }
+
+  /**
+   * Protocols of the member PBXes, e.g. "AMI" or "AMI/ARI"
+   */
+  get protocol() {
+    return [...new Set(this.getAdapters().map(adapter => adapter.protocol))].join('/');
+  }
+
+  /**
+   * Most recent channel resync of any PBX
+   */
+  get lastResync() {
+    return this.getAdapters()
+      .map(adapter => adapter.lastResync && { ...adapter.lastResync, pbx: adapter.name })
+      .filter(Boolean)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))[0] || null;
+  }
+
+  /**
+   * Get all member adapters
+   */
+  getAdapters() {
+    return Array.from(this.adapters.values());
+  }
+
+  /**
+   * Get the adapter of a PBX by name; without a name, the first configured PBX
+   */
+  getPbx(name) {
+    return name ? this.adapters.get(name) : this.getAdapters()[0];
+  }
+
+  /**
+   * Names of the connected PBXes
+   */
+  getPbxNames() {
+    return Array.from(this.adapters.keys());
+  }
+
+  /**
+   * Connect to every PBX; fails only if none of them could be reached
+   * Each connection manager keeps retrying in the background
+   */
+  async connect() {
+    const adapters = this.getAdapters();
+    const results = await Promise.allSettled(adapters.map(adapter => adapter.connect()));
+    const failed = [];
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        failed.push(`${adapters[index].name}: ${result.reason.message}`);
+        this.logger.warn('PBX connection failed', { pbx: adapters[index].name, error: result.reason.message });
+      }
+    });
+
+    if (failed.length === adapters.length) {
+      throw new Error(`No PBX reachable (${failed.join('; ')})`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Disconnect from every PBX
+   */
+  disconnect() {
+    this.getAdapters().forEach(adapter => adapter.disconnect());
+  }
+
+  /**
+   * Connected to at least one PBX
+   */
+  isConnected() {
+    return this.getAdapters().some(adapter => adapter.isConnected());
+  }
+
+  /**
+   * Connection status of every PBX
+   */
+  getConnectionStatus() {
+    const pbxes = this.getAdapters().map(adapter => adapter.getConnectionStatus());
+
+    return {
+      connected: pbxes.some(status => status.connected),
+      state: pbxes.every(status => status.connected) ? 'connected' : 'degraded',
+      pbxes
+    };
+  }
+
+  /**
+   * Report changes of the given channel variables on every PBX
+   */
+  trackVariables(names = []) {
+    this.getAdapters().forEach(adapter => adapter.trackVariables(names));
+  }
+
+  /**
+   * Request queue state from one PBX, or from all of them
+   */
+  async refreshQueues(name) {
+    const adapters = name ? [this.getPbx(name)].filter(Boolean) : this.getAdapters();
+    const results = await Promise.all(adapters.map(adapter => adapter.refreshQueues()));
+    return results.some(Boolean);
+  }
+
+  /**
+   * Get active channel information (ids are unique across PBXes)
+   */
+  getActiveChannel(uniqueId) {
+    for (const adapter of this.adapters.values()) {
+      const channel = adapter.getActiveChannel(uniqueId);
+      if (channel) return channel;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Get all active channels of all PBXes
+   */
+  getAllActiveChannels() {
+    return this.getAdapters().flatMap(adapter => adapter.getAllActiveChannels());
+  }
+
+  /**
+   * Get the members of a bridge
+   */
+  getBridgeMembers(bridgeId) {
+    for (const adapter of this.adapters.values()) {
+      const members = adapter.getBridgeMembers(bridgeId);
+      if (members.length > 0) return members;
+    }
+
+    return [];
+  }
+
+  /**
+   * Get the phone state of an extension
+   * Extensions are expected to be unique across PBXes; the first PBX that knows one wins
+   */
+  getExtensionState(extension) {
+    for (const adapter of this.adapters.values()) {
+      const state = adapter.getExtensionState(extension);
+      if (state) return state;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Get phone states of all known extensions
+   */
+  getAllExtensionStates() {
+    return this.getAdapters().flatMap(adapter => adapter.getAllExtensionStates());
+  }
+
+  /**
+   * Extract the extension from a channel or device name
+   */
+  extractExtension(channel) {
+    return this.getAdapters()[0].extractExtension(channel);
+  }
+}
+
+module.exports = PBXCluster;
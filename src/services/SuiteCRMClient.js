@@ -1,6 +1,15 @@
 const axios = require('axios');
 const qs = require('qs');
 
+/**
+ * Axios options for a lookup from its caller's options: an AbortSignal and
+ * timeout that end the request early, and retry: false to fail it on a 401
+ * instead of repeating it after re-authenticating
+ */
+function lookupOptions({ signal, timeout, retry = true } = {}) {
+  return { signal, timeout, noRetry: !retry };
+}
+
 class SuiteCRMClient {
   constructor(config, logger) {
     this.config = config;
@@ -34,6 +43,12 @@ class SuiteCRMClient {
     this.axios.interceptors.response.use(
       (response) => response,
       async (error) => {
+        // A request that must not be repeated fails; the next request gets a new token
+        if (error.response?.status === 401 && error.config.noRetry) {
+          this.tokenExpiry = Date.now();
+          return Promise.reject(error);
+        }
+
         // If unauthorized, try to re-authenticate once
         if (error.response?.status === 401 && !error.config._retry) {
           error.config._retry = true;
@@ -425,6 +440,15 @@ class SuiteCRMClient {
         customFields.conversation_source_c = callLogData.conversationSource.substring(0, 100);
       }
 
+      // How the conversation was matched to the PBX call
+      if (callLogData.correlationMethod && typeof callLogData.correlationMethod === 'string') {
+        customFields.correlation_method_c = callLogData.correlationMethod;
+      }
+
+      if (callLogData.correlationConfidence != null && !isNaN(callLogData.correlationConfidence)) {
+        customFields.correlation_confidence_c = parseFloat(callLogData.correlationConfidence);
+      }
+
       // Try with custom fields first
       const payload = {
         data: {
@@ -606,10 +630,100 @@ class SuiteCRMClient {
     }
   }
 
+  /**
+   * Get a contact record by ID
+   */
+  async getContact(contactId) {
+    try {
+      const startTime = Date.now();
+
+      const response = await this.axios.get(`/module/Contacts/${contactId}`, {
+        params: {
+          'fields[Contacts]': 'id,first_name,last_name,phone_mobile,phone_work,phone_home,phone_other,email1,account_id'
+        }
+      });
+
+      const duration = Date.now() - startTime;
+
+      this.logger.logAPICall('SuiteCRM', 'GET', `/module/Contacts/${contactId}`, response.status, duration);
+
+      return {
+        success: true,
+        data: response.data.data
+      };
+    } catch (error) {
+      this.logger.error('Failed to get contact from SuiteCRM', error, { contactId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an account record by ID
+   * extraFields are added to the returned attributes
+   * options: { signal, timeout, retry }, see lookupOptions
+   */
+  async getAccount(accountId, extraFields = [], options = {}) {
+    try {
+      const startTime = Date.now();
+
+      const response = await this.axios.get(`/module/Accounts/${accountId}`, {
+        params: {
+          'fields[Accounts]': ['id,name,phone_office,phone_alternate,email1', ...extraFields].join(',')
+        },
+        ...lookupOptions(options)
+      });
+
+      const duration = Date.now() - startTime;
+
+      this.logger.logAPICall('SuiteCRM', 'GET', `/module/Accounts/${accountId}`, response.status, duration);
+
+      return {
+        success: true,
+        data: response.data.data
+      };
+    } catch (error) {
+      this.logger.error('Failed to get account from SuiteCRM', error, { accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the best phone number to dial for a contact or account
+   * Returns the record, its display name and the first non-empty phone field in preference order
+   */
+  async getPhoneNumberForRecord(module, recordId) {
+    const phoneFields = {
+      Contacts: ['phone_work', 'phone_mobile', 'phone_home', 'phone_other'],
+      Accounts: ['phone_office', 'phone_alternate']
+    };
+
+    if (!phoneFields[module]) {
+      throw new Error(`Unsupported module for phone lookup: ${module}`);
+    }
+
+    const result = module === 'Contacts'
+      ? await this.getContact(recordId)
+      : await this.getAccount(recordId);
+
+    const record = result.data;
+    const attributes = record?.attributes || {};
+    const field = phoneFields[module].find(name => attributes[name] && attributes[name].trim());
+
+    return {
+      record,
+      name: module === 'Contacts'
+        ? `${attributes.first_name || ''} ${attributes.last_name || ''}`.trim()
+        : attributes.name || '',
+      phoneNumber: field ? attributes[field].trim() : null,
+      phoneField: field || null
+    };
+  }
+
   /**
    * Search for contacts by phone number
+   * options: { signal, timeout, retry }, see lookupOptions
    */
-  async searchContactByPhone(phoneNumber) {
+  async searchContactByPhone(phoneNumber, options = {}) {
     try {
       const startTime = Date.now();
 
@@ -620,8 +734,9 @@ class SuiteCRMClient {
       const response = await this.axios.get('/module/Contacts', {
         params: {
           'filter[phone_mobile][eq]': phoneNumber,
-          'fields[Contacts]': 'id,first_name,last_name,phone_mobile,phone_work,email1'
-        }
+          'fields[Contacts]': 'id,first_name,last_name,phone_mobile,phone_work,email1,account_id,assigned_user_id'
+        },
+        ...lookupOptions(options)
       });
 
       const duration = Date.now() - startTime;
@@ -655,16 +770,19 @@ class SuiteCRMClient {
 
   /**
    * Search for accounts by phone number
+   * extraFields are added to the returned attributes (e.g. a custom tier field)
+   * options: { signal, timeout, retry }, see lookupOptions
    */
-  async searchAccountByPhone(phoneNumber) {
+  async searchAccountByPhone(phoneNumber, extraFields = [], options = {}) {
     try {
       const startTime = Date.now();
 
       const response = await this.axios.get('/module/Accounts', {
         params: {
           'filter[phone_office][eq]': phoneNumber,
-          'fields[Accounts]': 'id,name,phone_office,phone_alternate,email1'
-        }
+          'fields[Accounts]': ['id,name,phone_office,phone_alternate,email1,assigned_user_id', ...extraFields].join(',')
+        },
+        ...lookupOptions(options)
       });
 
       const duration = Date.now() - startTime;
@@ -688,6 +806,301 @@ class SuiteCRMClient {
     }
   }
 
+  /**
+   * Search for leads by mobile or work phone number
+   */
+  async searchLeadByPhone(phoneNumber) {
+    try {
+      const startTime = Date.now();
+
+      const response = await this.axios.get('/module/Leads', {
+        params: {
+          'filter[operator]': 'or',
+          'filter[phone_mobile][eq]': phoneNumber,
+          'filter[phone_work][eq]': phoneNumber,
+          'fields[Leads]': 'id,first_name,last_name,account_name,phone_mobile,phone_work'
+        }
+      });
+
+      const duration = Date.now() - startTime;
+
+      this.logger.logAPICall('SuiteCRM', 'GET', '/module/Leads (search)', response.status, duration);
+
+      const leads = response.data.data || [];
+
+      return {
+        success: true,
+        found: leads.length > 0,
+        data: leads
+      };
+    } catch (error) {
+      this.logger.error('Failed to search lead in SuiteCRM', error, { phoneNumber });
+      return {
+        success: false,
+        found: false,
+        data: []
+      };
+    }
+  }
+
+  /**
+   * Get the open Cases of an account, most recent first
+   * options: { signal, timeout, retry }, see lookupOptions
+   */
+  async getOpenCases(accountId, options = {}) {
+    try {
+      const startTime = Date.now();
+
+      const response = await this.axios.get('/module/Cases', {
+        params: {
+          'filter[account_id][eq]': accountId,
+          'filter[state][eq]': 'Open',
+          'fields[Cases]': 'id,name,case_number,priority,status,assigned_user_id',
+          sort: '-date_entered'
+        },
+        ...lookupOptions(options)
+      });
+
+      const duration = Date.now() - startTime;
+
+      this.logger.logAPICall('SuiteCRM', 'GET', '/module/Cases (open)', response.status, duration);
+
+      const cases = response.data.data || [];
+
+      return {
+        success: true,
+        found: cases.length > 0,
+        data: cases
+      };
+    } catch (error) {
+      this.logger.error('Failed to get open cases from SuiteCRM', error, { accountId });
+      return {
+        success: false,
+        found: false,
+        data: []
+      };
+    }
+  }
+
+  /**
+   * Find a Case by its case number
+   */
+  async getCaseByNumber(caseNumber) {
+    try {
+      const startTime = Date.now();
+
+      const response = await this.axios.get('/module/Cases', {
+        params: {
+          'filter[case_number][eq]': caseNumber,
+          'fields[Cases]': 'id,name,case_number,priority,status,state,account_id,date_modified'
+        }
+      });
+
+      const duration = Date.now() - startTime;
+
+      this.logger.logAPICall('SuiteCRM', 'GET', '/module/Cases (by number)', response.status, duration);
+
+      const cases = response.data.data || [];
+
+      return {
+        success: true,
+        found: cases.length > 0,
+        data: cases
+      };
+    } catch (error) {
+      this.logger.error('Failed to get case from SuiteCRM', error, { caseNumber });
+      return {
+        success: false,
+        found: false,
+        data: []
+      };
+    }
+  }
+
+  /**
+   * Create a Case for an account
+   *
+   * @param {Object} caseData - name, description, priority, accountId, assignedUserId
+   * @returns {Promise<Object>} Created case record (attributes include case_number)
+   */
+  async createCase(caseData) {
+    try {
+      const startTime = Date.now();
+
+      const attributes = {
+        name: caseData.name,
+        description: caseData.description || '',
+        priority: caseData.priority || 'P2',
+        status: 'Open_New',
+        state: 'Open',
+        type: caseData.type || 'User'
+      };
+
+      if (caseData.accountId) {
+        attributes.account_id = caseData.accountId;
+      }
+
+      if (caseData.assignedUserId) {
+        attributes.assigned_user_id = caseData.assignedUserId;
+      }
+
+      const response = await this.axios.post('/module', {
+        data: {
+          type: 'Cases',
+          attributes
+        }
+      });
+
+      const duration = Date.now() - startTime;
+      const caseId = response.data.data.id;
+
+      this.logger.logAPICall('SuiteCRM', 'POST', '/module/Cases', response.status, duration);
+      this.logger.info('Case created in SuiteCRM', {
+        caseId,
+        name: caseData.name,
+        accountId: caseData.accountId
+      });
+
+      return {
+        success: true,
+        id: caseId,
+        data: response.data.data
+      };
+    } catch (error) {
+      this.logger.error('Failed to create case in SuiteCRM', error, { name: caseData.name });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a Meeting, optionally under a parent record
+   *
+   * @param {Object} meetingData - name, description, dateStart (ISO), durationMinutes,
+   *   parentType, parentId, assignedUserId
+   * @returns {Promise<Object>} Created meeting record
+   */
+  async createMeeting(meetingData) {
+    try {
+      const startTime = Date.now();
+      const minutes = meetingData.durationMinutes || 30;
+
+      const attributes = {
+        name: meetingData.name,
+        description: meetingData.description || '',
+        status: 'Planned',
+        date_start: meetingData.dateStart,
+        date_end: new Date(new Date(meetingData.dateStart).getTime() + minutes * 60 * 1000).toISOString(),
+        duration_hours: Math.floor(minutes / 60),
+        duration_minutes: minutes % 60
+      };
+
+      if (meetingData.parentType && meetingData.parentId) {
+        attributes.parent_type = meetingData.parentType;
+        attributes.parent_id = meetingData.parentId;
+      }
+
+      if (meetingData.assignedUserId) {
+        attributes.assigned_user_id = meetingData.assignedUserId;
+      }
+
+      const response = await this.axios.post('/module', {
+        data: {
+          type: 'Meetings',
+          attributes
+        }
+      });
+
+      const duration = Date.now() - startTime;
+      const meetingId = response.data.data.id;
+
+      this.logger.logAPICall('SuiteCRM', 'POST', '/module/Meetings', response.status, duration);
+      this.logger.info('Meeting created in SuiteCRM', {
+        meetingId,
+        name: meetingData.name,
+        dateStart: meetingData.dateStart
+      });
+
+      return {
+        success: true,
+        id: meetingId,
+        data: response.data.data
+      };
+    } catch (error) {
+      this.logger.error('Failed to create meeting in SuiteCRM', error, { name: meetingData.name });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a relationship between a Case or Meeting and a contact
+   */
+  async linkRecordToContact(module, recordId, contactId) {
+    try {
+      const startTime = Date.now();
+
+      const payload = {
+        data: {
+          type: 'Contacts',
+          id: contactId
+        }
+      };
+
+      const response = await this.axios.post(
+        `/module/${module}/${recordId}/relationships/contacts`,
+        payload
+      );
+
+      const duration = Date.now() - startTime;
+
+      this.logger.logAPICall('SuiteCRM', 'POST', `/module/${module}/${recordId}/relationships/contacts`, response.status, duration);
+      this.logger.info(`${module} record linked to contact`, { recordId, contactId });
+
+      return { success: true };
+    } catch (error) {
+      this.logger.error(`Failed to link ${module} record to contact`, error, { recordId, contactId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most recent AI call logs of a phone number, newest first
+   */
+  async getRecentCallLogs(phoneNumber, limit = 5) {
+    try {
+      const startTime = Date.now();
+
+      const response = await this.axios.get('/module/CLL_CallLog', {
+        params: {
+          'filter[operator]': 'or',
+          'filter[customer_number_c][eq]': phoneNumber,
+          'filter[phone_c][eq]': phoneNumber,
+          'fields[CLL_CallLog]': 'id,name,date_entered,ai_summary_c,call_summary_title_c,call_status_c',
+          'page[size]': limit,
+          sort: '-date_entered'
+        }
+      });
+
+      const duration = Date.now() - startTime;
+
+      this.logger.logAPICall('SuiteCRM', 'GET', '/module/CLL_CallLog (recent)', response.status, duration);
+
+      const callLogs = response.data.data || [];
+
+      return {
+        success: true,
+        found: callLogs.length > 0,
+        data: callLogs
+      };
+    } catch (error) {
+      this.logger.error('Failed to get recent call logs from SuiteCRM', error, { phoneNumber });
+      return {
+        success: false,
+        found: false,
+        data: []
+      };
+    }
+  }
+
   /**
    * Create a relationship between call and contact
    */
@@ -750,6 +1163,165 @@ class SuiteCRMClient {
     }
   }
 
+  /**
+   * Create a relationship between call log and contact
+   * The link name depends on how the relationship was created in Studio (suitecrm.callLogContactLink)
+   */
+  async linkCallLogToContact(callLogId, contactId) {
+    const link = this.config.callLogContactLink || 'cll_calllog_contacts';
+
+    try {
+      const startTime = Date.now();
+
+      const payload = {
+        data: {
+          type: 'Contacts',
+          id: contactId
+        }
+      };
+
+      const response = await this.axios.post(
+        `/module/CLL_CallLog/${callLogId}/relationships/${link}`,
+        payload
+      );
+
+      const duration = Date.now() - startTime;
+
+      this.logger.logAPICall('SuiteCRM', 'POST', `/module/CLL_CallLog/${callLogId}/relationships/${link}`, response.status, duration);
+      this.logger.info('Call log linked to contact', { callLogId, contactId });
+
+      return { success: true };
+    } catch (error) {
+      this.logger.error('Failed to link call log to contact', error, { callLogId, contactId, link });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a Note, optionally with a file attachment, under a parent record
+   *
+   * @param {Object} noteData - name, description, parentType, parentId, contactId,
+   *   and for attachments filename, mimeType and fileContents (base64)
+   * @returns {Promise<Object>} Created note record
+   */
+  async createNote(noteData) {
+    try {
+      const startTime = Date.now();
+
+      const attributes = {
+        name: noteData.name,
+        description: noteData.description || '',
+        parent_type: noteData.parentType,
+        parent_id: noteData.parentId
+      };
+
+      if (noteData.contactId) {
+        attributes.contact_id = noteData.contactId;
+      }
+
+      if (noteData.fileContents) {
+        attributes.filename = noteData.filename;
+        attributes.file_mime_type = noteData.mimeType || 'application/octet-stream';
+        attributes.filecontents = noteData.fileContents;
+      }
+
+      const response = await this.axios.post('/module', {
+        data: {
+          type: 'Notes',
+          attributes
+        }
+      });
+
+      const duration = Date.now() - startTime;
+      const noteId = response.data.data.id;
+
+      this.logger.logAPICall('SuiteCRM', 'POST', '/module/Notes', response.status, duration);
+      this.logger.info('Note created in SuiteCRM', {
+        noteId,
+        parentType: noteData.parentType,
+        parentId: noteData.parentId,
+        attachment: noteData.fileContents ? noteData.filename : null
+      });
+
+      return {
+        success: true,
+        id: noteId,
+        data: response.data.data
+      };
+    } catch (error) {
+      this.logger.error('Failed to create note in SuiteCRM', error, {
+        parentType: noteData.parentType,
+        parentId: noteData.parentId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a Task, optionally linked to a parent record and a contact
+   *
+   * @param {Object} taskData - name, description, status, priority, dateDue,
+   *   parentType, parentId, contactId, assignedUserId
+   * @returns {Promise<Object>} Created task record
+   */
+  async createTask(taskData) {
+    try {
+      const startTime = Date.now();
+
+      const attributes = {
+        name: taskData.name,
+        description: taskData.description || '',
+        status: taskData.status || 'Not Started',
+        priority: taskData.priority || 'Medium'
+      };
+
+      if (taskData.dateDue) {
+        attributes.date_due = taskData.dateDue;
+        attributes.date_due_flag = 0;
+      }
+
+      if (taskData.parentType && taskData.parentId) {
+        attributes.parent_type = taskData.parentType;
+        attributes.parent_id = taskData.parentId;
+      }
+
+      if (taskData.contactId) {
+        attributes.contact_id = taskData.contactId;
+      }
+
+      if (taskData.assignedUserId) {
+        attributes.assigned_user_id = taskData.assignedUserId;
+      }
+
+      const response = await this.axios.post('/module', {
+        data: {
+          type: 'Tasks',
+          attributes
+        }
+      });
+
+      const duration = Date.now() - startTime;
+      const taskId = response.data.data.id;
+
+      this.logger.logAPICall('SuiteCRM', 'POST', '/module/Tasks', response.status, duration);
+      this.logger.info('Task created in SuiteCRM', {
+        taskId,
+        name: taskData.name,
+        parentType: taskData.parentType,
+        parentId: taskData.parentId
+      });
+
+      return {
+        success: true,
+        id: taskId,
+        data: response.data.data
+      };
+    } catch (error) {
+      this.logger.error('Failed to create task in SuiteCRM', error, { name: taskData.name });
+      throw error;
+    }
+  }
+
   /**
    * Process call with retry logic
    */
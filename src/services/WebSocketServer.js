@@ -1,13 +1,16 @@
 const WebSocket = require('ws');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 
-class WebSocketServer {
+class WebSocketServer extends EventEmitter {
   constructor(config, logger) {
+    super();
     this.config = config;
     this.logger = logger;
     this.wss = null;
     this.clients = new Map(); // Map of clientId -> { ws, metadata }
     this.pingInterval = null;
+    this.commandHandlers = new Map(); // message type -> async (client, data) => result
   }
 
   /**
@@ -134,6 +137,8 @@ class WebSocketServer {
             agentId: data.agentId,
             extension: data.extension
           });
+
+          this.emit('agent:registered', { clientId, ...client.metadata });
           break;
 
         case 'ping':
@@ -150,13 +155,62 @@ class WebSocketServer {
           break;
 
         default:
-          this.logger.debug('Unknown message type', { clientId, type: data.type });
+          if (this.commandHandlers.has(data.type)) {
+            this.handleCommand(clientId, data);
+          } else {
+            this.logger.debug('Unknown message type', { clientId, type: data.type });
+          }
       }
     } catch (error) {
       this.logger.error('Error handling WebSocket message', error, { clientId });
     }
   }
 
+  /**
+   * Register a handler for a client command message type
+   * The handler's result (or error) is sent back as <type>_result
+   */
+  registerCommandHandler(type, handler) {
+    this.commandHandlers.set(type, handler);
+    this.logger.debug(`WebSocket command handler registered: ${type}`);
+  }
+
+  /**
+   * Run a registered command handler and reply to the client
+   */
+  async handleCommand(clientId, data) {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+
+    const handler = this.commandHandlers.get(data.type);
+
+    try {
+      const result = await handler(client, data);
+
+      this.sendToClient(clientId, {
+        type: `${data.type}_result`,
+        requestId: data.requestId,
+        success: true,
+        result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.warn('WebSocket command failed', {
+        clientId,
+        type: data.type,
+        error: error.message
+      });
+
+      this.sendToClient(clientId, {
+        type: `${data.type}_result`,
+        requestId: data.requestId,
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   /**
    * Handle client disconnection
    */
@@ -173,6 +227,10 @@ class WebSocketServer {
       });
 
       this.clients.delete(clientId);
+
+      if (client.metadata?.agentId) {
+        this.emit('agent:disconnected', { clientId, ...client.metadata });
+      }
     }
   }
 
@@ -242,11 +300,14 @@ class WebSocketServer {
             callerIdName: callData.callerIdName,
             callerId: callData.callerId,
             channel: callData.channel,
+            pbx: callData.pbx || null,
+            direction: callData.direction || null,
             timestamp: callData.timestamp || new Date().toISOString(),
             contact: callData.contact || null,
             account: callData.account || null,
             aiSummary: callData.aiSummary || null,
-            conversationId: callData.conversationId || null
+            conversationId: callData.conversationId || null,
+            ivrPath: callData.ivrPath || []
           },
           timestamp: new Date().toISOString()
         };
@@ -295,6 +356,91 @@ class WebSocketServer {
     return sentCount;
   }
 
+  /**
+   * Send combined agent state (phone + desk) to all clients
+   */
+  sendAgentState(agentState) {
+    const sentCount = this.broadcast({
+      type: 'agent_state',
+      agent: agentState,
+      timestamp: new Date().toISOString()
+    });
+
+    this.logger.debug('Agent state sent', {
+      recipients: sentCount,
+      extension: agentState.extension,
+      phoneState: agentState.phone?.state
+    });
+
+    return sentCount;
+  }
+
+  /**
+   * Send queue state update to all clients (wallboards and agents)
+   */
+  sendQueueUpdate(queueData) {
+    const sentCount = this.broadcast({
+      type: 'queue_update',
+      queue: queueData,
+      timestamp: new Date().toISOString()
+    });
+
+    this.logger.debug('Queue update sent', {
+      recipients: sentCount,
+      queue: queueData.name,
+      waiting: queueData.waiting
+    });
+
+    return sentCount;
+  }
+
+  /**
+   * Broadcast a missed or abandoned call to all clients
+   */
+  sendMissedCall(missedCall) {
+    const sentCount = this.broadcast({
+      type: 'missed_call',
+      call: missedCall,
+      timestamp: new Date().toISOString()
+    });
+
+    this.logger.logWSEvent('missed_call_sent', {
+      recipients: sentCount,
+      linkedId: missedCall.linkedId,
+      reason: missedCall.reason
+    });
+
+    return sentCount;
+  }
+
+  /**
+   * Send a voicemail notification to the agents owning the mailbox
+   */
+  sendVoicemail(extensions, voicemail) {
+    let sentCount = 0;
+
+    this.clients.forEach((client, clientId) => {
+      if (!extensions.includes(client.metadata?.extension)) {
+        return;
+      }
+
+      if (this.sendToClient(clientId, {
+        type: 'voicemail',
+        voicemail,
+        timestamp: new Date().toISOString()
+      })) {
+        sentCount++;
+      }
+    });
+
+    this.logger.logWSEvent('voicemail_sent', {
+      recipients: sentCount,
+      mailbox: voicemail.mailbox
+    });
+
+    return sentCount;
+  }
+
   /**
    * Start ping interval to keep connections alive
    */
@@ -305,7 +451,7 @@ class WebSocketServer {
           // Client didn't respond to last ping, terminate
           this.logger.warn('Client did not respond to ping, terminating', { clientId });
           client.ws.terminate();
-          this.clients.delete(clientId);
+          this.handleDisconnection(clientId, 1006, 'Ping timeout');
           return;
         }
 
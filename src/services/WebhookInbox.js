@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Create an error carrying an HTTP status for the API layer
+ */
+function createError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Webhook Inbox - durable store of verified webhook events
+ *
+ * Every event is written to disk before the webhook is acknowledged and is then
+ * processed asynchronously, in order of arrival. Failed events are retried with
+ * exponential backoff and end up "failed" after maxAttempts, where they stay
+ * until replayed. Events are deduplicated by type and conversation_id, so a
+ * webhook that ElevenLabs delivers twice is processed once. A processor that
+ * cannot handle an event yet throws an error with `deferred` set: the event stays
+ * pending without using an attempt and is tried again after deferDelay, or as
+ * soon as retryNow() is called for it.
+ *
+ * Layout of the directory:
+ *   inbox.jsonl        one line per state change of an event, the last one wins
+ *   payloads/<id>.json the event as received
+ * The index is rewritten without superseded lines by compact(), which also drops
+ * processed events older than retentionDays together with their payloads.
+ */
+class WebhookInbox {
+  constructor(config = {}, logger) {
+    this.logger = logger;
+    this.directory = path.resolve(config.directory || './data/webhook-inbox');
+    this.indexFile = path.join(this.directory, 'inbox.jsonl');
+    this.payloadDirectory = path.join(this.directory, 'payloads');
+    this.maxAttempts = config.maxAttempts || 5;
+    this.retryDelay = (config.retryDelay || 30) * 1000;
+    this.deferDelay = (config.deferDelay || 60) * 1000;
+    this.retention = (config.retentionDays || 7) * 24 * 60 * 60 * 1000;
+
+    this.entries = new Map();
+    this.keys = new Map();
+    this.processor = null;
+    this.timer = null;
+    this.draining = null;
+    this.stopped = false;
+
+    // Index writes are serialized so compaction never races an append
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Load the inbox from disk; events interrupted while processing are retried
+   */
+  async open() {
+    await fs.promises.mkdir(this.payloadDirectory, { recursive: true });
+
+    let content = '';
+    try {
+      content = await fs.promises.readFile(this.indexFile, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        const entry = JSON.parse(line);
+        this.entries.set(entry.id, entry);
+        this.keys.set(entry.key, entry.id);
+      } catch (error) {
+        // A line cut short by a crash; the state before it is kept
+        this.logger.warn('Skipping unreadable webhook inbox line', { file: this.indexFile });
+      }
+    }
+
+    for (const entry of this.entries.values()) {
+      if (entry.status === 'processing') {
+        entry.status = 'pending';
+      }
+    }
+
+    await this.compact();
+
+    this.logger.info('Webhook inbox opened', {
+      directory: this.directory,
+      events: this.entries.size,
+      ...this.getStats()
+    });
+  }
+
+  /**
+   * Start processing events with processor(event), which throws to fail an attempt
+   */
+  start(processor) {
+    this.processor = processor;
+    this.stopped = false;
+    this.schedule(0);
+  }
+
+  /**
+   * Stop processing; resolves when the event being processed is done
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    await this.draining;
+  }
+
+  /**
+   * Store a verified event; resolves once it is on disk
+   * Returns the id of the stored event, or of the earlier one for a duplicate
+   */
+  async receive(event, rawBody) {
+    const conversationId = event.data?.conversation_id || null;
+    const key = `${event.type}:${conversationId || crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+    const existingId = this.keys.get(key);
+
+    if (existingId) {
+      this.logger.info('Duplicate webhook event ignored', {
+        id: existingId,
+        eventType: event.type,
+        conversationId,
+        status: this.entries.get(existingId)?.status || 'storing'
+      });
+      return { id: existingId, duplicate: true };
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      id: uuidv4(),
+      key,
+      type: event.type,
+      conversationId,
+      status: 'pending',
+      attempts: 0,
+      receivedAt: now,
+      updatedAt: now,
+      nextAttemptAt: now,
+      lastError: null
+    };
+
+    // Claim the key first so a concurrent duplicate is not stored twice
+    this.keys.set(key, entry.id);
+
+    try {
+      const file = this.payloadFile(entry.id);
+      await fs.promises.writeFile(`${file}.tmp`, rawBody);
+      await fs.promises.rename(`${file}.tmp`, file);
+      await this.append(entry);
+    } catch (error) {
+      this.keys.delete(key);
+      throw error;
+    }
+
+    this.entries.set(entry.id, entry);
+    this.schedule(0);
+
+    return { id: entry.id, duplicate: false };
+  }
+
+  /**
+   * Events, newest first, optionally filtered by status and type
+   */
+  list({ status, type, limit = 50 } = {}) {
+    return Array.from(this.entries.values())
+      .filter(entry => (!status || entry.status === status) && (!type || entry.type === type))
+      .reverse()
+      .slice(0, limit)
+      .map(entry => ({ ...entry }));
+  }
+
+  /**
+   * An event with its payload; base64 audio is left out unless includeAudio is set
+   */
+  async get(id, { includeAudio = false } = {}) {
+    const entry = this.entries.get(id);
+
+    if (!entry) {
+      throw createError(`Unknown webhook event: ${id}`, 404);
+    }
+
+    const payload = await this.readPayload(entry);
+
+    if (payload?.data?.full_audio && !includeAudio) {
+      payload.data.full_audio = `<${payload.data.full_audio.length} base64 characters>`;
+    }
+
+    return { ...entry, payload };
+  }
+
+  /**
+   * Queue a failed event for processing again
+   */
+  async replay(id) {
+    const entry = this.entries.get(id);
+
+    if (!entry) {
+      throw createError(`Unknown webhook event: ${id}`, 404);
+    }
+
+    if (entry.status !== 'failed') {
+      throw createError(`Only failed events can be replayed (event is ${entry.status})`, 409);
+    }
+
+    await this.update(entry, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString()
+    });
+
+    this.logger.info('Webhook event queued for replay', { id, eventType: entry.type, conversationId: entry.conversationId });
+    this.schedule(0);
+
+    return { ...entry };
+  }
+
+  /**
+   * Run a pending event of a type and conversation now instead of at its next attempt
+   */
+  async retryNow(type, conversationId) {
+    const entry = this.entries.get(this.keys.get(`${type}:${conversationId}`));
+
+    if (!entry || entry.status !== 'pending') {
+      return false;
+    }
+
+    await this.update(entry, { nextAttemptAt: new Date().toISOString() });
+    this.schedule(0);
+
+    return true;
+  }
+
+  /**
+   * Counts of events by status
+   */
+  getStats() {
+    const stats = { pending: 0, processing: 0, processed: 0, failed: 0 };
+    for (const entry of this.entries.values()) {
+      stats[entry.status]++;
+    }
+    return stats;
+  }
+
+  /**
+   * Rewrite the index with one line per event, dropping expired processed events
+   */
+  async compact() {
+    const cutoff = Date.now() - this.retention;
+    const expired = Array.from(this.entries.values())
+      .filter(entry => entry.status === 'processed' && new Date(entry.updatedAt).getTime() < cutoff);
+
+    for (const entry of expired) {
+      this.entries.delete(entry.id);
+      this.keys.delete(entry.key);
+    }
+
+    await this.enqueueWrite(async () => {
+      const lines = Array.from(this.entries.values()).map(entry => `${JSON.stringify(entry)}\n`).join('');
+      await fs.promises.writeFile(`${this.indexFile}.tmp`, lines);
+      await fs.promises.rename(`${this.indexFile}.tmp`, this.indexFile);
+    });
+
+    await Promise.all(expired.map(entry => fs.promises.unlink(this.payloadFile(entry.id)).catch(() => {})));
+
+    if (expired.length > 0) {
+      this.logger.debug('Webhook inbox compacted', { removed: expired.length, events: this.entries.size });
+    }
+  }
+
+  /**
+   * Run the processing loop after delay ms
+   */
+  schedule(delay) {
+    if (this.stopped || !this.processor) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.drain(), delay);
+    this.timer.unref();
+  }
+
+  /**
+   * Process due events one at a time, then wait for the next retry
+   */
+  async drain() {
+    if (this.draining) {
+      return;
+    }
+
+    this.draining = (async () => {
+      let entry;
+      while (!this.stopped && (entry = this.nextDue())) {
+        await this.process(entry);
+      }
+    })();
+
+    try {
+      await this.draining;
+    } catch (error) {
+      this.logger.error('Webhook inbox processing stopped', error);
+    } finally {
+      this.draining = null;
+    }
+
+    const next = Array.from(this.entries.values())
+      .filter(entry => entry.status === 'pending')
+      .reduce((earliest, entry) => Math.min(earliest, new Date(entry.nextAttemptAt).getTime()), Infinity);
+
+    if (next !== Infinity) {
+      this.schedule(Math.max(next - Date.now(), 0));
+    }
+  }
+
+  /**
+   * The oldest pending event that is due
+   */
+  nextDue() {
+    const now = Date.now();
+    for (const entry of this.entries.values()) {
+      if (entry.status === 'pending' && new Date(entry.nextAttemptAt).getTime() <= now) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  async process(entry) {
+    await this.update(entry, { status: 'processing', attempts: entry.attempts + 1 });
+
+    try {
+      const payload = await this.readPayload(entry);
+      if (!payload) {
+        throw new Error('Payload file is missing');
+      }
+
+      await this.processor(payload);
+      await this.update(entry, { status: 'processed', lastError: null });
+    } catch (error) {
+      if (error.deferred) {
+        await this.update(entry, {
+          status: 'pending',
+          attempts: entry.attempts - 1,
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + this.deferDelay).toISOString()
+        });
+        this.logger.debug('Webhook event deferred', {
+          id: entry.id,
+          eventType: entry.type,
+          conversationId: entry.conversationId,
+          reason: error.message
+        });
+        return;
+      }
+
+      if (entry.attempts >= this.maxAttempts) {
+        await this.update(entry, { status: 'failed', lastError: error.message });
+        this.logger.error('Webhook event failed', error, {
+          id: entry.id,
+          eventType: entry.type,
+          conversationId: entry.conversationId,
+          attempts: entry.attempts
+        });
+        return;
+      }
+
+      const delay = this.retryDelay * 2 ** (entry.attempts - 1);
+      await this.update(entry, {
+        status: 'pending',
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString()
+      });
+      this.logger.warn('Webhook event processing failed, will retry', {
+        id: entry.id,
+        eventType: entry.type,
+        conversationId: entry.conversationId,
+        attempts: entry.attempts,
+        retryIn: `${delay / 1000}s`,
+        error: error.message
+      });
+    }
+  }
+
+  async update(entry, changes) {
+    Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+    await this.append(entry);
+  }
+
+  append(entry) {
+    return this.enqueueWrite(() => fs.promises.appendFile(this.indexFile, `${JSON.stringify(entry)}\n`));
+  }
+
+  enqueueWrite(write) {
+    const result = this.writes.then(write);
+    this.writes = result.catch(() => {});
+    return result;
+  }
+
+  async readPayload(entry) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.payloadFile(entry.id), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  payloadFile(id) {
+    return path.join(this.payloadDirectory, `${id}.json`);
+  }
+}
+
+module.exports = WebhookInbox;
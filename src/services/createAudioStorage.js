@@ -0,0 +1,32 @@
+const path = require('path');
+const AudioStorage = require('./AudioStorage');
+const LocalAudioStorage = require('./LocalAudioStorage');
+
+// Built-in audio storage backends by cti.aiAudio.storage
+const BACKENDS = {
+  local: LocalAudioStorage
+};
+
+/**
+ * Create the audio storage selected by the cti.aiAudio config section
+ * storage is the name of a built-in backend or the path of a module exporting
+ * a class that extends AudioStorage, e.g. "./storage/S3AudioStorage.js"
+ */
+function createAudioStorage(config = {}, logger) {
+  const storage = config.storage || 'local';
+  const Backend = BACKENDS[storage] || (/[/\\]/.test(storage) ? require(path.resolve(storage)) : null);
+
+  if (!Backend) {
+    throw new Error(`Unknown audio storage "${storage}" (expected ${Object.keys(BACKENDS).join(', ')} or a module path)`);
+  }
+
+  const backend = new Backend(config, logger);
+
+  if (!(backend instanceof AudioStorage)) {
+    throw new Error(`Audio storage "${storage}" does not extend AudioStorage`);
+  }
+
+  return backend;
+}
+
+module.exports = createAudioStorage;
@@ -0,0 +1,41 @@
+const FreePBXClient = require('./FreePBXClient');
+const AriClient = require('./AriClient');
+const PBXCluster = require('./PBXCluster');
+
+// PBX adapter backends by freepbx.type
+const BACKENDS = {
+  ami: FreePBXClient,
+  ari: AriClient
+};
+
+/**
+ * Create the adapter for a single PBX
+ */
+function createBackend(type, config, logger) {
+  const Backend = BACKENDS[type || 'ami'];
+
+  if (!Backend) {
+    throw new Error(`Unknown PBX backend "${type}" (expected ${Object.keys(BACKENDS).join(' or ')})`);
+  }
+
+  return new Backend(config, logger);
+}
+
+/**
+ * Create the PBX adapter selected by the freepbx config section
+ * A list of PBXes (freepbx.pbxes) is combined into a cluster with PBX-qualified ids;
+ * otherwise the single freepbx.ami or freepbx.ari connection is used
+ */
+function createPBXAdapter(config, logger) {
+  if (config.pbxes?.length) {
+    return new PBXCluster(
+      config.pbxes.map(pbx => createBackend(pbx.type, { ...pbx, namespaceIds: true }, logger)),
+      logger
+    );
+  }
+
+  const type = config.type || 'ami';
+  return createBackend(type, { ...config[type], directions: config.directions }, logger);
+}
+
+module.exports = createPBXAdapter;
@@ -2,6 +2,9 @@ const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
 
+// Listen addresses only reachable from the middleware host itself
+const LOOPBACK_HOSTS = /^(127\.\d+\.\d+\.\d+|::1|localhost)$/;
+
 class Config {
   constructor() {
     // Load config.json
@@ -22,20 +25,155 @@ class Config {
         apiPrefix: process.env.API_PREFIX || fileConfig.server?.apiPrefix || '/cti-middleware'
       },
       freepbx: {
+        // PBX adapter backend: 'ami' (Asterisk Manager Interface) or 'ari' (Asterisk REST Interface)
+        type: (process.env.PBX_TYPE || fileConfig.freepbx?.type || 'ami').toLowerCase(),
         ami: {
           host: process.env.AMI_HOST || fileConfig.freepbx?.ami?.host || 'localhost',
           port: parseInt(process.env.AMI_PORT) || fileConfig.freepbx?.ami?.port || 5038,
           username: process.env.AMI_USERNAME || fileConfig.freepbx?.ami?.username,
           secret: process.env.AMI_SECRET || fileConfig.freepbx?.ami?.secret,
           reconnect: fileConfig.freepbx?.ami?.reconnect !== false,
-          reconnectAfter: fileConfig.freepbx?.ami?.reconnectAfter || 3000
+          reconnectAfter: fileConfig.freepbx?.ami?.reconnectAfter || 3000,
+          reconnectMaxDelay: fileConfig.freepbx?.ami?.reconnectMaxDelay || 60000,
+          connectTimeout: fileConfig.freepbx?.ami?.connectTimeout || 10000,
+          actionTimeout: fileConfig.freepbx?.ami?.actionTimeout || 10000,
+          heartbeatInterval: fileConfig.freepbx?.ami?.heartbeatInterval ?? 15000,
+          heartbeatTimeout: fileConfig.freepbx?.ami?.heartbeatTimeout || 5000,
+          heartbeatMaxMissed: fileConfig.freepbx?.ami?.heartbeatMaxMissed || 2,
+          originateContext: process.env.AMI_ORIGINATE_CONTEXT || fileConfig.freepbx?.ami?.originateContext || 'from-internal',
+          originateTimeout: fileConfig.freepbx?.ami?.originateTimeout || 30000,
+          holdContext: fileConfig.freepbx?.ami?.holdContext || 'cti-hold'
+        },
+        ari: {
+          url: process.env.ARI_URL || fileConfig.freepbx?.ari?.url || 'http://localhost:8088',
+          username: process.env.ARI_USERNAME || fileConfig.freepbx?.ari?.username,
+          password: process.env.ARI_PASSWORD || fileConfig.freepbx?.ari?.password,
+          app: process.env.ARI_APP || fileConfig.freepbx?.ari?.app || 'cti-middleware',
+          reconnect: fileConfig.freepbx?.ari?.reconnect !== false,
+          reconnectAfter: fileConfig.freepbx?.ari?.reconnectAfter || 3000,
+          reconnectMaxDelay: fileConfig.freepbx?.ari?.reconnectMaxDelay || 60000,
+          connectTimeout: fileConfig.freepbx?.ari?.connectTimeout || 10000,
+          actionTimeout: fileConfig.freepbx?.ari?.actionTimeout || 10000,
+          heartbeatInterval: fileConfig.freepbx?.ari?.heartbeatInterval ?? 15000,
+          heartbeatMaxMissed: fileConfig.freepbx?.ari?.heartbeatMaxMissed || 2,
+          originateContext: process.env.ARI_ORIGINATE_CONTEXT || fileConfig.freepbx?.ari?.originateContext || 'from-internal',
+          originateTimeout: fileConfig.freepbx?.ari?.originateTimeout || 30000,
+          recordingDirectory: fileConfig.freepbx?.ari?.recordingDirectory || '/var/spool/asterisk/recording'
+        },
+        // Dialplan context -> call direction rules for the single PBX above
+        directions: fileConfig.freepbx?.directions || {},
+        // Several PBXes, each { name, type, credentials, directions }; replaces ami/ari above when set
+        pbxes: (fileConfig.freepbx?.pbxes || []).map(pbx => ({
+          type: 'ami',
+          port: pbx.type === 'ari' ? undefined : 5038,
+          originateContext: 'from-internal',
+          originateTimeout: 30000,
+          holdContext: 'cti-hold',
+          directions: {},
+          ...pbx,
+          type: (pbx.type || 'ami').toLowerCase()
+        }))
+      },
+      cti: {
+        recordings: {
+          format: fileConfig.cti?.recordings?.format || 'wav',
+          legacyMonitor: fileConfig.cti?.recordings?.legacyMonitor === true,
+          attachToCrm: fileConfig.cti?.recordings?.attachToCrm !== false,
+          uploadToCrm: fileConfig.cti?.recordings?.uploadToCrm === true,
+          pbxDirectory: fileConfig.cti?.recordings?.pbxDirectory || '/var/spool/asterisk/monitor',
+          localDirectory: process.env.RECORDINGS_LOCAL_DIR || fileConfig.cti?.recordings?.localDirectory || '',
+          maxUploadSize: fileConfig.cti?.recordings?.maxUploadSize || 20971520
+        },
+        missedCalls: {
+          createCallbackTasks: fileConfig.cti?.missedCalls?.createCallbackTasks !== false,
+          callbackDueMinutes: fileConfig.cti?.missedCalls?.callbackDueMinutes || 60,
+          queueOwners: fileConfig.cti?.missedCalls?.queueOwners || {},
+          agentUsers: fileConfig.cti?.missedCalls?.agentUsers || {},
+          defaultAssignedUserId: fileConfig.cti?.missedCalls?.defaultAssignedUserId || ''
+        },
+        accounting: {
+          enabled: fileConfig.cti?.accounting?.enabled !== false,
+          waitTimeout: fileConfig.cti?.accounting?.waitTimeout || 5000,
+          settleTime: fileConfig.cti?.accounting?.settleTime || 250
+        },
+        classification: {
+          internalPattern: fileConfig.cti?.classification?.internalPattern || '^\\d{2,5}$',
+          dids: fileConfig.cti?.classification?.dids || [],
+          trunkTechnologies: fileConfig.cti?.classification?.trunkTechnologies || ['DAHDI'],
+          skipInternal: fileConfig.cti?.classification?.skipInternal === true,
+          skipLocalChannels: fileConfig.cti?.classification?.skipLocalChannels === true
+        },
+        routing: {
+          tierField: fileConfig.cti?.routing?.tierField || 'account_type',
+          openCaseOwner: fileConfig.cti?.routing?.openCaseOwner !== false,
+          userExtensions: fileConfig.cti?.routing?.userExtensions || {}
+        },
+        callerId: {
+          timeout: fileConfig.cti?.callerId?.timeout || 2000,
+          cacheTtl: fileConfig.cti?.callerId?.cacheTtl || 3600,
+          negativeCacheTtl: fileConfig.cti?.callerId?.negativeCacheTtl || 300,
+          maxCacheEntries: fileConfig.cti?.callerId?.maxCacheEntries || 5000
+        },
+        aiCorrelation: {
+          variables: fileConfig.cti?.aiCorrelation?.variables || ['ELEVENLABS_CALL_SID'],
+          windowSeconds: fileConfig.cti?.aiCorrelation?.windowSeconds || 120,
+          minConfidence: fileConfig.cti?.aiCorrelation?.minConfidence ?? 0.5,
+          matchDigits: fileConfig.cti?.aiCorrelation?.matchDigits || 9
+        },
+        personalization: {
+          timeout: fileConfig.cti?.personalization?.timeout || 2500,
+          maxOpenCases: fileConfig.cti?.personalization?.maxOpenCases || 3
+        },
+        agentTools: {
+          enabled: fileConfig.cti?.agentTools?.enabled || ['lookup_customer', 'get_case_status'],
+          assignedUserId: fileConfig.cti?.agentTools?.assignedUserId || null,
+          casePriority: fileConfig.cti?.agentTools?.casePriority || 'P2',
+          meetingDuration: fileConfig.cti?.agentTools?.meetingDuration || 30
+        },
+        aiAudio: {
+          storage: fileConfig.cti?.aiAudio?.storage || 'local',
+          directory: process.env.AI_AUDIO_DIR || fileConfig.cti?.aiAudio?.directory || './recordings/elevenlabs',
+          uploadToCrm: fileConfig.cti?.aiAudio?.uploadToCrm === true,
+          maxUploadSize: fileConfig.cti?.aiAudio?.maxUploadSize || 20971520
+        },
+        ivr: {
+          menus: fileConfig.cti?.ivr?.menus || {},
+          variables: fileConfig.cti?.ivr?.variables || []
+        },
+        voicemail: {
+          mapExtensions: fileConfig.cti?.voicemail?.mapExtensions !== false,
+          callerWindow: fileConfig.cti?.voicemail?.callerWindow || 600,
+          mailboxes: fileConfig.cti?.voicemail?.mailboxes || {}
         }
       },
+      agi: {
+        enabled: process.env.AGI_ENABLED ? process.env.AGI_ENABLED === 'true' : fileConfig.agi?.enabled === true,
+        host: process.env.AGI_HOST || fileConfig.agi?.host || '127.0.0.1',
+        port: parseInt(process.env.AGI_PORT) || fileConfig.agi?.port || 4573,
+        scriptTimeout: fileConfig.agi?.scriptTimeout || 1500,
+        sessionTimeout: fileConfig.agi?.sessionTimeout || 5000,
+        allowedHosts: process.env.AGI_ALLOWED_HOSTS
+          ? process.env.AGI_ALLOWED_HOSTS.split(',').map(host => host.trim()).filter(Boolean)
+          : fileConfig.agi?.allowedHosts || []
+      },
       elevenlabs: {
         webhookSecret: process.env.ELEVENLABS_WEBHOOK_SECRET || '',
         webhookPath: fileConfig.elevenlabs?.webhookPath || '/webhook/elevenlabs',
         signatureHeader: fileConfig.elevenlabs?.signatureHeader || 'elevenlabs-signature',
         timestampTolerance: fileConfig.elevenlabs?.timestampTolerance || 1800,
+        initiationPath: fileConfig.elevenlabs?.initiationPath || '/webhook/elevenlabs/initiation',
+        initiationSecret: process.env.ELEVENLABS_INITIATION_SECRET || '',
+        toolsPath: fileConfig.elevenlabs?.toolsPath || '/webhook/elevenlabs/tools',
+        toolsSecret: process.env.ELEVENLABS_TOOLS_SECRET || '',
+        plugins: fileConfig.elevenlabs?.plugins || [],
+        inbox: {
+          enabled: fileConfig.elevenlabs?.inbox?.enabled !== false,
+          directory: process.env.WEBHOOK_INBOX_DIR || fileConfig.elevenlabs?.inbox?.directory || './data/webhook-inbox',
+          maxAttempts: fileConfig.elevenlabs?.inbox?.maxAttempts || 5,
+          retryDelay: fileConfig.elevenlabs?.inbox?.retryDelay || 30,
+          deferDelay: fileConfig.elevenlabs?.inbox?.deferDelay || 60,
+          retentionDays: fileConfig.elevenlabs?.inbox?.retentionDays || 7
+        },
         apiKey: process.env.ELEVENLABS_API_KEY || ''
       },
       suitecrm: {
@@ -47,7 +185,8 @@ class Config {
         password: process.env.SUITECRM_PASSWORD || '',
         timeout: fileConfig.suitecrm?.timeout || 30000,
         retryAttempts: fileConfig.suitecrm?.retryAttempts || 3,
-        retryDelay: fileConfig.suitecrm?.retryDelay || 1000
+        retryDelay: fileConfig.suitecrm?.retryDelay || 1000,
+        callLogContactLink: fileConfig.suitecrm?.callLogContactLink || 'cll_calllog_contacts'
       },
       websocket: {
         pingInterval: fileConfig.websocket?.pingInterval || 30000,
@@ -61,6 +200,7 @@ class Config {
       },
       security: {
         apiKey: process.env.API_KEY || '',
+        cidLookupKey: process.env.CID_LOOKUP_KEY || fileConfig.security?.cidLookupKey || '',
         allowedOrigins: process.env.ALLOWED_ORIGINS?.split(',') || fileConfig.security?.allowedOrigins || [],
         rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || fileConfig.security?.rateLimitWindowMs || 900000,
         rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || fileConfig.security?.rateLimitMaxRequests || 100,
@@ -75,15 +215,74 @@ class Config {
     const warnings = [];
     const errors = [];
 
-    // Validate FreePBX AMI config (optional - warn if not configured)
-    if (!this.config.freepbx.ami.username || !this.config.freepbx.ami.secret) {
-      warnings.push('FreePBX AMI credentials not configured (AMI_USERNAME, AMI_SECRET) - call tracking will be disabled');
+    // Validate PBX connection config (optional - warn if not configured)
+    const pbxNames = new Set();
+    this.config.freepbx.pbxes.forEach((pbx, index) => {
+      if (!pbx.name || !/^[\w-]+$/.test(pbx.name) || pbxNames.has(pbx.name)) {
+        errors.push(`freepbx.pbxes[${index}] needs a unique name of letters, digits, - and _`);
+      }
+      pbxNames.add(pbx.name);
+
+      if (!['ami', 'ari'].includes(pbx.type)) {
+        errors.push(`freepbx.pbxes[${index}] has unknown type "${pbx.type}" - expected ami or ari`);
+      } else if (!pbx.username || !(pbx.type === 'ari' ? pbx.password : pbx.secret)) {
+        warnings.push(`PBX "${pbx.name}" credentials not configured - calls from it will not be tracked`);
+      }
+    });
+
+    // The single PBX connection is only used without a PBX list
+    if (this.config.freepbx.pbxes.length === 0) {
+      if (!['ami', 'ari'].includes(this.config.freepbx.type)) {
+        errors.push(`Unknown PBX_TYPE "${this.config.freepbx.type}" - expected ami or ari`);
+      } else if (this.config.freepbx.type === 'ari') {
+        if (!this.config.freepbx.ari.username || !this.config.freepbx.ari.password) {
+          warnings.push('Asterisk ARI credentials not configured (ARI_USERNAME, ARI_PASSWORD) - call tracking will be disabled');
+        }
+      } else if (!this.config.freepbx.ami.username || !this.config.freepbx.ami.secret) {
+        warnings.push('FreePBX AMI credentials not configured (AMI_USERNAME, AMI_SECRET) - call tracking will be disabled');
+      }
+    }
+
+    // Validate the extension number pattern of the call classifier
+    try {
+      new RegExp(this.config.cti.classification.internalPattern);
+    } catch (error) {
+      errors.push(`cti.classification.internalPattern is not a valid regular expression: ${error.message}`);
+    }
+
+    const minConfidence = this.config.cti.aiCorrelation.minConfidence;
+    if (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1) {
+      errors.push('cti.aiCorrelation.minConfidence must be a number between 0 and 1');
+    }
+
+    if (!Array.isArray(this.config.cti.agentTools.enabled)) {
+      errors.push('cti.agentTools.enabled must be an array of tool names');
+    }
+
+    if (!Array.isArray(this.config.elevenlabs.plugins)) {
+      errors.push('elevenlabs.plugins must be an array of module paths');
+    }
+
+    // FastAGI has no authentication of its own, so other hosts must be listed
+    if (this.config.agi.enabled && this.config.agi.allowedHosts.length === 0 && !LOOPBACK_HOSTS.test(this.config.agi.host)) {
+      errors.push(`FastAGI server would accept sessions from any host on ${this.config.agi.host} - list the PBX addresses in agi.allowedHosts (AGI_ALLOWED_HOSTS) or listen on 127.0.0.1`);
+    }
+
+    // The lookup key travels in PBX lookup URLs, so it must not open the API
+    if (this.config.security.cidLookupKey && this.config.security.cidLookupKey === this.config.security.apiKey) {
+      errors.push('CID_LOOKUP_KEY must differ from API_KEY - it is sent in caller ID lookup URLs');
     }
 
     // Validate ElevenLabs config (optional)
     if (!this.config.elevenlabs.webhookSecret) {
       warnings.push('ELEVENLABS_WEBHOOK_SECRET not set - webhook signature verification will be skipped');
     }
+    if (!this.config.elevenlabs.initiationSecret) {
+      warnings.push('ELEVENLABS_INITIATION_SECRET not set - conversation initiation requests will be refused');
+    }
+    if (!this.config.elevenlabs.toolsSecret) {
+      warnings.push('ELEVENLABS_TOOLS_SECRET not set - ElevenLabs server tool requests will be refused');
+    }
 
     // Validate SuiteCRM config (optional - warn if not configured)
     if (!this.config.suitecrm.baseUrl) {
@@ -100,7 +299,7 @@ class Config {
       console.warn('');
     }
 
-    // Only fail on critical errors (none currently - all services are optional)
+    // Only fail on critical errors (invalid PBX configuration) - all services are optional
     if (errors.length > 0) {
       throw new Error(`Configuration validation failed:\n${errors.join('\n')}`);
     }
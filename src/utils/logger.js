@@ -119,6 +119,11 @@ class Logger {
     });
   }
 
+  // Log agent-initiated actions for audit purposes
+  logAudit(action, data = {}) {
+    this.info(`Audit: ${action}`, { type: 'audit', action, ...data });
+  }
+
   // Log WebSocket events
   logWSEvent(event, data = {}) {
     this.info(`WebSocket: ${event}`, { type: 'websocket', event, data });
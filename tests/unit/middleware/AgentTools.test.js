@@ -0,0 +1,65 @@
+const AgentTools = require('../../../src/middleware/AgentTools');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), logAudit: jest.fn() };
+
+// SuiteCRMClient stand-in with one contact on account acc-1
+function fakeSuiteCRM() {
+  return {
+    accessToken: 'token',
+    getContact: jest.fn().mockResolvedValue({ data: { id: 'contact-1', attributes: { account_id: 'acc-1' } } }),
+    searchContactByPhone: jest.fn().mockResolvedValue({ success: true, found: true, data: [{ id: 'contact-1', attributes: { account_id: 'acc-1' } }] }),
+    searchAccountByPhone: jest.fn().mockResolvedValue({ success: true, found: false, data: [] }),
+    createCase: jest.fn().mockResolvedValue({ id: 'case-1', data: { attributes: { case_number: '1001' } } }),
+    linkRecordToContact: jest.fn().mockResolvedValue({})
+  };
+}
+
+describe('AgentTools', () => {
+  let suitecrm;
+  let tools;
+
+  beforeEach(() => {
+    suitecrm = fakeSuiteCRM();
+    tools = new AgentTools(suitecrm, logger, { enabled: ['lookup_customer', 'create_case'] });
+  });
+
+  it('refuses tools while SuiteCRM is not authenticated', async () => {
+    suitecrm.accessToken = null;
+
+    await expect(tools.runTool('lookup_customer', { phone_number: '5550100' }))
+      .rejects.toMatchObject({ status: 503, message: 'SuiteCRM is not available' });
+    expect(suitecrm.searchContactByPhone).not.toHaveBeenCalled();
+  });
+
+  it('answers unknown and disabled tools with 404', async () => {
+    await expect(tools.runTool('drop_database', {})).rejects.toMatchObject({ status: 404 });
+    await expect(tools.runTool('book_meeting', {})).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('refuses contact ids that do not look like SuiteCRM ids', async () => {
+    for (const contactId of ['../Accounts/acc-1', 'contact 1', 'a'.repeat(37)]) {
+      await expect(tools.runTool('create_case', { phone_number: '5550100', subject: 'Broken', contact_id: contactId }))
+        .rejects.toMatchObject({ status: 400, message: expect.stringMatching(/contact_id/) });
+    }
+    expect(suitecrm.getContact).not.toHaveBeenCalled();
+    expect(suitecrm.createCase).not.toHaveBeenCalled();
+  });
+
+  it('reports missing, unknown and mistyped parameters', async () => {
+    await expect(tools.runTool('create_case', { phone_number: 5550100, priority: 'P9', extra: true }))
+      .rejects.toMatchObject({
+        status: 400,
+        message: 'Invalid parameters: subject is required; phone_number must be of type string; priority must be one of P1, P2, P3; extra is not a parameter'
+      });
+  });
+
+  it('creates a case for the contact\'s account and audits it', async () => {
+    const result = await tools.runTool('create_case', { phone_number: '5550100', subject: 'Broken', contact_id: 'contact-1' });
+
+    expect(result).toEqual({ success: true, case_id: 'case-1', case_number: '1001' });
+    expect(suitecrm.getContact).toHaveBeenCalledWith('contact-1');
+    expect(suitecrm.createCase).toHaveBeenCalledWith(expect.objectContaining({ name: 'Broken', accountId: 'acc-1', priority: 'P2' }));
+    expect(suitecrm.linkRecordToContact).toHaveBeenCalledWith('Cases', 'case-1', 'contact-1');
+    expect(logger.logAudit).toHaveBeenCalledWith('agent_tool', expect.objectContaining({ tool: 'create_case', phoneNumber: '5550100' }));
+  });
+});
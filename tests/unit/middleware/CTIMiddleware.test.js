@@ -0,0 +1,235 @@
+const EventEmitter = require('events');
+const CTIMiddleware = require('../../../src/middleware/CTIMiddleware');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), logAudit: jest.fn() };
+
+// PBX adapter stand-in: connected, no bridges, every action succeeds
+function fakePbx() {
+  const pbx = new EventEmitter();
+  Object.assign(pbx, {
+    protocol: 'AMI',
+    isConnected: () => true,
+    getPbx: () => null,
+    getPbxNames: () => [],
+    trackVariables: jest.fn(),
+    getActiveChannel: () => null,
+    getBridgeMembers: () => [],
+    getDirection: () => null,
+    holdChannel: jest.fn().mockResolvedValue({}),
+    unholdChannel: jest.fn().mockResolvedValue({})
+  });
+  return pbx;
+}
+
+function fakeWsServer() {
+  const wsServer = new EventEmitter();
+  Object.assign(wsServer, {
+    registerCommandHandler: jest.fn(),
+    sendCallUpdate: jest.fn(),
+    sendMissedCall: jest.fn()
+  });
+  return wsServer;
+}
+
+const channel = (uniqueId, name, extra = {}) => ({
+  uniqueId,
+  linkedId: '100.1',
+  channel: name,
+  callerIdNum: '5550100',
+  context: 'from-internal',
+  exten: '1001',
+  ...extra
+});
+
+describe('CTIMiddleware', () => {
+  let pbx;
+  let wsServer;
+  let suitecrm;
+  let middleware;
+
+  beforeEach(() => {
+    pbx = fakePbx();
+    wsServer = fakeWsServer();
+    // SuiteCRM not authenticated: no CRM records are written
+    suitecrm = { accessToken: null, createTask: jest.fn().mockResolvedValue({ id: 'task-1' }) };
+    middleware = new CTIMiddleware(pbx, new EventEmitter(), suitecrm, wsServer, logger, {
+      missedCalls: { queueOwners: { 400: 'user-queue' }, agentUsers: { 1001: 'user-1001' } }
+    });
+
+    // Caller on a trunk answered by extension 1001
+    middleware.callCorrelator.addLeg(channel('100.1', 'PJSIP/trunk-00000001'));
+    middleware.callCorrelator.addLeg(channel('100.2', 'PJSIP/1001-00000002', { extension: '1001' }));
+  });
+
+  describe('hold', () => {
+    const control = (action) => middleware.controlCall('100.1', action, { agentExtension: '1001' });
+
+    it('puts the other party on hold and takes it off hold again', async () => {
+      await control('hold');
+
+      expect(pbx.holdChannel).toHaveBeenCalledWith('PJSIP/1001-00000002', 'PJSIP/trunk-00000001');
+      expect(middleware.getActiveCall('100.1').hold).toMatchObject({
+        agentChannel: 'PJSIP/1001-00000002',
+        remoteChannel: 'PJSIP/trunk-00000001'
+      });
+
+      await control('unhold');
+
+      expect(pbx.unholdChannel).toHaveBeenCalledWith('PJSIP/1001-00000002', 'PJSIP/trunk-00000001');
+      expect(middleware.getActiveCall('100.1').hold).toBeNull();
+    });
+
+    it('refuses to hold twice or to unhold a call that is not on hold', async () => {
+      await expect(control('unhold')).rejects.toMatchObject({ status: 409, message: 'Call is not on hold' });
+
+      await control('hold');
+      await expect(control('hold')).rejects.toMatchObject({ status: 409, message: 'Call is already on hold' });
+      expect(pbx.holdChannel).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps the call off hold when the PBX action fails', async () => {
+      pbx.holdChannel.mockRejectedValueOnce(new Error('No such channel'));
+
+      await expect(control('hold')).rejects.toMatchObject({ status: 502 });
+      expect(middleware.getActiveCall('100.1').hold).toBeUndefined();
+    });
+
+    it('ends the hold when one of its channels hangs up', async () => {
+      middleware.callCorrelator.addLeg(channel('100.3', 'PJSIP/1002-00000003', { extension: '1002' }));
+      await control('hold');
+
+      await middleware.handleHangup({ uniqueId: '100.3' });
+      expect(middleware.getActiveCall('100.1').hold).not.toBeNull();
+
+      await middleware.handleHangup({ uniqueId: '100.1' });
+      expect(middleware.getActiveCall('100.1').hold).toBeNull();
+    });
+  });
+
+  describe('hangup', () => {
+    const hangups = () => wsServer.sendCallUpdate.mock.calls.filter(([update]) => update.type === 'hangup');
+
+    it('ends the call once the last leg hangs up', async () => {
+      await middleware.handleHangup({ uniqueId: '100.2' });
+      expect(middleware.getActiveCall('100.1').endTime).toBeUndefined();
+
+      await middleware.handleHangup({ uniqueId: '100.1', causeTxt: 'Normal Clearing' });
+
+      expect(middleware.getActiveCall('100.1')).toMatchObject({ hangupCause: 'Normal Clearing', events: expect.arrayContaining(['hangup']) });
+      expect(hangups()).toHaveLength(1);
+    });
+
+    it('ignores a repeated hangup of the last leg', async () => {
+      await middleware.handleHangup({ uniqueId: '100.2' });
+      await middleware.handleHangup({ uniqueId: '100.1', causeTxt: 'Normal Clearing' });
+      const { endTime } = middleware.getActiveCall('100.1');
+
+      await middleware.handleHangup({ uniqueId: '100.1', causeTxt: 'Unknown' });
+
+      expect(middleware.getActiveCall('100.1')).toMatchObject({ endTime, hangupCause: 'Normal Clearing' });
+      expect(middleware.getActiveCall('100.1').events.filter(event => event === 'hangup')).toHaveLength(1);
+      expect(hangups()).toHaveLength(1);
+    });
+  });
+
+  describe('missed calls', () => {
+    // Inbound call that rang extension 1001 until the caller's channel ended with the given cause
+    const unanswered = (cause = '19') => {
+      const call = middleware.getActiveCall('100.1');
+      middleware.callCorrelator.endLeg('100.2', { cause: '26' });
+      middleware.callCorrelator.endLeg('100.1', { cause });
+      return Object.assign(call, { direction: 'Inbound', endTime: new Date().toISOString() });
+    };
+
+    it('reports unanswered inbound calls with the reason and the agents that rang', () => {
+      expect(middleware.classifyMissedCall(unanswered('17'))).toEqual({
+        reason: 'busy',
+        queue: null,
+        holdTime: null,
+        intendedAgents: ['1001']
+      });
+    });
+
+    it('prefers abandoned and voicemail over the hangup cause', () => {
+      const call = unanswered();
+
+      call.sentToVoicemail = ['1001@default'];
+      expect(middleware.classifyMissedCall(call).reason).toBe('voicemail');
+
+      Object.assign(call, { queue: '400', abandoned: { holdTime: 42 } });
+      expect(middleware.classifyMissedCall(call)).toMatchObject({ reason: 'abandoned', queue: '400', holdTime: 42 });
+    });
+
+    it('does not count answered, outbound or internal calls', () => {
+      const call = unanswered();
+
+      expect(middleware.classifyMissedCall({ ...call, answeredTime: call.startTime })).toBeNull();
+      expect(middleware.classifyMissedCall({ ...call, direction: 'Outbound' })).toBeNull();
+      expect(middleware.classifyMissedCall({ ...call, direction: 'Internal' })).toBeNull();
+      expect(middleware.classifyMissedCall({ ...call, endedWhileDisconnected: true })).toBeNull();
+    });
+
+    it('creates a callback task for the agent that rang and broadcasts the missed call', async () => {
+      suitecrm.accessToken = 'token';
+      const call = unanswered();
+      call.contact = { id: 'contact-1' };
+      call.missed = middleware.classifyMissedCall(call);
+
+      await middleware.handleMissedCall(call);
+
+      expect(suitecrm.createTask).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'Call back 5550100',
+        priority: 'High',
+        parentType: 'Contacts',
+        parentId: 'contact-1',
+        contactId: 'contact-1',
+        assignedUserId: 'user-1001'
+      }));
+      expect(suitecrm.createTask.mock.calls[0][0].description).toContain('Missed call: no answer');
+      expect(wsServer.sendMissedCall).toHaveBeenCalledWith(expect.objectContaining({
+        linkedId: '100.1',
+        reason: 'no_answer',
+        intendedAgents: ['1001'],
+        crmTaskId: 'task-1'
+      }));
+    });
+
+    it('assigns callbacks for abandoned queue calls to the queue owner', async () => {
+      suitecrm.accessToken = 'token';
+      const call = Object.assign(unanswered(), { queue: '400', abandoned: { holdTime: 42 } });
+      call.missed = middleware.classifyMissedCall(call);
+
+      await middleware.handleMissedCall(call);
+
+      expect(suitecrm.createTask).toHaveBeenCalledWith(expect.objectContaining({ assignedUserId: 'user-queue' }));
+      expect(suitecrm.createTask.mock.calls[0][0].description).toContain('Queue: 400 (waited 42s)');
+    });
+
+    it('creates no callback task for voicemails or without SuiteCRM, but still broadcasts', async () => {
+      const call = unanswered();
+      call.missed = middleware.classifyMissedCall(call);
+      await middleware.handleMissedCall(call);
+
+      suitecrm.accessToken = 'token';
+      call.sentToVoicemail = ['1001@default'];
+      call.missed = middleware.classifyMissedCall(call);
+      await middleware.handleMissedCall(call);
+
+      expect(suitecrm.createTask).not.toHaveBeenCalled();
+      expect(wsServer.sendMissedCall).toHaveBeenCalledTimes(2);
+      expect(wsServer.sendMissedCall).toHaveBeenLastCalledWith(expect.objectContaining({ reason: 'voicemail' }));
+    });
+
+    it('still broadcasts the missed call when the task cannot be created', async () => {
+      suitecrm.accessToken = 'token';
+      suitecrm.createTask.mockRejectedValue(new Error('SuiteCRM down'));
+      const call = unanswered();
+      call.missed = middleware.classifyMissedCall(call);
+
+      await middleware.handleMissedCall(call);
+
+      expect(logger.error).toHaveBeenCalledWith('Failed to create callback task in CRM', expect.any(Error), { linkedId: '100.1' });
+      expect(wsServer.sendMissedCall).toHaveBeenCalledWith(expect.not.objectContaining({ crmTaskId: expect.anything() }));
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const EventEmitter = require('events');
+const CallAccounting = require('../../../src/middleware/CallAccounting');
+const CallCorrelator = require('../../../src/middleware/CallCorrelator');
+const CTIMiddleware = require('../../../src/middleware/CTIMiddleware');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const cdr = (fields) => ({
+  uniqueId: '100.1',
+  destinationChannel: '',
+  disposition: 'ANSWERED',
+  startTime: '2024-05-01 10:00:00',
+  answerTime: '2024-05-01 10:00:00',
+  endTime: '2024-05-01 10:01:00',
+  duration: 60,
+  billsec: 60,
+  ...fields
+});
+
+describe('CallAccounting', () => {
+  let pbx;
+  let correlator;
+  let accounting;
+  let call;
+
+  beforeEach(() => {
+    pbx = new EventEmitter();
+    correlator = new CallCorrelator(logger);
+    accounting = new CallAccounting(pbx, correlator, logger, { settleTime: 1, waitTimeout: 50 });
+    call = correlator.addLeg({ uniqueId: '100.1', linkedId: '100.1', channel: 'PJSIP/trunk-00000001' }).call;
+  });
+
+  describe('summarizeCdrs', () => {
+    it('bills only the time connected to another party', () => {
+      // Trunk channel answered by the IVR at 10:00:00, then bridged to an agent at 10:00:20
+      const summary = accounting.summarizeCdrs(call, [
+        cdr({}),
+        cdr({
+          uniqueId: '100.2',
+          destinationChannel: 'PJSIP/1001-00000002',
+          startTime: '2024-05-01 10:00:10',
+          answerTime: '2024-05-01 10:00:20',
+          billsec: 40
+        })
+      ]);
+
+      expect(summary).toMatchObject({
+        source: 'cdr',
+        duration: 60,
+        billsec: 40,
+        disposition: 'ANSWERED',
+        answeredTime: '2024-05-01 10:00:20'
+      });
+    });
+
+    it('reports a call answered only by the IVR as not answered', () => {
+      const summary = accounting.summarizeCdrs(call, [cdr({ billsec: 45 })]);
+
+      expect(summary).toMatchObject({ billsec: 0, disposition: 'NO ANSWER', answeredTime: null });
+    });
+
+    it('keeps the disposition of calls that never connected', () => {
+      const summary = accounting.summarizeCdrs(call, [
+        cdr({ disposition: 'BUSY', answerTime: '', billsec: 0 })
+      ]);
+
+      expect(summary).toMatchObject({ billsec: 0, disposition: 'BUSY', answeredTime: null });
+    });
+
+    it('falls back to the CDR duration when timestamps are missing', () => {
+      const summary = accounting.summarizeCdrs(call, [cdr({ startTime: '', endTime: '', duration: 33 })]);
+
+      expect(summary.duration).toBe(33);
+      expect(summary.startTime).toBeNull();
+    });
+  });
+
+  describe('summarizeCel', () => {
+    it('starts talk time when a second party enters a bridge', () => {
+      pbx.emit('call:cel', { eventName: 'CHAN_START', uniqueId: '100.1', linkedId: '100.1', eventTime: '2024-05-01T10:00:00Z' });
+      pbx.emit('call:cel', {
+        eventName: 'BRIDGE_ENTER', uniqueId: '100.1', linkedId: '100.1',
+        eventTime: '2024-05-01T10:00:05Z', extra: '{"bridge_id":"b1"}'
+      });
+      pbx.emit('call:cel', {
+        eventName: 'BRIDGE_ENTER', uniqueId: '100.2', linkedId: '100.1',
+        eventTime: '2024-05-01T10:00:10Z', extra: '{"bridge_id":"b1"}'
+      });
+      pbx.emit('call:cel', { eventName: 'LINKEDID_END', uniqueId: '100.1', linkedId: '100.1', eventTime: '2024-05-01T10:01:00Z' });
+
+      expect(accounting.summarize(call, accounting.records.get('100.1'))).toMatchObject({
+        source: 'cel',
+        duration: 60,
+        billsec: 50,
+        disposition: 'ANSWERED',
+        answeredTime: '2024-05-01T10:00:10Z'
+      });
+    });
+
+    it('leaves the answer time empty for a call nobody answered', () => {
+      pbx.emit('call:cel', { eventName: 'CHAN_START', uniqueId: '100.1', linkedId: '100.1', eventTime: '2024-05-01T10:00:00Z' });
+      pbx.emit('call:cel', { eventName: 'LINKEDID_END', uniqueId: '100.1', linkedId: '100.1', eventTime: '2024-05-01T10:00:30Z' });
+
+      expect(accounting.summarize(call, accounting.records.get('100.1')))
+        .toMatchObject({ billsec: 0, disposition: 'NO ANSWER', answeredTime: null });
+    });
+  });
+
+  describe('waitFor', () => {
+    it('resolves to null when the PBX sends no accounting', async () => {
+      await expect(accounting.waitFor(call)).resolves.toBeNull();
+    });
+
+    it('summarizes the call once the CDR of its first channel arrives', async () => {
+      pbx.emit('call:cdr', cdr({ uniqueId: '999.1' })); // another call; marks accounting as available
+
+      const summary = accounting.waitFor(call);
+      pbx.emit('call:cdr', cdr({ destinationChannel: 'PJSIP/1001-00000002', billsec: 30 }));
+
+      await expect(summary).resolves.toMatchObject({ source: 'cdr', billsec: 30, disposition: 'ANSWERED' });
+      expect(accounting.records.has('100.1')).toBe(false);
+    });
+  });
+
+  describe('applied to a call', () => {
+    const apply = (activeCall, summary) => CTIMiddleware.prototype.applyAccounting.call({
+      accounting: { waitFor: async () => summary },
+      logger
+    }, activeCall);
+
+    it('keeps the answer time from the bridge when accounting has none', async () => {
+      const activeCall = { linkedId: '100.1', answeredTime: '2024-05-01T10:00:20.000Z' };
+
+      await apply(activeCall, { duration: 60, billsec: 0, disposition: 'NO ANSWER', answeredTime: null });
+
+      expect(activeCall).toMatchObject({ disposition: 'NO ANSWER', answeredTime: '2024-05-01T10:00:20.000Z' });
+    });
+
+    it('uses the answer time from accounting when there is one', async () => {
+      const activeCall = { linkedId: '100.1', answeredTime: '2024-05-01T10:00:20.000Z' };
+
+      await apply(activeCall, { duration: 60, billsec: 40, disposition: 'ANSWERED', answeredTime: '2024-05-01 10:00:21' });
+
+      expect(activeCall).toMatchObject({ billsec: 40, answeredTime: '2024-05-01 10:00:21' });
+    });
+  });
+});
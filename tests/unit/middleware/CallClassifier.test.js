@@ -0,0 +1,104 @@
+const CallClassifier = require('../../../src/middleware/CallClassifier');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+// PBX adapter stand-in with a context -> direction table
+const pbxWith = (directions) => ({ getDirection: (context) => directions[context] || null });
+
+const leg = (channel, extra = {}) => ({ channel, context: 'from-internal', exten: 's', ...extra });
+
+describe('CallClassifier', () => {
+  let classifier;
+
+  beforeEach(() => {
+    classifier = new CallClassifier(logger, { dids: ['+1 (555) 010-0000'] });
+  });
+
+  describe('channels', () => {
+    it('parses technology and endpoint without the unique suffix', () => {
+      expect(classifier.parseChannel('PJSIP/1001-0000002a')).toEqual({ technology: 'PJSIP', endpoint: '1001' });
+      expect(classifier.parseChannel('PJSIP/my-trunk-0000002b')).toEqual({ technology: 'PJSIP', endpoint: 'my-trunk' });
+      expect(classifier.parseChannel('Local/1001@from-queue-00000003;1'))
+        .toEqual({ technology: 'LOCAL', endpoint: '1001@from-queue' });
+      expect(classifier.parseChannel('')).toBeNull();
+    });
+
+    it('tells extensions, trunks and Local/ helpers apart', () => {
+      expect(classifier.isExtensionChannel('PJSIP/1001-0000002a')).toBe(true);
+      expect(classifier.isTrunkChannel('PJSIP/my-trunk-0000002b')).toBe(true);
+      expect(classifier.isTrunkChannel('DAHDI/1-1')).toBe(true);
+      expect(classifier.isLocalChannel('Local/1001@from-queue-00000003;1')).toBe(true);
+      expect(classifier.isTrunkChannel('Local/1001@from-queue-00000003;1')).toBe(false);
+    });
+  });
+
+  describe('classify', () => {
+    it('labels click-to-dial calls by the dialed number', () => {
+      expect(classifier.classify({ trackingId: 't1', dialedNumber: '+15550199' }))
+        .toMatchObject({ direction: 'Outbound', reason: 'click_to_dial', destination: '+15550199' });
+      expect(classifier.classify({ trackingId: 't2', dialedNumber: '1002' }))
+        .toMatchObject({ direction: 'Internal', reason: 'click_to_dial' });
+    });
+
+    it('labels calls to a configured DID Inbound, whatever the number format', () => {
+      const call = { legs: [leg('PJSIP/1001-00000001', { exten: '15550100000' })] };
+
+      expect(classifier.classify(call)).toMatchObject({ direction: 'Inbound', reason: 'did', did: '15550100000' });
+    });
+
+    it('follows final context rules', () => {
+      const pbx = pbxWith({ 'from-pstn': 'Inbound' });
+      const call = { legs: [leg('PJSIP/1001-00000001', { context: 'from-pstn', exten: '5550100' })] };
+
+      expect(classifier.classify(call, pbx)).toMatchObject({ direction: 'Inbound', reason: 'context', did: '5550100' });
+    });
+
+    it('labels a call starting on a trunk channel Inbound', () => {
+      const call = { legs: [leg('PJSIP/my-trunk-00000001', { context: 'unknown', exten: '5550100' })] };
+
+      expect(classifier.classify(call, pbxWith({}))).toMatchObject({ direction: 'Inbound', reason: 'trunk' });
+    });
+
+    it('decides calls placed by an extension by their destination', () => {
+      const outbound = {
+        legs: [leg('PJSIP/1001-00000001', { exten: '0044201234567' }), leg('PJSIP/my-trunk-00000002')]
+      };
+      const internal = { legs: [leg('PJSIP/1001-00000001', { exten: '1002' })] };
+      const throughQueue = {
+        legs: [
+          leg('PJSIP/1001-00000001', { exten: 's' }),
+          leg('Local/1002@from-queue-00000003;1'),
+          leg('PJSIP/1002-00000004')
+        ]
+      };
+
+      expect(classifier.classify(outbound)).toMatchObject({ direction: 'Outbound', reason: 'destination' });
+      expect(classifier.classify(internal)).toMatchObject({ direction: 'Internal', destination: '1002' });
+      expect(classifier.classify(throughQueue)).toMatchObject({ direction: 'Internal', reason: 'destination' });
+    });
+
+    it('falls back to an Outbound context rule, else gives no label', () => {
+      const call = { legs: [leg('PJSIP/1001-00000001', { context: 'from-internal', exten: 's' })] };
+
+      expect(classifier.classify(call, pbxWith({ 'from-internal': 'Outbound' })))
+        .toMatchObject({ direction: 'Outbound', reason: 'context' });
+      expect(classifier.classify(call, pbxWith({}))).toBeNull();
+    });
+  });
+
+  describe('skip policies', () => {
+    it('skips nothing by default', () => {
+      expect(classifier.shouldSkipChannel({ channel: 'Local/1001@from-queue-00000003;1' })).toBe(false);
+      expect(classifier.shouldSkipCall({ direction: 'Internal' })).toBe(false);
+    });
+
+    it('skips Local/ channels and internal calls when configured', () => {
+      const strict = new CallClassifier(logger, { skipInternal: true, skipLocalChannels: true });
+
+      expect(strict.shouldSkipChannel({ channel: 'Local/1001@from-queue-00000003;1' })).toBe(true);
+      expect(strict.shouldSkipChannel({ channel: 'PJSIP/1001-00000001' })).toBe(false);
+      expect(strict.shouldSkipCall({ direction: 'Internal' })).toBe(true);
+      expect(strict.shouldSkipCall({ direction: 'Inbound' })).toBe(false);
+    });
+  });
+});
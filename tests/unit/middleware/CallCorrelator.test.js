@@ -0,0 +1,86 @@
+const CallCorrelator = require('../../../src/middleware/CallCorrelator');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const channel = (uniqueId, linkedId, extra = {}) => ({
+  uniqueId,
+  linkedId,
+  channel: `PJSIP/${uniqueId}`,
+  callerIdNum: '5550100',
+  context: 'from-internal',
+  exten: '1001',
+  ...extra
+});
+
+describe('CallCorrelator', () => {
+  let correlator;
+
+  beforeEach(() => {
+    correlator = new CallCorrelator(logger);
+  });
+
+  it('starts a call on the channel that owns the linkedId', () => {
+    const { call, leg, isNewCall } = correlator.addLeg(channel('100.1', '100.1'));
+
+    expect(isNewCall).toBe(true);
+    expect(call.linkedId).toBe('100.1');
+    expect(call.events).toEqual(['new']);
+    expect(leg.isPrimary).toBe(true);
+    expect(correlator.getCall('100.1')).toBe(call);
+  });
+
+  it('groups channels sharing a linkedId into one call with a leg each', () => {
+    const { call } = correlator.addLeg(channel('100.1', '100.1'));
+    const second = correlator.addLeg(channel('100.2', '100.1', { extension: '1001' }));
+    const third = correlator.addLeg(channel('100.3', '100.1', { extension: '1002' }));
+
+    expect(second.isNewCall).toBe(false);
+    expect(third.call).toBe(call);
+    expect(call.legs.map(leg => leg.uniqueId)).toEqual(['100.1', '100.2', '100.3']);
+    expect(call.legs.map(leg => leg.isPrimary)).toEqual([true, false, false]);
+    expect(call.events).toEqual(['new', 'leg:PJSIP/100.2', 'leg:PJSIP/100.3']);
+    expect(correlator.getCallByUniqueId('100.3')).toBe(call);
+    expect(correlator.getAllCalls()).toHaveLength(1);
+  });
+
+  it('keeps calls with different linkedIds apart', () => {
+    correlator.addLeg(channel('100.1', '100.1'));
+    correlator.addLeg(channel('200.1', '200.1'));
+
+    expect(correlator.getAllCalls()).toHaveLength(2);
+    expect(correlator.getCallByUniqueId('200.1').linkedId).toBe('200.1');
+  });
+
+  it('falls back to the uniqueId when a channel has no linkedId', () => {
+    const { call, leg } = correlator.addLeg(channel('300.1', undefined));
+
+    expect(call.linkedId).toBe('300.1');
+    expect(leg.isPrimary).toBe(true);
+  });
+
+  it('reports the last leg to hang up', () => {
+    correlator.addLeg(channel('100.1', '100.1'));
+    correlator.addLeg(channel('100.2', '100.1'));
+
+    const first = correlator.endLeg('100.2', { cause: '16', causeTxt: 'Normal Clearing' });
+    expect(first.isLastLeg).toBe(false);
+    expect(first.leg).toMatchObject({ hangupCause: 'Normal Clearing', hangupCauseCode: 16 });
+    expect(first.leg.endTime).not.toBeNull();
+
+    expect(correlator.endLeg('100.1').isLastLeg).toBe(true);
+  });
+
+  it('ignores hangups of channels it never tracked', () => {
+    expect(correlator.endLeg('999.1')).toBeNull();
+  });
+
+  it('forgets a call together with its legs', () => {
+    correlator.addLeg(channel('100.1', '100.1'));
+    correlator.addLeg(channel('100.2', '100.1'));
+
+    expect(correlator.removeCall('100.1')).toBe(true);
+    expect(correlator.getCall('100.1')).toBeUndefined();
+    expect(correlator.getCallByUniqueId('100.2')).toBeUndefined();
+    expect(correlator.removeCall('100.1')).toBe(false);
+  });
+});
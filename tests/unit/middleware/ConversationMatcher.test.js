@@ -0,0 +1,114 @@
+const ConversationMatcher = require('../../../src/middleware/ConversationMatcher');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const START = Date.parse('2024-05-01T10:00:00Z');
+
+const call = (linkedId, callerIdNum, offsetSeconds = 0, extra = {}) => ({
+  linkedId,
+  callerIdNum,
+  startTime: new Date(START + offsetSeconds * 1000).toISOString(),
+  legs: [],
+  ...extra
+});
+
+const conversation = (fields = {}) => ({
+  conversationId: 'conv-1',
+  externalNumber: '+44 20 1234 5678',
+  startTimeUnix: START / 1000,
+  ...fields
+});
+
+describe('ConversationMatcher', () => {
+  let matcher;
+
+  beforeEach(() => {
+    matcher = new ConversationMatcher(logger, { windowSeconds: 120, minConfidence: 0.5 });
+  });
+
+  describe('match', () => {
+    it('prefers a call already linked to the conversation', () => {
+      const linked = call('1.1', '999', 500, { conversationId: 'conv-1' });
+      const byNumber = call('2.1', '442012345678');
+
+      expect(matcher.match(conversation(), [byNumber, linked]))
+        .toEqual({ call: linked, method: 'conversation_id', confidence: 1, timeOffset: null });
+    });
+
+    it('matches on a captured call_sid before the number', () => {
+      const bySid = call('1.1', '999', 500, { callSids: ['sip-call-id'] });
+      const byNumber = call('2.1', '442012345678');
+
+      expect(matcher.match(conversation({ callSid: 'sip-call-id' }), [byNumber, bySid]))
+        .toMatchObject({ call: bySid, method: 'call_sid', confidence: 1 });
+    });
+
+    it('leaves out calls linked to another conversation', () => {
+      const other = call('1.1', '442012345678', 0, { conversationId: 'conv-2' });
+
+      expect(matcher.match(conversation(), [other])).toBeNull();
+    });
+  });
+
+  describe('phone and time scoring', () => {
+    it('scores an exact number at the same time 0.9', () => {
+      expect(matcher.match(conversation(), [call('1.1', '442012345678')]))
+        .toMatchObject({ method: 'phone_time', confidence: 0.9, timeOffset: 0 });
+    });
+
+    it('scores a matching suffix lower and loses confidence with the time offset', () => {
+      // Same number without the country code, 60 s into a 120 s window: 0.8 - 0.3 * 0.5
+      const result = matcher.match(conversation(), [call('1.1', '02012345678', 60)]);
+
+      expect(result).toMatchObject({ confidence: 0.65, timeOffset: 60 });
+    });
+
+    it('finds the number on any leg of the call', () => {
+      const transferred = call('1.1', '1001', 0, { legs: [{ callerIdNum: '1001', exten: '442012345678' }] });
+
+      expect(matcher.match(conversation(), [transferred])).toMatchObject({ call: transferred, confidence: 0.9 });
+    });
+
+    it('weights the best call by its share when several calls qualify', () => {
+      const best = call('1.1', '442012345678', 0);
+      const other = call('2.1', '442012345678', 120);
+
+      // 0.9 * 0.9 / (0.9 + 0.6)
+      expect(matcher.match(conversation(), [other, best])).toMatchObject({ call: best, confidence: 0.54 });
+    });
+
+    it('discards matches below the minimum confidence', () => {
+      const twins = [call('1.1', '442012345678'), call('2.1', '442012345678')];
+
+      expect(matcher.match(conversation(), twins)).toBeNull();
+      expect(logger.info).toHaveBeenCalledWith('Conversation match below minimum confidence', expect.objectContaining({
+        confidence: 0.45,
+        candidates: 2
+      }));
+    });
+
+    it('ignores calls outside the window, other numbers and short partial numbers', () => {
+      expect(matcher.match(conversation(), [call('1.1', '442012345678', 121)])).toBeNull();
+      expect(matcher.match(conversation(), [call('1.1', '442099999999')])).toBeNull();
+      expect(matcher.match(conversation(), [call('1.1', '5678')])).toBeNull();
+    });
+
+    it('needs a number and a start time', () => {
+      const calls = [call('1.1', '442012345678')];
+
+      expect(matcher.match(conversation({ externalNumber: '' }), calls)).toBeNull();
+      expect(matcher.match(conversation({ startTimeUnix: undefined }), calls)).toBeNull();
+    });
+  });
+
+  describe('addVariable', () => {
+    it('records values of tracked variables once, whatever their case', () => {
+      const tracked = call('1.1', '1001');
+
+      expect(matcher.addVariable(tracked, { variable: 'elevenlabs_call_sid', value: ' abc ' })).toBe(true);
+      expect(matcher.addVariable(tracked, { variable: 'ELEVENLABS_CALL_SID', value: 'abc' })).toBe(true);
+      expect(matcher.addVariable(tracked, { variable: 'OTHER', value: 'def' })).toBe(false);
+      expect(tracked.callSids).toEqual(['abc']);
+    });
+  });
+});
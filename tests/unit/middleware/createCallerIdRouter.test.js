@@ -0,0 +1,87 @@
+const express = require('express');
+const createCallerIdRouter = require('../../../src/middleware/createCallerIdRouter');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const SECURITY = {
+  requireApiKey: true,
+  apiKey: 'api-key',
+  cidLookupKey: 'lookup-key',
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 100
+};
+
+const basic = (password) => `Basic ${Buffer.from(`freepbx:${password}`).toString('base64')}`;
+
+describe('createCallerIdRouter', () => {
+  let server;
+  let getCallerIdName;
+
+  const start = (security = SECURITY) => new Promise((resolve) => {
+    const app = express();
+    app.use(createCallerIdRouter(getCallerIdName, logger, security));
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+
+  const lookup = async (query, headers = {}) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/cid/lookup?${query}`, { headers });
+    return { status: response.status, body: await response.text() };
+  };
+
+  beforeEach(() => {
+    getCallerIdName = jest.fn().mockResolvedValue('Jane Doe');
+  });
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  it('accepts the API key as header or basic auth password', async () => {
+    await start();
+
+    await expect(lookup('number=5550100', { 'x-api-key': 'api-key' })).resolves.toEqual({ status: 200, body: 'Jane Doe' });
+    await expect(lookup('number=5550100', { authorization: basic('api-key') })).resolves.toEqual({ status: 200, body: 'Jane Doe' });
+    expect(getCallerIdName).toHaveBeenCalledWith('5550100');
+  });
+
+  it('never accepts the API key in the URL', async () => {
+    await start();
+
+    await expect(lookup('number=5550100&key=api-key')).resolves.toEqual({ status: 401, body: '' });
+    expect(getCallerIdName).not.toHaveBeenCalled();
+  });
+
+  it('accepts the lookup key in the URL or as basic auth password', async () => {
+    await start();
+
+    await expect(lookup('number=5550100&key=lookup-key')).resolves.toMatchObject({ status: 200 });
+    await expect(lookup('thenumber=5550100', { authorization: basic('lookup-key') })).resolves.toMatchObject({ status: 200 });
+  });
+
+  it('refuses missing and wrong keys, and an empty lookup key', async () => {
+    await start({ ...SECURITY, cidLookupKey: '' });
+
+    await expect(lookup('number=5550100')).resolves.toMatchObject({ status: 401 });
+    await expect(lookup('number=5550100&key=')).resolves.toMatchObject({ status: 401 });
+    await expect(lookup('number=5550100', { 'x-api-key': 'lookup-key' })).resolves.toMatchObject({ status: 401 });
+    expect(logger.warn).toHaveBeenCalledWith('Invalid API key attempt', expect.objectContaining({ path: '/cid/lookup' }));
+  });
+
+  it('answers 400 without a number and an empty name when the lookup fails', async () => {
+    getCallerIdName.mockRejectedValue(new Error('SuiteCRM down'));
+    await start();
+
+    await expect(lookup('', { 'x-api-key': 'api-key' })).resolves.toEqual({ status: 400, body: '' });
+    await expect(lookup('number=5550100', { 'x-api-key': 'api-key' })).resolves.toEqual({ status: 200, body: '' });
+  });
+
+  it('rate limits lookups', async () => {
+    await start({ ...SECURITY, rateLimitMaxRequests: 2 });
+
+    await lookup('number=5550100&key=lookup-key');
+    await lookup('number=5550100&key=lookup-key');
+
+    await expect(lookup('number=5550100&key=lookup-key')).resolves.toMatchObject({ status: 429 });
+    expect(getCallerIdName).toHaveBeenCalledTimes(2);
+  });
+});
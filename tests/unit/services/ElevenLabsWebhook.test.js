@@ -0,0 +1,149 @@
+const express = require('express');
+const ElevenLabsWebhook = require('../../../src/services/ElevenLabsWebhook');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), logWebhook: jest.fn() };
+
+const CONFIG = {
+  webhookPath: '/webhook/elevenlabs',
+  initiationPath: '/webhook/elevenlabs/initiation',
+  toolsPath: '/webhook/elevenlabs/tools',
+  signatureHeader: 'ElevenLabs-Signature',
+  webhookSecret: 'webhook-secret',
+  initiationSecret: 'initiation-secret'
+};
+
+describe('ElevenLabsWebhook', () => {
+  describe('conversation initiation', () => {
+    let server;
+    let webhook;
+
+    const start = (config = CONFIG) => new Promise((resolve) => {
+      webhook = new ElevenLabsWebhook(config, logger);
+      webhook.setInitiationHandler(jest.fn().mockResolvedValue({ customer_name: 'Jane Doe' }));
+
+      const app = express();
+      app.use(webhook.router);
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+
+    const initiate = async (headers = {}) => {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}${CONFIG.initiationPath}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify({ caller_id: '+15550100', called_number: '+15550199', agent_id: 'agent-1', call_sid: 'CA123' })
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    it('answers with the dynamic variables when the bearer secret matches', async () => {
+      await start();
+
+      await expect(initiate({ authorization: 'Bearer initiation-secret' })).resolves.toEqual({
+        status: 200,
+        body: { type: 'conversation_initiation_client_data', dynamic_variables: { customer_name: 'Jane Doe' } }
+      });
+      expect(webhook.initiationHandler).toHaveBeenCalledWith({
+        callerId: '+15550100',
+        calledNumber: '+15550199',
+        agentId: 'agent-1',
+        callSid: 'CA123'
+      });
+    });
+
+    it('refuses a missing or wrong secret without running the handler', async () => {
+      await start();
+
+      await expect(initiate()).resolves.toEqual({ status: 401, body: { error: 'Invalid secret' } });
+      await expect(initiate({ authorization: 'Bearer webhook-secret' })).resolves.toMatchObject({ status: 401 });
+      await expect(initiate({ authorization: 'initiation-secret' })).resolves.toMatchObject({ status: 401 });
+      expect(webhook.initiationHandler).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalledWith('Conversation initiation request with invalid secret', expect.any(Object));
+    });
+
+    it('refuses every request when no secret is configured', async () => {
+      await start({ ...CONFIG, initiationSecret: '' });
+
+      await expect(initiate({ authorization: 'Bearer ' })).resolves.toMatchObject({ status: 401 });
+      await expect(initiate({ authorization: 'Bearer undefined' })).resolves.toMatchObject({ status: 401 });
+      expect(webhook.initiationHandler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('event dispatch', () => {
+    let webhook;
+    let calls;
+
+    // Handler that records its name, optionally failing
+    const handler = (name, error) => jest.fn(async () => {
+      calls.push(name);
+      if (error) throw error;
+    });
+
+    const event = (type) => ({ type, data: { conversation_id: 'conv-1' } });
+
+    beforeEach(() => {
+      webhook = new ElevenLabsWebhook(CONFIG, logger);
+      calls = [];
+    });
+
+    it('runs exact, prefix and wildcard handlers in order of registration', async () => {
+      webhook.on('*', handler('all'));
+      webhook.on('post_call_transcription', handler('exact'));
+      webhook.on('post_call_*', handler('prefix'));
+      webhook.on('post_call_audio', handler('audio'));
+      webhook.on('call_*', handler('call'));
+
+      await webhook.processWebhookEvent(event('post_call_transcription'));
+
+      expect(calls).toEqual(['all', 'exact', 'prefix']);
+    });
+
+    it('only observes with wildcard handlers: their failures do not fail the event', async () => {
+      webhook.on('*', handler('all', new Error('plugin broke')));
+      webhook.on('post_call_transcription', handler('exact'));
+
+      await expect(webhook.processWebhookEvent(event('post_call_transcription'))).resolves.toBeUndefined();
+      expect(calls).toEqual(['all', 'exact']);
+      expect(logger.error).toHaveBeenCalledWith('Webhook handler failed', expect.any(Error), expect.objectContaining({ pattern: '*' }));
+    });
+
+    it('fails the event after all handlers ran when an exact handler fails', async () => {
+      webhook.on('post_call_transcription', handler('exact', new Error('CRM down')));
+      webhook.on('post_call_*', handler('prefix'));
+
+      await expect(webhook.processWebhookEvent(event('post_call_transcription')))
+        .rejects.toThrow('1 handler(s) failed for post_call_transcription: CRM down');
+      expect(calls).toEqual(['exact', 'prefix']);
+    });
+
+    it('passes a deferral on as it is', async () => {
+      const deferral = Object.assign(new Error('call still up'), { deferred: true });
+      webhook.on('post_call_transcription', handler('exact', deferral));
+
+      await expect(webhook.processWebhookEvent(event('post_call_transcription'))).rejects.toBe(deferral);
+    });
+
+    it('warns when only wildcard handlers match', async () => {
+      webhook.on('post_call_*', handler('prefix'));
+
+      await webhook.processWebhookEvent(event('post_call_audio'));
+
+      expect(calls).toEqual(['prefix']);
+      expect(logger.warn).toHaveBeenCalledWith('No handler registered for event type: post_call_audio', expect.any(Object));
+    });
+
+    it('removes handlers with off()', async () => {
+      const all = handler('all');
+      webhook.on('*', all);
+      webhook.off('*', all);
+
+      await webhook.processWebhookEvent(event('post_call_audio'));
+
+      expect(all).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const net = require('net');
+const FastAGIServer = require('../../../src/services/FastAGIServer');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const AGI_ENV = [
+  'agi_network: yes',
+  'agi_network_script: crm-lookup?mode=full',
+  'agi_request: agi://cti-middleware:4573/crm-lookup?mode=full',
+  'agi_channel: PJSIP/trunk-00000001',
+  'agi_uniqueid: 1714557600.1',
+  'agi_callerid: 5550100',
+  'agi_calleridname: Jane Doe',
+  'agi_context: from-trunk-crm',
+  'agi_extension: 5550199',
+  'agi_arg_2: second',
+  'agi_arg_10: tenth',
+  'agi_arg_1: 5550100',
+  ''
+];
+
+// Session as handleConnection builds it, fed by handleData instead of a socket
+const fakeSession = () => ({ socket: null, buffer: '', lines: [], waiting: null, closed: false });
+
+/**
+ * Play Asterisk: send the AGI environment, answer every command with 200
+ * and resolve to the commands received once the server hangs up
+ */
+function runAgiSession(port, env = AGI_ENV) {
+  return new Promise((resolve, reject) => {
+    const commands = [];
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(`${env.join('\n')}\n`));
+
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\n')) !== -1) {
+        commands.push(buffer.slice(0, index));
+        buffer = buffer.slice(index + 1);
+        socket.write('200 result=1\n');
+      }
+    });
+    socket.on('end', () => {
+      socket.end();
+      resolve(commands);
+    });
+    socket.on('error', reject);
+  });
+}
+
+describe('FastAGIServer', () => {
+  describe('request parsing', () => {
+    let server;
+
+    beforeEach(() => {
+      server = new FastAGIServer({}, logger);
+    });
+
+    it('reads the agi_* environment up to the blank line', async () => {
+      const session = fakeSession();
+      server.handleData(session, `${AGI_ENV.join('\r\n')}\r\n`);
+
+      const request = await server.readRequest(session);
+
+      expect(request).toMatchObject({
+        script: 'crm-lookup',
+        params: { mode: 'full' },
+        channel: 'PJSIP/trunk-00000001',
+        uniqueId: '1714557600.1',
+        callerIdNum: '5550100',
+        callerIdName: 'Jane Doe',
+        context: 'from-trunk-crm',
+        extension: '5550199'
+      });
+      expect(request.env.agi_network).toBe('yes');
+    });
+
+    it('orders arguments by their number', async () => {
+      const session = fakeSession();
+      server.handleData(session, `${AGI_ENV.join('\n')}\n`);
+
+      expect((await server.readRequest(session)).args).toEqual(['5550100', 'second', 'tenth']);
+    });
+
+    it('waits for lines split across packets', async () => {
+      const session = fakeSession();
+      const request = server.readRequest(session);
+
+      server.handleData(session, 'agi_network_script: /crm-');
+      server.handleData(session, 'lookup\nagi_callerid: 555');
+      server.handleData(session, '0100\n\n');
+
+      await expect(request).resolves.toMatchObject({ script: 'crm-lookup', callerIdNum: '5550100', args: [], params: {} });
+    });
+
+    it('resolves to null when the channel hangs up before the environment ends', async () => {
+      const session = fakeSession();
+      server.handleData(session, 'agi_network_script: crm-lookup\n');
+      session.closed = true;
+
+      await expect(server.readRequest(session)).resolves.toBeNull();
+    });
+  });
+
+  describe('sessions', () => {
+    let server;
+
+    beforeEach(() => {
+      server = new FastAGIServer({ port: 0, host: '127.0.0.1', scriptTimeout: 100, sessionTimeout: 2000 }, logger);
+    });
+
+    afterEach(() => {
+      server.close();
+    });
+
+    const start = async () => {
+      await server.start();
+      return server.server.address().port;
+    };
+
+    it('sets the script\'s variables and the status on the channel', async () => {
+      const handler = jest.fn().mockResolvedValue({ CRM_LOOKUP_STATUS: 'FOUND', CRM_CONTACT_NAME: 'Jane "JD" Doe' });
+      server.registerScript('crm-lookup', handler);
+
+      const commands = await runAgiSession(await start());
+
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ args: ['5550100', 'second', 'tenth'] }), expect.anything());
+      expect(commands).toEqual([
+        'SET VARIABLE CRM_LOOKUP_STATUS "FOUND"',
+        'SET VARIABLE CRM_CONTACT_NAME "Jane \\"JD\\" Doe"',
+        'SET VARIABLE CTI_AGI_STATUS "OK"'
+      ]);
+    });
+
+    it('answers NOTFOUND for unknown scripts', async () => {
+      const commands = await runAgiSession(await start());
+
+      expect(commands).toEqual(['SET VARIABLE CTI_AGI_STATUS "NOTFOUND"']);
+    });
+
+    it('rejects sessions from hosts outside allowedHosts', async () => {
+      server.config.allowedHosts = ['192.0.2.10'];
+      const handler = jest.fn().mockResolvedValue({});
+      server.registerScript('crm-lookup', handler);
+
+      const port = await start();
+      // The server closes the connection without reading the request
+      await new Promise((resolve) => {
+        const socket = net.connect(port, '127.0.0.1');
+        socket.on('error', () => {});
+        socket.on('close', resolve);
+        socket.resume();
+      });
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(server.sessions.size).toBe(0);
+      expect(logger.warn).toHaveBeenCalledWith('FastAGI connection from unlisted host rejected', { remoteAddress: '127.0.0.1' });
+    });
+
+    it('accepts sessions from listed hosts', async () => {
+      server.config.allowedHosts = ['127.0.0.1'];
+      server.registerScript('crm-lookup', jest.fn().mockResolvedValue({}));
+
+      const commands = await runAgiSession(await start());
+
+      expect(commands).toEqual(['SET VARIABLE CTI_AGI_STATUS "OK"']);
+    });
+
+    it('gives up on a slow script and aborts its work', async () => {
+      let signal;
+      server.registerScript('crm-lookup', (request, options) => {
+        signal = options.signal;
+        return new Promise(() => {});
+      });
+
+      const commands = await runAgiSession(await start());
+
+      expect(commands).toEqual(['SET VARIABLE CTI_AGI_STATUS "TIMEOUT"']);
+      expect(signal.aborted).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const createPBXAdapter = require('../../../src/services/createPBXAdapter');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), logAMIEvent: jest.fn() };
+
+// Both PBXes use the same uniqueids, as two Asterisk servers started at the same second would
+const newChannel = (extra = {}) => ({
+  event: 'Newchannel',
+  channel: 'PJSIP/1001-00000001',
+  calleridnum: '1001',
+  context: 'from-internal',
+  exten: '5550100',
+  channelstate: '4',
+  uniqueid: '1714557600.1',
+  linkedid: '1714557600.1',
+  ...extra
+});
+
+describe('PBXCluster', () => {
+  let cluster;
+  let east;
+  let west;
+
+  beforeEach(() => {
+    cluster = createPBXAdapter({
+      pbxes: [
+        { name: 'east', type: 'ami', host: 'pbx-east', username: 'cti', secret: 'secret' },
+        { name: 'west', type: 'ami', host: 'pbx-west', username: 'cti', secret: 'secret' }
+      ]
+    }, logger);
+    east = cluster.getPbx('east');
+    west = cluster.getPbx('west');
+  });
+
+  it('qualifies channel ids with the PBX name so equal uniqueids never collide', () => {
+    const calls = [];
+    cluster.on('call:new', (call) => calls.push(call));
+
+    east.handleEvent(newChannel());
+    west.handleEvent(newChannel());
+
+    expect(calls).toEqual([
+      expect.objectContaining({ pbx: 'east', uniqueId: 'east:1714557600.1', linkedId: 'east:1714557600.1' }),
+      expect.objectContaining({ pbx: 'west', uniqueId: 'west:1714557600.1', linkedId: 'west:1714557600.1' })
+    ]);
+    expect(cluster.getAllActiveChannels()).toHaveLength(2);
+    expect(cluster.getActiveChannel('west:1714557600.1')).toMatchObject({ pbx: 'west', channel: 'PJSIP/1001-00000001' });
+    expect(east.getActiveChannel('west:1714557600.1')).toBeUndefined();
+  });
+
+  it('qualifies queue names', () => {
+    const joins = [];
+    cluster.on('queue:queuecallerjoin', (data) => joins.push(data));
+
+    east.handleEvent({ event: 'QueueCallerJoin', queue: '400', uniqueid: '1714557600.1', position: '1', count: '1' });
+
+    expect(joins).toEqual([expect.objectContaining({ pbx: 'east', queue: 'east:400', uniqueId: 'east:1714557600.1' })]);
+  });
+
+  it('strips the prefix from ids sent back to the PBX', async () => {
+    east.sendAction = jest.fn().mockResolvedValue({ response: 'Success' });
+
+    await cluster.getPbx('east').originateFromExtension('1001', '5550100', { channelId: 'east:cti-1234' });
+
+    expect(east.sendAction).toHaveBeenCalledWith('Originate', expect.objectContaining({ ChannelId: 'cti-1234' }));
+    expect(east.localId('west:cti-1234')).toBe('west:cti-1234');
+  });
+
+  it('leaves ids alone with a single PBX', () => {
+    const single = createPBXAdapter({ type: 'ami', ami: { host: 'pbx', username: 'cti', secret: 'secret' } }, logger);
+    const calls = [];
+    single.on('call:new', (call) => calls.push(call));
+
+    single.handleEvent(newChannel());
+
+    expect(calls).toEqual([expect.objectContaining({ pbx: 'default', uniqueId: '1714557600.1' })]);
+  });
+
+  it('routes calls to their PBX by name', () => {
+    expect(cluster.getPbx()).toBe(east);
+    expect(cluster.getPbx('north')).toBeUndefined();
+    expect(cluster.getPbxNames()).toEqual(['east', 'west']);
+  });
+});
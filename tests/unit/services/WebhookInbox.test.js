@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebhookInbox = require('../../../src/services/WebhookInbox');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const event = (type, conversationId, extra = {}) => ({ type, data: { conversation_id: conversationId, ...extra } });
+
+const store = (inbox, payload) => inbox.receive(payload, JSON.stringify(payload));
+
+// Poll until the inbox reaches the expected state; processing runs on timers
+async function until(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition not reached in time');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('WebhookInbox', () => {
+  let directory;
+  let inbox;
+
+  // Delays are in seconds; tiny ones keep retries fast
+  const openInbox = async (config = {}) => {
+    const opened = new WebhookInbox({ directory, retryDelay: 0.01, deferDelay: 0.01, ...config }, logger);
+    await opened.open();
+    return opened;
+  };
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-inbox-'));
+    inbox = await openInbox();
+  });
+
+  afterEach(async () => {
+    await inbox.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('dedupe', () => {
+    it('stores an event once per type and conversation', async () => {
+      const first = await store(inbox, event('post_call_transcription', 'conv-1'));
+      const again = await store(inbox, event('post_call_transcription', 'conv-1', { retried: true }));
+      const audio = await store(inbox, event('post_call_audio', 'conv-1'));
+
+      expect(first.duplicate).toBe(false);
+      expect(again).toEqual({ id: first.id, duplicate: true });
+      expect(audio.duplicate).toBe(false);
+      expect(inbox.list()).toHaveLength(2);
+    });
+
+    it('tells events without a conversation apart by their body', async () => {
+      const first = await store(inbox, { type: 'call_initiation_failure', data: { reason: 'busy' } });
+      const same = await store(inbox, { type: 'call_initiation_failure', data: { reason: 'busy' } });
+      const other = await store(inbox, { type: 'call_initiation_failure', data: { reason: 'no-answer' } });
+
+      expect(same).toEqual({ id: first.id, duplicate: true });
+      expect(other.duplicate).toBe(false);
+    });
+
+    it('keeps events and their dedupe keys across restarts', async () => {
+      const { id } = await store(inbox, event('post_call_transcription', 'conv-1'));
+      const reopened = await openInbox();
+
+      expect(reopened.list()).toEqual([expect.objectContaining({ id, status: 'pending' })]);
+      await expect(store(reopened, event('post_call_transcription', 'conv-1'))).resolves.toEqual({ id, duplicate: true });
+      await expect(reopened.get(id)).resolves.toMatchObject({ payload: event('post_call_transcription', 'conv-1') });
+    });
+  });
+
+  describe('retry', () => {
+    it('retries a failing event until it is processed', async () => {
+      const processor = jest.fn()
+        .mockRejectedValueOnce(new Error('SuiteCRM down'))
+        .mockRejectedValueOnce(new Error('SuiteCRM down'))
+        .mockResolvedValue();
+      const { id } = await store(inbox, event('post_call_transcription', 'conv-1'));
+
+      inbox.start(processor);
+      await until(() => inbox.entries.get(id).status === 'processed');
+
+      expect(processor).toHaveBeenCalledTimes(3);
+      expect(inbox.entries.get(id)).toMatchObject({ attempts: 3, lastError: null });
+    });
+
+    it('marks an event failed after maxAttempts', async () => {
+      await inbox.stop();
+      inbox = await openInbox({ maxAttempts: 2 });
+      const { id } = await store(inbox, event('post_call_transcription', 'conv-1'));
+
+      inbox.start(jest.fn().mockRejectedValue(new Error('SuiteCRM down')));
+      await until(() => inbox.entries.get(id).status === 'failed');
+
+      expect(inbox.entries.get(id)).toMatchObject({ attempts: 2, lastError: 'SuiteCRM down' });
+      expect(inbox.getStats()).toMatchObject({ failed: 1, pending: 0 });
+    });
+
+    it('keeps a deferred event pending without using an attempt', async () => {
+      await inbox.stop();
+      inbox = await openInbox({ deferDelay: 60 });
+      const deferral = Object.assign(new Error('Call is still up'), { deferred: true });
+      const processor = jest.fn().mockRejectedValueOnce(deferral).mockResolvedValue();
+      const { id } = await store(inbox, event('post_call_transcription', 'conv-1'));
+
+      inbox.start(processor);
+      await until(() => processor.mock.calls.length === 1 && inbox.entries.get(id).status === 'pending');
+      expect(inbox.entries.get(id)).toMatchObject({ attempts: 0, lastError: 'Call is still up' });
+
+      // Not due for a minute; retryNow runs it straight away
+      await expect(inbox.retryNow('post_call_transcription', 'conv-1')).resolves.toBe(true);
+      await until(() => inbox.entries.get(id).status === 'processed');
+      expect(inbox.entries.get(id).attempts).toBe(1);
+    });
+  });
+
+  describe('replay', () => {
+    it('only replays failed events', async () => {
+      const { id } = await store(inbox, event('post_call_transcription', 'conv-1'));
+
+      await expect(inbox.replay(id)).rejects.toMatchObject({ status: 409 });
+      await expect(inbox.replay('unknown')).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('processes a replayed event again with fresh attempts', async () => {
+      await inbox.stop();
+      inbox = await openInbox({ maxAttempts: 1 });
+      const processor = jest.fn().mockRejectedValueOnce(new Error('SuiteCRM down')).mockResolvedValue();
+      const { id } = await store(inbox, event('post_call_transcription', 'conv-1'));
+
+      inbox.start(processor);
+      await until(() => inbox.entries.get(id).status === 'failed');
+
+      await expect(inbox.replay(id)).resolves.toMatchObject({ id, status: 'pending', attempts: 0 });
+      await until(() => inbox.entries.get(id).status === 'processed');
+      expect(processor).toHaveBeenCalledTimes(2);
+    });
+  });
+});